@@ -12,6 +12,22 @@
         accelerationOptions: null,
         originalResult: null,
         acceleratedResult: null,
+        strategyBreakdown: null,
+        lumpSumComparison: null,
+        reliefCost: null,
+        investmentAnalysis: null,
+        presentValue: null,
+        valueMode: 'nominal',
+        refinanceLoanData: null,
+        refinanceAnalysis: null,
+        pointsAnalysis: null,
+        debtAnalysis: null,
+        statementImport: null,
+        reconciliation: null,
+        simulation: null,
+        simulationRun: null,
+        sensitivity: null,
+        sensitivityLayout: null,
         currentPage: 1,
         rowsPerPage: 12,
         showAccelerated: true
@@ -20,46 +36,239 @@
     // DOM Elements
     const elements = {
         form: document.getElementById('calculator-form'),
+        modeTabs: document.querySelectorAll('.mode-tab'),
+        stepper: document.querySelector('.stepper'),
         steps: document.querySelectorAll('.stepper .step'),
         connectors: document.querySelectorAll('.step-connector'),
         wizardSteps: document.querySelectorAll('.wizard-step'),
+        locale: document.getElementById('locale'),
+        currency: document.getElementById('currency'),
 
         // Step 1
         loanAmount: document.getElementById('loan-amount'),
+        loanAmountLabel: document.getElementById('loan-amount-label'),
+        loanAmountHint: document.getElementById('loan-amount-hint'),
         interestRate: document.getElementById('interest-rate'),
+        loanTermGroup: document.getElementById('loan-term-group'),
         loanTerm: document.getElementById('loan-term'),
         startMonth: document.getElementById('start-month'),
         startYear: document.getElementById('start-year'),
+        loanType: document.getElementById('loan-type'),
+        loanStatus: document.getElementById('loan-status'),
+        existingOptions: document.getElementById('existing-options'),
+        existingSource: document.getElementById('existing-source'),
+        paymentsMadeGroup: document.getElementById('payments-made-group'),
+        paymentsMade: document.getElementById('payments-made'),
+        statementFields: document.querySelectorAll('[data-statement-field]'),
+        currentBalance: document.getElementById('current-balance'),
+        nextPaymentMonth: document.getElementById('next-payment-month'),
+        nextPaymentYear: document.getElementById('next-payment-year'),
+        remainingBasis: document.getElementById('remaining-basis'),
+        remainingMonthsGroup: document.getElementById('remaining-months-group'),
+        remainingMonths: document.getElementById('remaining-months'),
+        currentPaymentGroup: document.getElementById('current-payment-group'),
+        currentPayment: document.getElementById('current-payment'),
+        loanStructureGroup: document.getElementById('loan-structure-group'),
+        loanStructure: document.getElementById('loan-structure'),
+        interestOnlyGroup: document.getElementById('interest-only-group'),
+        interestOnlyYears: document.getElementById('interest-only-years'),
+        balloonGroup: document.getElementById('balloon-group'),
+        balloonYears: document.getElementById('balloon-years'),
+        region: document.getElementById('region'),
+        dayCount: document.getElementById('day-count'),
+        compounding: document.getElementById('compounding'),
+        rounding: document.getElementById('rounding'),
+        prepaymentLimit: document.getElementById('prepayment-limit'),
+        prepaymentPenaltyType: document.getElementById('prepayment-penalty-type'),
+        prepaymentPenaltyValueGroup: document.getElementById('prepayment-penalty-value-group'),
+        prepaymentPenaltyValue: document.getElementById('prepayment-penalty-value'),
+        prepaymentPenaltyValueLabel: document.getElementById('prepayment-penalty-value-label'),
+        prepaymentPenaltyValueHint: document.getElementById('prepayment-penalty-value-hint'),
+        prepaymentPenaltyUnit: document.getElementById('prepayment-penalty-unit'),
+        prepaymentYears: document.getElementById('prepayment-years'),
+        armOptions: document.getElementById('arm-options'),
+        armInitialPeriod: document.getElementById('arm-initial-period'),
+        armResetFrequency: document.getElementById('arm-reset-frequency'),
+        armIndex: document.getElementById('arm-index'),
+        armMargin: document.getElementById('arm-margin'),
+        armInitialCap: document.getElementById('arm-initial-cap'),
+        armPeriodicCap: document.getElementById('arm-periodic-cap'),
+        armLifetimeCap: document.getElementById('arm-lifetime-cap'),
+        helocOptions: document.getElementById('heloc-options'),
+        helocDrawYears: document.getElementById('heloc-draw-years'),
+        helocRepaymentYears: document.getElementById('heloc-repayment-years'),
+        addHelocDraw: document.getElementById('add-heloc-draw'),
+        helocDrawList: document.getElementById('heloc-draw-list'),
+        helocDrawTemplate: document.getElementById('heloc-draw-template'),
+        addHelocRate: document.getElementById('add-heloc-rate'),
+        helocRateList: document.getElementById('heloc-rate-list'),
+        helocRateTemplate: document.getElementById('heloc-rate-template'),
+        loanProgram: document.getElementById('loan-program'),
+        vaFundingFeeGroup: document.getElementById('va-funding-fee-group'),
+        vaFundingFeeUse: document.getElementById('va-funding-fee-use'),
+        upfrontFeeGroup: document.getElementById('upfront-fee-group'),
+        upfrontFeeLabel: document.getElementById('upfront-fee-label'),
+        upfrontFeeHint: document.getElementById('upfront-fee-hint'),
+        upfrontFeeFinancing: document.getElementById('upfront-fee-financing'),
+        homeValue: document.getElementById('home-value'),
+        propertyTax: document.getElementById('property-tax'),
+        homeInsurance: document.getElementById('home-insurance'),
+        hoaDues: document.getElementById('hoa-dues'),
+        pmiRate: document.getElementById('pmi-rate'),
+        pmiCancellation: document.getElementById('pmi-cancellation'),
+        pmiRateGroup: document.getElementById('pmi-rate-group'),
+        pmiCancellationGroup: document.getElementById('pmi-cancellation-group'),
+        filingStatus: document.getElementById('filing-status'),
+        marginalTaxRate: document.getElementById('marginal-tax-rate'),
+        standardDeduction: document.getElementById('standard-deduction'),
+        otherDeductions: document.getElementById('other-deductions'),
+        taxLoanLimit: document.getElementById('tax-loan-limit'),
         previewPayment: document.getElementById('preview-payment'),
+        previewBreakdown: document.getElementById('preview-breakdown'),
         previewInterest: document.getElementById('preview-interest'),
         previewPayoff: document.getElementById('preview-payoff'),
 
         // Step 2
-        enableExtraMonthly: document.getElementById('enable-extra-monthly'),
-        extraMonthly: document.getElementById('extra-monthly'),
-        biweekly: document.getElementById('biweekly'),
-        enableLumpSum: document.getElementById('enable-lump-sum'),
-        lumpSum: document.getElementById('lump-sum'),
-        lumpSumMonth: document.getElementById('lump-sum-month'),
-        lumpSumYear: document.getElementById('lump-sum-year'),
-        enableAnnualExtra: document.getElementById('enable-annual-extra'),
-        annualExtra: document.getElementById('annual-extra'),
-        annualExtraMonth: document.getElementById('annual-extra-month'),
+        paymentFrequencyEnabled: document.getElementById('payment-frequency-enabled'),
+        paymentFrequency: document.getElementById('payment-frequency'),
+        paymentFrequencyDesc: document.getElementById('payment-frequency-desc'),
+        biweeklyMethod: document.getElementById('biweekly-method'),
+        biweeklyMethodField: document.getElementById('biweekly-method-field'),
+        strategyPresets: document.querySelectorAll('.strategy-preset'),
+        addExtraPayment: document.getElementById('add-extra-payment'),
+        extraPaymentsEmpty: document.getElementById('extra-payments-empty'),
+        extraPaymentList: document.getElementById('extra-payment-list'),
+        extraPaymentTemplate: document.getElementById('extra-payment-template'),
+        recastOptions: document.getElementById('recast-options'),
+        lumpSumMode: document.getElementById('lump-sum-mode'),
+        recastFeeGroup: document.getElementById('recast-fee-group'),
+        recastFee: document.getElementById('recast-fee'),
+        addPaymentRelief: document.getElementById('add-payment-relief'),
+        paymentReliefEmpty: document.getElementById('payment-relief-empty'),
+        paymentReliefList: document.getElementById('payment-relief-list'),
+        paymentReliefTemplate: document.getElementById('payment-relief-template'),
         strategySummary: document.getElementById('strategy-summary'),
+        goalToggle: document.getElementById('goal-toggle'),
+        goalSeek: document.getElementById('goal-seek'),
+        goalType: document.getElementById('goal-type'),
+        goalDateGroup: document.getElementById('goal-date-group'),
+        goalMonth: document.getElementById('goal-month'),
+        goalYear: document.getElementById('goal-year'),
+        goalInterestGroup: document.getElementById('goal-interest-group'),
+        goalInterest: document.getElementById('goal-interest'),
+        goalStrategy: document.getElementById('goal-strategy'),
+        goalStartLabel: document.getElementById('goal-start-label'),
+        goalStartMonth: document.getElementById('goal-start-month'),
+        goalStartYear: document.getElementById('goal-start-year'),
+        goalSolve: document.getElementById('goal-solve'),
+        goalResult: document.getElementById('goal-result'),
 
         // Step 3
         resultInterestSaved: document.getElementById('result-interest-saved'),
         resultTimeSaved: document.getElementById('result-time-saved'),
+        resultValueNote: document.getElementById('result-value-note'),
+        resultAfterTax: document.getElementById('result-after-tax'),
+        resultPrepayment: document.getElementById('result-prepayment'),
+        resultProgram: document.getElementById('result-program'),
+        originalAfterTaxInterest: document.getElementById('original-after-tax-interest'),
+        newAfterTaxInterest: document.getElementById('new-after-tax-interest'),
+        valueModeButtons: document.querySelectorAll('[data-value-mode]'),
+        interestLabels: document.querySelectorAll('[data-interest-label]'),
+        discountRate: document.getElementById('discount-rate'),
+        inflationRate: document.getElementById('inflation-rate'),
+        pvInterestSaved: document.getElementById('pv-interest-saved'),
+        realInterestSaved: document.getElementById('real-interest-saved'),
+        prepayNpv: document.getElementById('prepay-npv'),
+        originalRealCost: document.getElementById('original-real-cost'),
+        newRealCost: document.getElementById('new-real-cost'),
+        presentValueNote: document.getElementById('present-value-note'),
         originalPayoffDate: document.getElementById('original-payoff-date'),
         originalInterest: document.getElementById('original-interest'),
         originalPayments: document.getElementById('original-payments'),
         newPayoffDate: document.getElementById('new-payoff-date'),
         newInterest: document.getElementById('new-interest'),
         newPayments: document.getElementById('new-payments'),
+        originalPmiTotal: document.getElementById('original-pmi-total'),
+        newPmiTotal: document.getElementById('new-pmi-total'),
+        originalPmiEnd: document.getElementById('original-pmi-end'),
+        newPmiEnd: document.getElementById('new-pmi-end'),
+        originalAmortizingPayment: document.getElementById('original-amortizing-payment'),
+        newAmortizingPayment: document.getElementById('new-amortizing-payment'),
+        originalBalloon: document.getElementById('original-balloon'),
+        newBalloon: document.getElementById('new-balloon'),
+        newRecastStat: document.getElementById('new-recast-stat'),
+        newRecastPayment: document.getElementById('new-recast-payment'),
+        newReliefStat: document.getElementById('new-relief-stat'),
+        newReliefCost: document.getElementById('new-relief-cost'),
+        newPenaltyStat: document.getElementById('new-penalty-stat'),
+        newPrepaymentPenalties: document.getElementById('new-prepayment-penalties'),
+        lumpSumComparison: document.getElementById('lump-sum-comparison'),
+        shortenPayoffDate: document.getElementById('shorten-payoff-date'),
+        shortenInterest: document.getElementById('shorten-interest'),
+        shortenPayment: document.getElementById('shorten-payment'),
+        shortenSavings: document.getElementById('shorten-savings'),
+        recastPayoffDate: document.getElementById('recast-payoff-date'),
+        recastInterest: document.getElementById('recast-interest'),
+        recastPayment: document.getElementById('recast-payment'),
+        recastSavings: document.getElementById('recast-savings'),
+        investComparison: document.getElementById('invest-comparison'),
+        investReturn: document.getElementById('invest-return'),
+        investTaxDrag: document.getElementById('invest-tax-drag'),
+        investHeadline: document.getElementById('invest-headline'),
+        investDetail: document.getElementById('invest-detail'),
+        investPrepayPayoff: document.getElementById('invest-prepay-payoff'),
+        investPrepayWorth: document.getElementById('invest-prepay-worth'),
+        investContributions: document.getElementById('invest-contributions'),
+        investInvestWorth: document.getElementById('invest-invest-worth'),
+        rateSimulation: document.getElementById('rate-simulation'),
+        simulationLongRunRate: document.getElementById('simulation-long-run-rate'),
+        simulationLongRunHint: document.getElementById('simulation-long-run-hint'),
+        simulationReversionSpeed: document.getElementById('simulation-reversion-speed'),
+        simulationVolatility: document.getElementById('simulation-volatility'),
+        simulationPaths: document.getElementById('simulation-paths'),
+        simulationSeed: document.getElementById('simulation-seed'),
+        simulationRun: document.getElementById('simulation-run'),
+        simulationProgress: document.getElementById('simulation-progress'),
+        simulationResults: document.getElementById('simulation-results'),
+        simulationSummary: document.getElementById('simulation-summary'),
+        simulationBody: document.getElementById('simulation-body'),
+        sensitivityRowAxis: document.getElementById('sensitivity-row-axis'),
+        sensitivityRowsLabel: document.getElementById('sensitivity-rows-label'),
+        sensitivityRowsMin: document.getElementById('sensitivity-rows-min'),
+        sensitivityRowsMax: document.getElementById('sensitivity-rows-max'),
+        sensitivityRowsStep: document.getElementById('sensitivity-rows-step'),
+        sensitivityExtraMin: document.getElementById('sensitivity-extra-min'),
+        sensitivityExtraMax: document.getElementById('sensitivity-extra-max'),
+        sensitivityExtraStep: document.getElementById('sensitivity-extra-step'),
+        sensitivityMetric: document.getElementById('sensitivity-metric'),
+        sensitivityRun: document.getElementById('sensitivity-run'),
+        sensitivityProgress: document.getElementById('sensitivity-progress'),
+        sensitivityChartContainer: document.getElementById('sensitivity-chart-container'),
+        sensitivityChart: document.getElementById('sensitivity-chart'),
+        sensitivityTooltip: document.getElementById('sensitivity-tooltip'),
+        statementFile: document.getElementById('statement-file'),
+        statementTolerance: document.getElementById('statement-tolerance'),
+        statementMapping: document.getElementById('statement-mapping'),
+        statementColumns: document.querySelectorAll('[data-statement-column]'),
+        statementReconcile: document.getElementById('statement-reconcile'),
+        statementResults: document.getElementById('statement-results'),
+        statementHeadline: document.getElementById('statement-headline'),
+        statementDetail: document.getElementById('statement-detail'),
+        statementProjection: document.getElementById('statement-projection'),
+        statementPlanPayoff: document.getElementById('statement-plan-payoff'),
+        statementPlanInterest: document.getElementById('statement-plan-interest'),
+        statementActualPayoff: document.getElementById('statement-actual-payoff'),
+        statementActualInterest: document.getElementById('statement-actual-interest'),
+        statementBody: document.getElementById('statement-body'),
+        strategyBreakdown: document.getElementById('strategy-breakdown'),
+        strategyBreakdownBody: document.getElementById('strategy-breakdown-body'),
+        breakdownPmiHeading: document.getElementById('breakdown-pmi-heading'),
 
         // Table & Actions
         showAccelerated: document.getElementById('show-accelerated'),
+        amortizationTable: document.getElementById('amortization-table'),
         amortizationBody: document.getElementById('amortization-body'),
+        schedulePmiHeading: document.getElementById('schedule-pmi-heading'),
         prevPage: document.getElementById('prev-page'),
         nextPage: document.getElementById('next-page'),
         pageInfo: document.getElementById('page-info'),
@@ -69,7 +278,83 @@
         shareBtn: document.getElementById('share-btn'),
         startOverBtn: document.getElementById('start-over-btn'),
         shareNote: document.getElementById('share-note'),
-        confetti: document.getElementById('confetti')
+        confetti: document.getElementById('confetti'),
+
+        // Refinance
+        refinanceMode: document.getElementById('refinance-mode'),
+        refiCurrentLoanText: document.getElementById('refi-current-loan-text'),
+        refiEditLoan: document.getElementById('refi-edit-loan'),
+        refiMonth: document.getElementById('refi-month'),
+        refiYear: document.getElementById('refi-year'),
+        refiRate: document.getElementById('refi-rate'),
+        refiTerm: document.getElementById('refi-term'),
+        refiClosingCosts: document.getElementById('refi-closing-costs'),
+        refiPoints: document.getElementById('refi-points'),
+        refiCashOut: document.getElementById('refi-cash-out'),
+        refiExtraMonthly: document.getElementById('refi-extra-monthly'),
+        refiFinanceCosts: document.getElementById('refi-finance-costs'),
+        refiCalculate: document.getElementById('refi-calculate'),
+        refiResults: document.getElementById('refi-results'),
+        refiHeadline: document.getElementById('refi-headline'),
+        refiBreakEven: document.getElementById('refi-break-even'),
+        refiSubtext: document.getElementById('refi-subtext'),
+        refiCurrentBalance: document.getElementById('refi-current-balance'),
+        refiCurrentPayment: document.getElementById('refi-current-payment'),
+        refiCurrentInterest: document.getElementById('refi-current-interest'),
+        refiCurrentPayoff: document.getElementById('refi-current-payoff'),
+        refiNewAmount: document.getElementById('refi-new-amount'),
+        refiNewPayment: document.getElementById('refi-new-payment'),
+        refiNewInterest: document.getElementById('refi-new-interest'),
+        refiNewPayoff: document.getElementById('refi-new-payoff'),
+        refiExtraHeading: document.getElementById('refi-extra-heading'),
+        refiSummaryBody: document.getElementById('refi-summary-body'),
+        refiExportPdf: document.getElementById('refi-export-pdf'),
+
+        // Points and buydowns
+        pointsMode: document.getElementById('points-mode'),
+        pointsLoanText: document.getElementById('points-loan-text'),
+        pointsEditLoan: document.getElementById('points-edit-loan'),
+        addPointsOffer: document.getElementById('add-points-offer'),
+        pointsListEmpty: document.getElementById('points-list-empty'),
+        pointsList: document.getElementById('points-list'),
+        pointsTemplate: document.getElementById('points-template'),
+        pointsHolding: document.getElementById('points-holding'),
+        pointsExtraMonthly: document.getElementById('points-extra-monthly'),
+        pointsCalculate: document.getElementById('points-calculate'),
+        pointsResults: document.getElementById('points-results'),
+        pointsHeadline: document.getElementById('points-headline'),
+        pointsBest: document.getElementById('points-best'),
+        pointsSubtext: document.getElementById('points-subtext'),
+        pointsRankingTitle: document.getElementById('points-ranking-title'),
+        pointsRankingBody: document.getElementById('points-ranking-body'),
+        pointsBestByHolding: document.getElementById('points-best-by-holding'),
+        pointsChartTitle: document.getElementById('points-chart-title'),
+
+        // Multiple debts
+        debtsMode: document.getElementById('debts-mode'),
+        debtIncludeMortgage: document.getElementById('debt-include-mortgage'),
+        debtMortgageText: document.getElementById('debt-mortgage-text'),
+        debtMortgagePriority: document.getElementById('debt-mortgage-priority'),
+        debtEditLoan: document.getElementById('debt-edit-loan'),
+        addDebt: document.getElementById('add-debt'),
+        debtListEmpty: document.getElementById('debt-list-empty'),
+        debtList: document.getElementById('debt-list'),
+        debtTemplate: document.getElementById('debt-template'),
+        debtStrategy: document.getElementById('debt-strategy'),
+        debtBudget: document.getElementById('debt-budget'),
+        debtCalculate: document.getElementById('debt-calculate'),
+        debtResults: document.getElementById('debt-results'),
+        debtFreeDate: document.getElementById('debt-free-date'),
+        debtSubtext: document.getElementById('debt-subtext'),
+        debtMinimumPayment: document.getElementById('debt-minimum-payment'),
+        debtMinimumInterest: document.getElementById('debt-minimum-interest'),
+        debtMinimumDate: document.getElementById('debt-minimum-date'),
+        debtPlanTitle: document.getElementById('debt-plan-title'),
+        debtPlanPayment: document.getElementById('debt-plan-payment'),
+        debtPlanInterest: document.getElementById('debt-plan-interest'),
+        debtPlanDate: document.getElementById('debt-plan-date'),
+        debtOrderBody: document.getElementById('debt-order-body'),
+        debtExportCsv: document.getElementById('debt-export-csv')
     };
 
     /**
@@ -77,14 +362,125 @@
      */
     function init() {
         setDefaultStartDate();
+        setupFormat();
         setupEventListeners();
         setupStrategyCards();
+        setupPaymentFrequency();
+        setupRegion();
+        setupHeloc();
+        setupExtraPayments();
+        setupPaymentRelief();
+        setupGoalSeek();
         setupChartTabs();
+        setupModeTabs();
+        setupRefinance();
+        setupPoints();
+        setupDebts();
+        setupInvestmentComparison();
+        setupRateSimulation();
+        setupSensitivity();
+        setupStatementImport();
+        setupPresentValue();
         loadFromUrl();
         setupInputFormatting();
         setupLivePreview();
     }
 
+    /**
+     * Setup the locale and currency selects; the choice is remembered between visits
+     */
+    function setupFormat() {
+        [elements.locale, elements.currency].forEach(select => {
+            select.addEventListener('change', () => {
+                applyFormat({ locale: elements.locale.value, currency: elements.currency.value });
+            });
+        });
+
+        const { format } = StorageManager.loadPreferences();
+        applyFormat(format || MortgageCalculator.format, false);
+    }
+
+    /**
+     * Switch the locale and currency: numbers already typed are rewritten in the new format,
+     * currency symbols and month names follow, and any results on screen are redrawn
+     */
+    function applyFormat(format, remember = true) {
+        const templates = [...document.querySelectorAll('template')].map(template => template.content);
+        const roots = [document, ...templates];
+        const inputs = roots.flatMap(root => [...root.querySelectorAll('input[inputmode="numeric"], input[inputmode="decimal"]')]);
+
+        // Read the numbers in the old format before switching
+        const readNumber = (text) => text.trim() === '' ? NaN : MortgageCalculator.parseNumber(text);
+        const numbers = inputs.map(input => ({
+            value: readNumber(input.value),
+            defaultValue: readNumber(input.defaultValue),
+            placeholder: readNumber(input.placeholder)
+        }));
+
+        const { locale, currency } = MortgageCalculator.setFormat(format);
+        elements.locale.value = locale;
+        elements.currency.value = currency;
+        document.documentElement.lang = locale;
+
+        inputs.forEach((input, index) => {
+            const isRate = input.getAttribute('inputmode') === 'decimal' && !input.parentElement.querySelector('.currency-icon');
+            const write = (value) => isRate ? formatRateInput(value) : MortgageCalculator.formatNumber(value);
+            const { value, defaultValue, placeholder } = numbers[index];
+
+            if (!isNaN(defaultValue)) input.defaultValue = write(defaultValue);
+            if (!isNaN(value)) input.value = write(value);
+            if (!isNaN(placeholder)) input.placeholder = write(placeholder);
+        });
+
+        const { symbol, after } = MortgageCalculator.getCurrencySymbol();
+        roots.forEach(root => root.querySelectorAll('.currency-icon').forEach(icon => {
+            icon.textContent = symbol;
+        }));
+        document.documentElement.classList.toggle('currency-after', after);
+
+        // Month selects keep the short or long names they started with
+        roots.forEach(root => root.querySelectorAll('select').forEach(select => {
+            if (select.options.length !== 12 || select.options[0].value !== '01') return;
+            if (!select.dataset.monthStyle) {
+                select.dataset.monthStyle = select.options[0].textContent.length > 3 ? 'long' : 'short';
+            }
+            const names = MortgageCalculator.getMonthNames(select.dataset.monthStyle);
+            [...select.options].forEach((option, month) => {
+                option.textContent = names[month];
+            });
+        }));
+
+        if (remember) {
+            StorageManager.savePreferences({ format: { locale, currency } });
+        }
+        updateLoanProgramFields();
+        refreshResults();
+    }
+
+    /**
+     * Redraw whatever results are on screen, keeping simulations, heatmaps and reconciliations
+     * already worked out
+     */
+    function refreshResults() {
+        if (state.acceleratedResult) {
+            displayResults(MortgageCalculator.calculateSavings(state.originalResult, state.acceleratedResult));
+            if (state.simulation) renderRateSimulation();
+            if (state.sensitivity) renderSensitivityChart();
+            if (state.reconciliation) renderReconciliation();
+        }
+        if (state.refinanceAnalysis && !elements.refiResults.hidden) {
+            displayRefinanceResults();
+        }
+        if (state.pointsAnalysis && !elements.pointsResults.hidden) {
+            displayPointsResults();
+        }
+        if (state.debtAnalysis && !elements.debtResults.hidden) {
+            displayDebtResults();
+        }
+        updateStrategySummary();
+        updateLivePreview();
+    }
+
     /**
      * Set default start date to current month
      */
@@ -96,14 +492,18 @@
         // Populate year dropdowns
         // Start date: past 30 years up to current year (no future years for start date)
         populateYearDropdown(elements.startYear, currentYear - 30, currentYear, currentYear);
-        // Lump sum: current year to 10 years in future
-        populateYearDropdown(elements.lumpSumYear, currentYear, currentYear + 10, currentYear + 1);
 
         // Set current month
         elements.startMonth.value = currentMonth;
 
-        // Set lump sum default to next year same month
-        elements.lumpSumMonth.value = currentMonth;
+        // Existing loans: next payment due next month
+        const nextMonth = new Date(currentYear, now.getMonth() + 1, 1);
+        populateYearDropdown(elements.nextPaymentYear, currentYear - 30, currentYear + 1, nextMonth.getFullYear());
+        elements.nextPaymentMonth.value = String(nextMonth.getMonth() + 1).padStart(2, '0');
+
+        // Refinance: last year to 5 years out, defaulting to this month
+        populateYearDropdown(elements.refiYear, currentYear - 1, currentYear + 5, currentYear);
+        elements.refiMonth.value = currentMonth;
     }
 
     /**
@@ -135,15 +535,127 @@
     }
 
     /**
-     * Get lump sum date from dropdowns
+     * Gather loan data from the step 1 inputs
      */
-    function getLumpSumDate() {
-        const month = elements.lumpSumMonth.value;
-        const year = elements.lumpSumYear.value;
-        if (month && year) {
-            return `${year}-${month}`;
+    function getLoanData() {
+        const loanData = {
+            principal: MortgageCalculator.parseCurrency(elements.loanAmount.value),
+            annualRate: MortgageCalculator.parseNumber(elements.interestRate.value),
+            termYears: parseInt(elements.loanTerm.value),
+            startDate: getStartDate(),
+            loanType: elements.loanType.value,
+            structure: elements.loanStructure.value,
+            region: elements.region.value,
+            dayCount: elements.dayCount.value,
+            compounding: elements.compounding.value,
+            rounding: elements.rounding.value,
+            prepaymentLimit: elements.prepaymentLimit.value.trim() === '' ? 0 : MortgageCalculator.parseNumber(elements.prepaymentLimit.value),
+            prepaymentYears: elements.prepaymentYears.value.trim() === '' ? 0 : MortgageCalculator.parseNumber(elements.prepaymentYears.value),
+            prepaymentPenalty: elements.prepaymentPenaltyType.value === 'none' ? null : {
+                type: elements.prepaymentPenaltyType.value,
+                value: MortgageCalculator.parseNumber(elements.prepaymentPenaltyValue.value)
+            },
+            escrow: {
+                homeValue: MortgageCalculator.parseCurrency(elements.homeValue.value),
+                propertyTaxAnnual: MortgageCalculator.parseCurrency(elements.propertyTax.value),
+                insuranceAnnual: MortgageCalculator.parseCurrency(elements.homeInsurance.value),
+                hoaMonthly: MortgageCalculator.parseCurrency(elements.hoaDues.value),
+                // Government programs charge their own premium in place of PMI
+                pmiRate: elements.loanProgram.value === 'conventional' ?
+                    MortgageCalculator.parseNumber(elements.pmiRate.value) || 0 : 0,
+                pmiCancellation: elements.pmiCancellation.value
+            }
+        };
+
+        if (elements.loanProgram.value !== 'conventional') {
+            loanData.program = {
+                type: elements.loanProgram.value,
+                financeUpfrontFee: elements.upfrontFeeFinancing.value === 'financed',
+                vaUse: elements.vaFundingFeeUse.value
+            };
+        }
+
+        if (loanData.loanType === 'arm') {
+            loanData.arm = {
+                initialPeriodYears: parseInt(elements.armInitialPeriod.value),
+                resetFrequencyMonths: parseInt(elements.armResetFrequency.value),
+                index: MortgageCalculator.parseNumber(elements.armIndex.value),
+                margin: MortgageCalculator.parseNumber(elements.armMargin.value),
+                initialCap: MortgageCalculator.parseNumber(elements.armInitialCap.value),
+                periodicCap: MortgageCalculator.parseNumber(elements.armPeriodicCap.value),
+                lifetimeCap: MortgageCalculator.parseNumber(elements.armLifetimeCap.value)
+            };
+        }
+
+        // A HELOC runs for its draw period plus its repayment period, interest-only while drawing
+        if (loanData.loanType === 'heloc') {
+            loanData.heloc = getHelocData();
+            loanData.termYears = loanData.heloc.drawYears + loanData.heloc.repaymentYears;
+            loanData.structure = 'amortizing';
+        }
+
+        if (loanData.structure === 'interest-only') {
+            loanData.interestOnlyYears = parseInt(elements.interestOnlyYears.value);
+        } else if (loanData.structure === 'balloon') {
+            loanData.balloonYears = parseInt(elements.balloonYears.value);
+        }
+
+        if (elements.loanStatus.value === 'existing') {
+            loanData.existing = getExistingLoanData();
+        }
+
+        // Blank standard deduction and loan limit use the filing status defaults
+        if (elements.marginalTaxRate.value.trim() !== '') {
+            loanData.tax = {
+                filingStatus: elements.filingStatus.value,
+                marginalRate: MortgageCalculator.parseNumber(elements.marginalTaxRate.value),
+                standardDeduction: elements.standardDeduction.value.trim() !== '' ?
+                    MortgageCalculator.parseCurrency(elements.standardDeduction.value) : undefined,
+                otherDeductions: MortgageCalculator.parseCurrency(elements.otherDeductions.value),
+                loanLimit: MortgageCalculator.parseCurrency(elements.taxLoanLimit.value)
+            };
+        }
+
+        return loanData;
+    }
+
+    /**
+     * Gather where an existing loan stands today. Statements give either the
+     * remaining term or the current payment; the other is worked out.
+     */
+    function getExistingLoanData() {
+        if (elements.existingSource.value !== 'statement') {
+            return {
+                source: 'history',
+                paymentsMade: parseInt(elements.paymentsMade.value)
+            };
+        }
+
+        const byPayment = elements.remainingBasis.value === 'payment';
+        return {
+            source: 'statement',
+            balance: MortgageCalculator.parseCurrency(elements.currentBalance.value),
+            nextPaymentDate: `${elements.nextPaymentYear.value}-${elements.nextPaymentMonth.value}`,
+            remainingMonths: byPayment ? undefined : parseInt(elements.remainingMonths.value),
+            currentPayment: byPayment ? MortgageCalculator.parseCurrency(elements.currentPayment.value) : undefined
+        };
+    }
+
+    /**
+     * First payment of the projection: the loan start, or an existing loan's next payment
+     */
+    function getProjectionStartDate() {
+        const loanData = getLoanData();
+        if (!loanData.existing || !loanData.startDate) {
+            return loanData.startDate;
+        }
+        if (loanData.existing.source === 'statement') {
+            return loanData.existing.nextPaymentDate;
         }
-        return '';
+
+        const date = MortgageCalculator.parseDate(loanData.startDate);
+        date.setMonth(date.getMonth() + (loanData.existing.paymentsMade || 0));
+        return MortgageCalculator.formatDate(date);
     }
 
     /**
@@ -170,6 +682,28 @@
         // Form submission
         elements.form.addEventListener('submit', handleSubmit);
 
+        // Loan type
+        elements.loanType?.addEventListener('change', updateLoanTypeFields);
+        elements.prepaymentPenaltyType?.addEventListener('change', updatePrepaymentPenaltyFields);
+        elements.loanStructure?.addEventListener('change', updateLoanTypeFields);
+        elements.loanStatus?.addEventListener('change', updateLoanTypeFields);
+        elements.existingSource?.addEventListener('change', updateLoanTypeFields);
+        elements.remainingBasis?.addEventListener('change', updateLoanTypeFields);
+
+        // Loan program fees follow the base loan, term and home value
+        [elements.loanProgram, elements.vaFundingFeeUse, elements.loanTerm].forEach(select => {
+            select?.addEventListener('change', updateLoanProgramFields);
+        });
+        [elements.loanAmount, elements.homeValue].forEach(input => {
+            input?.addEventListener('input', updateLoanProgramFields);
+        });
+
+        // Tax deduction defaults follow the filing status and loan start
+        [elements.filingStatus, elements.startMonth, elements.startYear].forEach(select => {
+            select?.addEventListener('change', updateTaxDefaults);
+        });
+        updateTaxDefaults();
+
         // Results actions
         elements.showAccelerated?.addEventListener('change', handleToggleSchedule);
         elements.prevPage?.addEventListener('click', () => changePage(-1));
@@ -185,9 +719,163 @@
             if (state.originalResult && state.acceleratedResult) {
                 renderActiveChart();
             }
+            if (state.investmentAnalysis && !elements.investComparison.hidden) {
+                renderInvestmentChart();
+            }
+            if (state.simulation && !elements.simulationResults.hidden) {
+                renderSimulationChart();
+            }
+            if (state.sensitivity && !elements.sensitivityChartContainer.hidden) {
+                renderSensitivityChart();
+            }
+            if (state.refinanceAnalysis && !elements.refinanceMode.hidden) {
+                renderRefinanceChart();
+            }
+            if (state.pointsAnalysis && !elements.pointsMode.hidden) {
+                renderPointsChart();
+            }
+            if (state.debtAnalysis && !elements.debtsMode.hidden) {
+                renderDebtChart();
+            }
+        });
+    }
+
+    /**
+     * Show the ARM or HELOC terms only for those loan types, the interest-only
+     * period or balloon date only for those payment structures, and the
+     * current position only for existing loans. A HELOC sets its own term and structure.
+     */
+    function updateLoanTypeFields() {
+        const isHeloc = elements.loanType.value === 'heloc';
+        elements.armOptions.hidden = elements.loanType.value !== 'arm';
+        elements.helocOptions.hidden = !isHeloc;
+        elements.loanTermGroup.hidden = isHeloc;
+        elements.loanStructureGroup.hidden = isHeloc;
+        elements.interestOnlyGroup.hidden = isHeloc || elements.loanStructure.value !== 'interest-only';
+        elements.balloonGroup.hidden = isHeloc || elements.loanStructure.value !== 'balloon';
+        elements.loanAmountLabel.textContent = isHeloc ? 'Opening Balance' : 'Loan Amount';
+        elements.loanAmountHint.textContent = isHeloc ? 'Drawn when the line opens' : 'Original borrowed amount';
+
+        const existing = elements.loanStatus.value === 'existing';
+        const fromStatement = elements.existingSource.value === 'statement';
+        const byPayment = elements.remainingBasis.value === 'payment';
+        elements.existingOptions.hidden = !existing;
+        elements.paymentsMadeGroup.hidden = fromStatement;
+        elements.statementFields.forEach(field => {
+            field.hidden = !fromStatement;
+        });
+        elements.remainingMonthsGroup.hidden = !fromStatement || byPayment;
+        elements.currentPaymentGroup.hidden = !fromStatement || !byPayment;
+
+        // Default payments made to those due up to this month, so the next one is due next month
+        const startDate = getStartDate();
+        if (existing && !fromStatement && elements.paymentsMade.value === '' && startDate) {
+            const elapsed = MortgageCalculator.getLoanMonth(MortgageCalculator.parseDate(startDate), new Date());
+            elements.paymentsMade.value = Math.max(0, elapsed);
+        }
+    }
+
+    /**
+     * Setup the HELOC draw and rate change lists
+     */
+    function setupHeloc() {
+        elements.addHelocDraw?.addEventListener('click', () => {
+            addHelocItem(elements.helocDrawList, elements.helocDrawTemplate, { date: getNextYearDate(), value: '' });
+        });
+        elements.addHelocRate?.addEventListener('click', () => {
+            addHelocItem(elements.helocRateList, elements.helocRateTemplate, { date: getNextYearDate(), value: '' });
+        });
+
+        [elements.helocDrawList, elements.helocRateList].forEach(list => {
+            list?.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.rule-remove');
+                if (removeBtn) {
+                    removeBtn.closest('.heloc-item').remove();
+                    updateLivePreview();
+                }
+            });
+            list?.addEventListener('input', updateLivePreview);
+            list?.addEventListener('change', updateLivePreview);
         });
     }
 
+    /**
+     * Same month next year, the default date for a new draw or rate change
+     */
+    function getNextYearDate() {
+        const now = new Date();
+        return `${now.getFullYear() + 1}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    /**
+     * Add a dated draw or rate change row to a HELOC list
+     */
+    function addHelocItem(list, template, item) {
+        const fragment = template.content.cloneNode(true);
+        const row = fragment.querySelector('.heloc-item');
+        const currentYear = new Date().getFullYear();
+        const [year, month] = item.date.split('-');
+        const value = row.querySelector('.heloc-value');
+
+        populateYearDropdown(row.querySelector('.heloc-year'), currentYear - 30, currentYear + 40, parseInt(year));
+        row.querySelector('.heloc-month').value = month;
+
+        if (list === elements.helocDrawList) {
+            value.value = item.value > 0 ? MortgageCalculator.formatNumber(item.value) : '';
+            setupCurrencyInput(value);
+        } else {
+            value.value = formatRateInput(item.value);
+        }
+
+        list.appendChild(fragment);
+        if (item.value === '') {
+            value.focus();
+        }
+
+        return row;
+    }
+
+    /**
+     * Remove all HELOC draws and rate changes
+     */
+    function clearHelocItems() {
+        elements.helocDrawList.innerHTML = '';
+        elements.helocRateList.innerHTML = '';
+    }
+
+    /**
+     * Read the HELOC terms, with draws and rate changes in the order they are listed
+     */
+    function getHelocData() {
+        const readItems = (list) => [...list.querySelectorAll('.heloc-item')].map(row => ({
+            date: `${row.querySelector('.heloc-year').value}-${row.querySelector('.heloc-month').value}`,
+            value: row.querySelector('.heloc-value').value
+        }));
+
+        return {
+            drawYears: parseInt(elements.helocDrawYears.value),
+            repaymentYears: parseInt(elements.helocRepaymentYears.value),
+            draws: readItems(elements.helocDrawList).map(({ date, value }) => ({
+                date,
+                amount: MortgageCalculator.parseCurrency(value)
+            })),
+            rateSteps: readItems(elements.helocRateList).map(({ date, value }) => ({
+                date,
+                rate: MortgageCalculator.parseNumber(value)
+            }))
+        };
+    }
+
+    /**
+     * Show the filing status's standard deduction and deductible loan limit as placeholders
+     */
+    function updateTaxDefaults() {
+        const status = MortgageCalculator.TAX_FILING_STATUSES[elements.filingStatus.value];
+        const loanLimit = MortgageCalculator.getDefaultLoanLimit(elements.filingStatus.value, getStartDate());
+        elements.standardDeduction.placeholder = MortgageCalculator.formatNumber(status.standardDeduction);
+        elements.taxLoanLimit.placeholder = MortgageCalculator.formatNumber(loanLimit);
+    }
+
     /**
      * Setup strategy card toggles
      */
@@ -233,312 +921,2495 @@
     }
 
     /**
-     * Update strategy summary text
+     * Setup the payment frequency card
      */
-    function updateStrategySummary() {
-        const activeStrategies = [];
+    function setupPaymentFrequency() {
+        elements.paymentFrequency.addEventListener('change', () => {
+            updatePaymentFrequency();
+            updateStrategySummary();
+        });
+        updatePaymentFrequency();
+    }
 
-        if (elements.enableExtraMonthly?.checked) activeStrategies.push('Extra Monthly');
-        if (elements.biweekly?.checked) activeStrategies.push('Bi-Weekly');
-        if (elements.enableLumpSum?.checked) activeStrategies.push('Lump Sum');
-        if (elements.enableAnnualExtra?.checked) activeStrategies.push('Annual Extra');
+    /**
+     * Switch the payment frequency card to a frequency (monthly turns the card off)
+     */
+    function setPaymentFrequency(paymentFrequency) {
+        const enabled = paymentFrequency !== 'monthly';
+        if (enabled) {
+            elements.paymentFrequency.value = paymentFrequency;
+            updatePaymentFrequency();
+        }
+        if (elements.paymentFrequencyEnabled.checked !== enabled) {
+            elements.paymentFrequencyEnabled.checked = enabled;
+            elements.paymentFrequencyEnabled.dispatchEvent(new Event('change'));
+        }
+        updateStrategySummary();
+    }
 
-        const summaryText = elements.strategySummary.querySelector('.summary-text');
-        const summaryIcon = elements.strategySummary.querySelector('.summary-icon');
+    /**
+     * Setup the region select, which fills in local conventions and defaults
+     */
+    function setupRegion() {
+        elements.region.addEventListener('change', () => {
+            const preset = MortgageCalculator.REGIONAL_PRESETS[elements.region.value];
+
+            elements.compounding.value = preset.compounding;
+            elements.dayCount.value = preset.dayCount;
+            if (elements.loanType.value !== 'heloc') {
+                elements.loanTerm.value = String(preset.termYears);
+            }
+            elements.prepaymentLimit.value = preset.prepaymentLimit || '';
+            setPaymentFrequency(preset.paymentFrequency);
+            applyFormat({ locale: preset.locale, currency: preset.currency });
+        });
+    }
 
-        if (activeStrategies.length === 0) {
-            summaryIcon.textContent = '✨';
-            summaryText.textContent = 'Select at least one strategy to see your potential savings';
+    /**
+     * Label the penalty input for the chosen penalty: a percentage, months of interest, or the
+     * rate an interest rate differential is worked out against
+     */
+    function updatePrepaymentPenaltyFields() {
+        const fields = {
+            percent: {
+                label: 'Penalty', hint: 'Percent of the amount over the privilege', unit: '%', example: 3
+            },
+            interest: {
+                label: 'Months of Interest', hint: 'At the loan\'s rate, on the amount over the privilege', unit: 'mo', example: 3
+            },
+            ird: {
+                label: 'Comparison Rate', hint: 'Lender\'s rate today for the rest of the period', unit: '%', example: 4
+            }
+        }[elements.prepaymentPenaltyType.value];
+
+        elements.prepaymentPenaltyValueGroup.hidden = !fields;
+        if (!fields) return;
+
+        elements.prepaymentPenaltyValueLabel.textContent = fields.label;
+        elements.prepaymentPenaltyValueHint.textContent = fields.hint;
+        elements.prepaymentPenaltyUnit.textContent = fields.unit;
+        elements.prepaymentPenaltyValue.placeholder = formatRateInput(fields.example);
+    }
+
+    /**
+     * Show the VA benefit use and upfront fee only for government programs, and PMI only without
+     * one. The fee hint shows the fee once the home value gives the LTV it depends on.
+     */
+    function updateLoanProgramFields() {
+        const type = elements.loanProgram.value;
+        const isGovernment = type !== 'conventional';
+
+        elements.vaFundingFeeGroup.hidden = type !== 'va';
+        elements.upfrontFeeGroup.hidden = !isGovernment || (type === 'va' && elements.vaFundingFeeUse.value === 'exempt');
+        elements.pmiRateGroup.hidden = isGovernment;
+        elements.pmiCancellationGroup.hidden = isGovernment;
+        if (!isGovernment) return;
+
+        const loanData = {
+            principal: MortgageCalculator.parseCurrency(elements.loanAmount.value),
+            termYears: parseInt(elements.loanTerm.value),
+            program: { type, vaUse: elements.vaFundingFeeUse.value },
+            escrow: { homeValue: MortgageCalculator.parseCurrency(elements.homeValue.value) }
+        };
+        const fees = loanData.principal > 0 && loanData.escrow.homeValue > 0 ?
+            MortgageCalculator.getProgramFees(loanData) : null;
+
+        elements.upfrontFeeLabel.textContent = type === 'va' ? 'VA Funding Fee' :
+            `Upfront ${MortgageCalculator.LOAN_PROGRAMS[type].insuranceLabel}`;
+        elements.upfrontFeeHint.textContent = fees ?
+            `${MortgageCalculator.formatPercent(fees.upfrontRate)} of the base loan: ${MortgageCalculator.formatCurrency(fees.upfrontFee)}` :
+            'Percent of the base loan; enter the home value to see it';
+    }
+
+    /**
+     * Describe the chosen frequency, and offer held payments only where each month's payments
+     * cover the monthly payment
+     */
+    function updatePaymentFrequency() {
+        const frequency = MortgageCalculator.PAYMENT_FREQUENCIES[elements.paymentFrequency.value];
+        const monthsPerYear = Math.round(frequency.periodsPerYear * frequency.share);
+
+        elements.paymentFrequencyDesc.textContent =
+            `${frequency.periodsPerYear} payments = ${monthsPerYear} months/year`;
+        elements.biweeklyMethodField.hidden = !frequency.canHold;
+    }
+
+    /**
+     * The payment frequency chosen on the strategy card, or monthly when the card is off
+     */
+    function getPaymentFrequency() {
+        return elements.paymentFrequencyEnabled.checked ? elements.paymentFrequency.value : 'monthly';
+    }
+
+    /**
+     * Setup the extra payment rule list and the preset cards that add to it
+     */
+    function setupExtraPayments() {
+        elements.addExtraPayment?.addEventListener('click', () => {
+            addExtraPaymentRule(getPresetRule('monthly'));
+        });
+
+        elements.strategyPresets.forEach(card => {
+            card.addEventListener('click', () => {
+                addExtraPaymentRule(getPresetRule(card.dataset.preset));
+            });
+        });
+
+        elements.extraPaymentList?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.rule-remove');
+            if (removeBtn) {
+                removeBtn.closest('.extra-payment-rule').remove();
+                updateExtraPaymentList();
+            }
+        });
+
+        elements.extraPaymentList?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('rule-frequency')) {
+                updateRuleFields(e.target.closest('.extra-payment-rule'));
+                updateRecastOptions();
+            }
+            updateStrategySummary();
+        });
+
+        elements.lumpSumMode?.addEventListener('change', updateRecastOptions);
+    }
+
+    /**
+     * Starting values for a new rule added from a preset card
+     */
+    function getPresetRule(preset) {
+        const now = new Date();
+        const currentMonth = String(now.getMonth() + 1).padStart(2, '0');
+        const rule = { amount: 0, frequency: preset, startDate: '', endDate: '', growthRate: 0 };
+
+        if (preset === 'once') {
+            // Lump sum: next year, same month
+            rule.startDate = `${now.getFullYear() + 1}-${currentMonth}`;
+        } else if (preset === 'annually') {
+            // Yearly bonus: every December
+            rule.startDate = `${now.getFullYear()}-12`;
         } else {
-            summaryIcon.textContent = '🚀';
-            summaryText.textContent = `Active strategies: ${activeStrategies.join(', ')}`;
+            rule.startDate = getProjectionStartDate() || `${now.getFullYear()}-${currentMonth}`;
         }
+
+        return rule;
     }
 
     /**
-     * Setup chart tab navigation
+     * Add an extra payment rule row to the list
      */
-    function setupChartTabs() {
-        const tabs = document.querySelectorAll('.chart-tab');
-        const panels = document.querySelectorAll('.chart-panel');
+    function addExtraPaymentRule(rule) {
+        const fragment = elements.extraPaymentTemplate.content.cloneNode(true);
+        const row = fragment.querySelector('.extra-payment-rule');
+        const currentYear = new Date().getFullYear();
+        const [startYear, startMonth] = rule.startDate.split('-');
+        const [endYear, endMonth] = (rule.endDate || '').split('-');
+
+        const startYearSelect = row.querySelector('.rule-start-year');
+        const endYearSelect = row.querySelector('.rule-end-year');
+        populateYearDropdown(startYearSelect, currentYear - 30, currentYear + 30, parseInt(startYear));
+        populateYearDropdown(endYearSelect, currentYear - 30, currentYear + 40, parseInt(endYear));
+        endYearSelect.insertBefore(new Option('No end', ''), endYearSelect.firstChild);
+        endYearSelect.value = endYear || '';
+
+        row.querySelector('.rule-amount').value = rule.amount > 0 ? MortgageCalculator.formatNumber(rule.amount) : '';
+        row.querySelector('.rule-frequency').value = rule.frequency;
+        row.querySelector('.rule-start-month').value = startMonth;
+        row.querySelector('.rule-end-month').value = endMonth || '12';
+        row.querySelector('.rule-growth').value = rule.growthRate ? formatRateInput(rule.growthRate) : '';
+
+        setupCurrencyInput(row.querySelector('.rule-amount'));
+        updateRuleFields(row);
+
+        elements.extraPaymentList.appendChild(fragment);
+        updateExtraPaymentList();
+
+        if (!rule.amount) {
+            row.querySelector('.rule-amount').focus();
+        }
 
-        tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                const chartType = tab.dataset.chart;
+        return row;
+    }
 
-                tabs.forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
+    /**
+     * End date and growth only apply to recurring payments
+     */
+    function updateRuleFields(row) {
+        const isOnce = row.querySelector('.rule-frequency').value === 'once';
+        row.querySelectorAll('.rule-recurring').forEach(field => {
+            field.hidden = isOnce;
+        });
+    }
 
-                panels.forEach(panel => {
-                    panel.classList.toggle('active', panel.id === `chart-${chartType}`);
-                });
+    /**
+     * Refresh the empty state and summary after rules are added or removed
+     */
+    function updateExtraPaymentList() {
+        elements.extraPaymentsEmpty.hidden = elements.extraPaymentList.children.length > 0;
+        updateRecastOptions();
+        updateStrategySummary();
+    }
+
+    /**
+     * Offer the recast choice only when the plan includes a one-time payment
+     */
+    function updateRecastOptions() {
+        const hasLumpSum = [...elements.extraPaymentList.querySelectorAll('.rule-frequency')]
+            .some(select => select.value === 'once');
+
+        elements.recastOptions.hidden = !hasLumpSum;
+        elements.recastFeeGroup.hidden = elements.lumpSumMode.value !== 'recast';
+    }
+
+    /**
+     * Remove all extra payment rules
+     */
+    function clearExtraPayments() {
+        elements.extraPaymentList.innerHTML = '';
+        updateExtraPaymentList();
+    }
+
+    /**
+     * Read the extra payment rules, in the order they are listed
+     */
+    function getExtraPayments(rows = elements.extraPaymentList.querySelectorAll('.extra-payment-rule')) {
+        return [...rows].map(row => {
+            const frequency = row.querySelector('.rule-frequency').value;
+            const endYear = row.querySelector('.rule-end-year').value;
+            const isOnce = frequency === 'once';
+
+            return {
+                amount: MortgageCalculator.parseCurrency(row.querySelector('.rule-amount').value),
+                frequency,
+                startDate: `${row.querySelector('.rule-start-year').value}-${row.querySelector('.rule-start-month').value}`,
+                endDate: !isOnce && endYear ? `${endYear}-${row.querySelector('.rule-end-month').value}` : '',
+                growthRate: isOnce ? 0 : MortgageCalculator.parseNumber(row.querySelector('.rule-growth').value) || 0
+            };
+        });
+    }
+
+    /**
+     * Show validation errors next to each extra payment rule
+     */
+    function showExtraPaymentErrors(errors) {
+        elements.extraPaymentList.querySelectorAll('.extra-payment-rule').forEach((row, index) => {
+            row.querySelector('.rule-error').textContent = errors[index] || '';
+        });
+    }
+
+    /**
+     * Setup the list of skipped, reduced and forbearance periods
+     */
+    function setupPaymentRelief() {
+        elements.addPaymentRelief?.addEventListener('click', () => {
+            addReliefPeriod({
+                type: 'skip',
+                startDate: getProjectionStartDate() || MortgageCalculator.formatDate(new Date()),
+                months: 3,
+                amount: 0,
+                interest: 'capitalize'
+            });
+        });
+
+        elements.paymentReliefList?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.rule-remove');
+            if (removeBtn) {
+                removeBtn.closest('.relief-period').remove();
+                updatePaymentReliefList();
+            }
+        });
+
+        elements.paymentReliefList?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('relief-type')) {
+                const row = e.target.closest('.relief-period');
+                // Servicers usually capitalize skipped interest and defer forbearance to payoff
+                const defaults = { skip: 'capitalize', forbearance: 'defer' };
+                if (defaults[e.target.value]) {
+                    row.querySelector('.relief-interest').value = defaults[e.target.value];
+                }
+                updateReliefFields(row);
+            }
+        });
+    }
+
+    /**
+     * Add a payment relief row to the list
+     */
+    function addReliefPeriod(period) {
+        const fragment = elements.paymentReliefTemplate.content.cloneNode(true);
+        const row = fragment.querySelector('.relief-period');
+        const currentYear = new Date().getFullYear();
+        const [startYear, startMonth] = period.startDate.split('-');
+
+        populateYearDropdown(row.querySelector('.relief-start-year'), currentYear - 30, currentYear + 30, parseInt(startYear));
+        row.querySelector('.relief-type').value = period.type;
+        row.querySelector('.relief-start-month').value = startMonth;
+        row.querySelector('.relief-months').value = period.months || '';
+        row.querySelector('.relief-amount').value = period.amount > 0 ? MortgageCalculator.formatNumber(period.amount) : '';
+        row.querySelector('.relief-interest').value = period.interest;
+
+        setupCurrencyInput(row.querySelector('.relief-amount'));
+        updateReliefFields(row);
+
+        elements.paymentReliefList.appendChild(fragment);
+        updatePaymentReliefList();
+
+        return row;
+    }
+
+    /**
+     * The payment amount only applies to reduced payments
+     */
+    function updateReliefFields(row) {
+        row.querySelector('.relief-reduced').hidden = row.querySelector('.relief-type').value !== 'reduced';
+    }
+
+    /**
+     * Refresh the empty state after relief periods are added or removed
+     */
+    function updatePaymentReliefList() {
+        elements.paymentReliefEmpty.hidden = elements.paymentReliefList.children.length > 0;
+    }
+
+    /**
+     * Remove all payment relief periods
+     */
+    function clearPaymentRelief() {
+        elements.paymentReliefList.innerHTML = '';
+        updatePaymentReliefList();
+    }
+
+    /**
+     * Read the payment relief periods, in the order they are listed
+     */
+    function getPaymentRelief() {
+        return [...elements.paymentReliefList.querySelectorAll('.relief-period')].map(row => {
+            const type = row.querySelector('.relief-type').value;
+
+            return {
+                type,
+                startDate: `${row.querySelector('.relief-start-year').value}-${row.querySelector('.relief-start-month').value}`,
+                months: Number(row.querySelector('.relief-months').value.trim()),
+                amount: type === 'reduced' ? MortgageCalculator.parseCurrency(row.querySelector('.relief-amount').value) : 0,
+                interest: row.querySelector('.relief-interest').value
+            };
+        });
+    }
+
+    /**
+     * Show validation errors next to each payment relief period
+     */
+    function showPaymentReliefErrors(errors) {
+        elements.paymentReliefList.querySelectorAll('.relief-period').forEach((row, index) => {
+            row.querySelector('.rule-error').textContent = errors[index] || '';
+        });
+    }
+
+    /**
+     * Setup the "Pay off by…" goal seek panel
+     */
+    function setupGoalSeek() {
+        const currentYear = new Date().getFullYear();
+        populateYearDropdown(elements.goalYear, currentYear, currentYear + 40, currentYear + 15);
+        populateYearDropdown(elements.goalStartYear, currentYear - 30, currentYear + 30, currentYear);
+
+        setupCurrencyInput(elements.goalInterest);
+
+        elements.goalToggle?.addEventListener('click', () => {
+            const isOpen = elements.goalSeek.hidden;
+            if (isOpen && !elements.goalSeek.dataset.ready) {
+                setGoalDefaults();
+                elements.goalSeek.dataset.ready = 'true';
+            }
+            elements.goalSeek.hidden = !isOpen;
+            elements.goalToggle.setAttribute('aria-expanded', isOpen);
+        });
+
+        elements.goalType?.addEventListener('change', updateGoalFields);
+        elements.goalStrategy?.addEventListener('change', updateGoalFields);
+        elements.goalSolve?.addEventListener('click', handleGoalSolve);
+    }
+
+    /**
+     * Default the goal to five years before the original payoff, starting this month
+     */
+    function setGoalDefaults() {
+        const loanData = getLoanData();
+        const now = MortgageCalculator.formatDate(new Date());
+        const startDate = loanData.startDate && loanData.startDate > now ? loanData.startDate : now;
+        const [startYear, startMonth] = startDate.split('-');
+        elements.goalStartYear.value = startYear;
+        elements.goalStartMonth.value = startMonth;
+
+        if (MortgageCalculator.validateLoanData(loanData).isValid) {
+            const payoff = MortgageCalculator.generateOriginalSchedule(loanData).payoffDate;
+            const [payoffYear, payoffMonth] = payoff.split('-');
+            elements.goalYear.value = Math.max(parseInt(payoffYear) - 5, parseInt(startYear));
+            elements.goalMonth.value = payoffMonth;
+        }
+    }
+
+    /**
+     * Show the target input that matches the goal type
+     */
+    function updateGoalFields() {
+        const isDate = elements.goalType.value === 'payoffDate';
+        elements.goalDateGroup.hidden = !isDate;
+        elements.goalInterestGroup.hidden = isDate;
+        elements.goalStartLabel.textContent =
+            elements.goalStrategy.value === 'lumpSum' ? 'Lump Sum Date' : 'Starting';
+    }
+
+    /**
+     * Solve for the extra payment and fill it into the strategy inputs
+     */
+    function handleGoalSolve() {
+        const rows = [...elements.extraPaymentList.querySelectorAll('.extra-payment-rule')];
+        const solvedRows = rows.filter(row => row.dataset.solved);
+        const otherRows = rows.filter(row => !row.dataset.solved);
+
+        const accelerationOptions = {
+            paymentFrequency: getPaymentFrequency(),
+            biweeklyMethod: elements.biweeklyMethod.value,
+            extraPayments: getExtraPayments(otherRows),
+            recast: elements.lumpSumMode.value === 'recast',
+            recastFee: elements.lumpSumMode.value === 'recast' ?
+                MortgageCalculator.parseCurrency(elements.recastFee.value) : 0,
+            paymentRelief: getPaymentRelief()
+        };
+
+        const goal = {
+            type: elements.goalType.value,
+            target: elements.goalType.value === 'payoffDate' ?
+                `${elements.goalYear.value}-${elements.goalMonth.value}` :
+                MortgageCalculator.parseCurrency(elements.goalInterest.value),
+            strategy: elements.goalStrategy.value,
+            startDate: `${elements.goalStartYear.value}-${elements.goalStartMonth.value}`
+        };
+
+        if (goal.type === 'totalInterest' && !(goal.target > 0)) {
+            showGoalResult('Please enter a target total interest', 'error');
+            return;
+        }
+
+        const validation = MortgageCalculator.validateExtraPayments(accelerationOptions.extraPayments);
+        if (!validation.isValid) {
+            showExtraPaymentErrors(validation.errors);
+            showGoalResult('Fix the extra payments below first', 'error');
+            return;
+        }
+
+        const reliefValidation = MortgageCalculator.validatePaymentRelief(accelerationOptions.paymentRelief);
+        if (!reliefValidation.isValid) {
+            showPaymentReliefErrors(reliefValidation.errors);
+            showGoalResult('Fix the missed or reduced payments below first', 'error');
+            return;
+        }
+
+        const solution = MortgageCalculator.solveExtraPayment(getLoanData(), accelerationOptions, goal);
+
+        if (!solution.reachable) {
+            showGoalResult(solution.message, 'error');
+            return;
+        }
+
+        const outcome = `pays off in ${MortgageCalculator.formatDateDisplay(solution.result.payoffDate)} ` +
+            `with ${MortgageCalculator.formatCurrency(solution.result.totalInterest)} total interest`;
+
+        if (solution.alreadyMet) {
+            showGoalResult(`Your current plan already reaches this goal: it ${outcome}.`, 'success');
+            return;
+        }
+
+        // Replace the amount from any earlier solve
+        solvedRows.forEach(row => row.remove());
+
+        if (goal.strategy === 'biweekly' && !elements.paymentFrequencyEnabled.checked) {
+            setPaymentFrequency('accelerated-biweekly');
+        }
+
+        const isLumpSum = goal.strategy === 'lumpSum';
+        const row = addExtraPaymentRule({
+            amount: solution.amount,
+            frequency: isLumpSum ? 'once' : 'monthly',
+            startDate: goal.startDate,
+            endDate: '',
+            growthRate: 0
+        });
+        row.dataset.solved = 'true';
+
+        const amount = MortgageCalculator.formatCurrency(solution.amount);
+        const payment = isLumpSum ?
+            `A ${amount} lump sum in ${MortgageCalculator.formatDateDisplay(goal.startDate)}` :
+            `${amount}/month extra from ${MortgageCalculator.formatDateDisplay(goal.startDate)}`;
+        showGoalResult(`${payment} ${outcome}. Added to your extra payments below.`, 'success');
+    }
+
+    /**
+     * Show the goal seek outcome
+     */
+    function showGoalResult(message, type) {
+        elements.goalResult.textContent = message;
+        elements.goalResult.className = `goal-result ${type}`;
+    }
+
+    /**
+     * Update strategy summary text
+     */
+    function updateStrategySummary() {
+        const activeStrategies = [];
+        const ruleCount = elements.extraPaymentList?.children.length || 0;
+
+        const paymentFrequency = getPaymentFrequency();
+        if (paymentFrequency !== 'monthly') {
+            activeStrategies.push(MortgageCalculator.PAYMENT_FREQUENCIES[paymentFrequency].label);
+        }
+        if (ruleCount > 0) activeStrategies.push(`${ruleCount} extra payment${ruleCount > 1 ? 's' : ''}`);
+
+        const summaryText = elements.strategySummary.querySelector('.summary-text');
+        const summaryIcon = elements.strategySummary.querySelector('.summary-icon');
+
+        if (activeStrategies.length === 0) {
+            summaryIcon.textContent = '✨';
+            summaryText.textContent = 'Select at least one strategy to see your potential savings';
+        } else {
+            summaryIcon.textContent = '🚀';
+            summaryText.textContent = `Active strategies: ${activeStrategies.join(', ')}`;
+        }
+    }
+
+    /**
+     * Setup chart tab navigation
+     */
+    function setupChartTabs() {
+        const tabs = document.querySelectorAll('.chart-tab');
+        const panels = document.querySelectorAll('.chart-panel[id^="chart-"]');
+
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                const chartType = tab.dataset.chart;
+
+                tabs.forEach(t => t.classList.remove('active'));
+                tab.classList.add('active');
+
+                panels.forEach(panel => {
+                    panel.classList.toggle('active', panel.id === `chart-${chartType}`);
+                });
+
+                if (state.originalResult && state.acceleratedResult) {
+                    renderChart(chartType);
+                }
+            });
+        });
+    }
+
+    /**
+     * Setup input formatting
+     */
+    function setupInputFormatting() {
+        const currencyInputs = [
+            elements.loanAmount,
+            elements.refiClosingCosts,
+            elements.refiCashOut,
+            elements.refiExtraMonthly,
+            elements.pointsExtraMonthly,
+            elements.homeValue,
+            elements.propertyTax,
+            elements.homeInsurance,
+            elements.hoaDues,
+            elements.recastFee,
+            elements.currentBalance,
+            elements.currentPayment,
+            elements.standardDeduction,
+            elements.otherDeductions,
+            elements.taxLoanLimit
+        ];
+
+        currencyInputs.forEach(input => {
+            if (input) setupCurrencyInput(input);
+        });
+
+        elements.interestRate?.addEventListener('blur', function() {
+            const value = MortgageCalculator.parseNumber(this.value);
+            if (!isNaN(value) && value > 0) {
+                this.value = formatRateInput(value);
+            }
+        });
+    }
+
+    /**
+     * Show thousands separators when a currency input loses focus
+     */
+    function setupCurrencyInput(input) {
+        input.addEventListener('blur', function() {
+            const value = MortgageCalculator.parseCurrency(this.value);
+            if (value > 0) {
+                this.value = MortgageCalculator.formatNumber(value);
+            }
+        });
+
+        input.addEventListener('focus', function() {
+            const value = MortgageCalculator.parseCurrency(this.value);
+            if (value > 0) {
+                this.value = MortgageCalculator.formatNumber(value, 2, false);
+            } else {
+                this.value = '';
+            }
+        });
+    }
+
+    /**
+     * Write a rate or percentage into an input in the locale, up to three decimals (e.g., "6,125")
+     */
+    function formatRateInput(value) {
+        if (value === '' || value === undefined || value === null || isNaN(value)) return '';
+        return MortgageCalculator.formatNumber(value, 3, false);
+    }
+
+    /**
+     * Setup live preview for step 1
+     */
+    function setupLivePreview() {
+        const inputs = [
+            elements.loanAmount,
+            elements.interestRate,
+            elements.loanTerm,
+            elements.startMonth,
+            elements.startYear,
+            elements.loanType,
+            elements.loanStructure,
+            elements.interestOnlyYears,
+            elements.balloonYears,
+            elements.dayCount,
+            elements.compounding,
+            elements.rounding,
+            elements.loanStatus,
+            elements.existingSource,
+            elements.paymentsMade,
+            elements.currentBalance,
+            elements.nextPaymentMonth,
+            elements.nextPaymentYear,
+            elements.remainingBasis,
+            elements.remainingMonths,
+            elements.currentPayment,
+            elements.armInitialPeriod,
+            elements.armResetFrequency,
+            elements.armIndex,
+            elements.armMargin,
+            elements.armInitialCap,
+            elements.armPeriodicCap,
+            elements.armLifetimeCap,
+            elements.helocDrawYears,
+            elements.helocRepaymentYears,
+            elements.loanProgram,
+            elements.vaFundingFeeUse,
+            elements.upfrontFeeFinancing,
+            elements.homeValue,
+            elements.propertyTax,
+            elements.homeInsurance,
+            elements.hoaDues,
+            elements.pmiRate,
+            elements.pmiCancellation
+        ];
+
+        inputs.forEach(input => {
+            if (input) {
+                input.addEventListener('input', updateLivePreview);
+                input.addEventListener('change', updateLivePreview);
+            }
+        });
+    }
+
+    /**
+     * How a government program's fees figure in the savings, or '' without one
+     */
+    function describeProgramSavings(savings) {
+        const program = savings.program;
+        if (!program) return '';
+
+        const parts = [];
+        if (program.upfrontFee > 0) {
+            parts.push(`${program.label} ${program.upfrontLabel} of ${MortgageCalculator.formatCurrency(program.upfrontFee)} ` +
+                (program.financed ? 'financed into the loan' : 'paid at closing'));
+        }
+        if (savings.pmiSaved > 0.005) {
+            parts.push(`${MortgageCalculator.formatCurrency(savings.pmiSaved)} less ${program.insuranceLabel} as it ends sooner, ` +
+                `${MortgageCalculator.formatCurrency(savings.totalSavings)} saved in all`);
+        } else if (program.annualRate > 0) {
+            parts.push(`${program.insuranceLabel} ` + (program.lifeOfLoan ? 'lasts the life of the loan' :
+                `ends after ${MortgageCalculator.formatDuration(program.insuranceMonths)}`) + ' either way');
+        }
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Update live preview calculations
+     */
+    function updateLivePreview() {
+        const loanData = getLoanData();
+        const { principal, annualRate: rate, termYears: term, startDate } = loanData;
+
+        if (principal > 0 && rate > 0 && term > 0 && startDate) {
+            // A financed program fee is borrowed with the loan
+            const borrowed = MortgageCalculator.applyLoanProgram(loanData);
+            let monthlyPayment = MortgageCalculator.calculateInitialPayment(borrowed);
+            const totalPayments = MortgageCalculator.getFinalPaymentMonth(loanData);
+            let totalInterest = monthlyPayment * totalPayments - borrowed.principal;
+
+            const payoffDate = new Date(startDate + '-01');
+            payoffDate.setMonth(payoffDate.getMonth() + totalPayments);
+
+            // Adjustable rates, HELOCs, interest-only and balloon loans, actual-day interest and rounding
+            // don't follow the formula, so project the full schedule
+            const needsSchedule = loanData.loanType !== 'fixed' || loanData.structure !== 'amortizing' ||
+                loanData.dayCount !== '30/360' || loanData.rounding === 'cents';
+            if (loanData.existing) {
+                // Existing loans show what's left from today
+                if (MortgageCalculator.validateLoanData(loanData).isValid) {
+                    const projection = MortgageCalculator.generateOriginalSchedule(loanData);
+                    monthlyPayment = projection.monthlyPayment;
+                    totalInterest = projection.totalInterest;
+                    const lastPayment = MortgageCalculator.parseDate(projection.payoffDate);
+                    payoffDate.setTime(lastPayment.setMonth(lastPayment.getMonth() + 1));
+                }
+            } else if (needsSchedule && MortgageCalculator.validateLoanData(loanData).isValid) {
+                totalInterest = MortgageCalculator.generateOriginalSchedule(loanData).totalInterest;
+            }
+
+            // Show the full housing payment, with the escrow portion broken out
+            const piti = MortgageCalculator.calculatePITI(loanData, monthlyPayment);
+            const escrowTotal = piti.total - piti.principalAndInterest;
+
+            elements.previewPayment.textContent = MortgageCalculator.formatCurrency(piti.total);
+            elements.previewBreakdown.textContent = escrowTotal > 0 ?
+                `${MortgageCalculator.formatCurrency(monthlyPayment)} P&I + ` +
+                `${MortgageCalculator.formatCurrency(escrowTotal)} escrow${piti.pmi > 0 ? ` & ${MortgageCalculator.getInsuranceLabel(loanData)}` : ''}` : '';
+            elements.previewInterest.textContent = MortgageCalculator.formatCurrency(totalInterest);
+            elements.previewPayoff.textContent = MortgageCalculator.formatDateDisplay(
+                MortgageCalculator.formatDate(payoffDate)
+            );
+        } else {
+            elements.previewPayment.textContent = '$--';
+            elements.previewBreakdown.textContent = '';
+            elements.previewInterest.textContent = '$--';
+            elements.previewPayoff.textContent = '--';
+        }
+    }
+
+    /**
+     * Navigate to a specific step
+     */
+    function goToStep(stepNumber) {
+        // Update stepper UI
+        elements.steps.forEach((step, index) => {
+            const stepNum = index + 1;
+            step.classList.remove('active', 'completed');
+
+            if (stepNum < stepNumber) {
+                step.classList.add('completed');
+            } else if (stepNum === stepNumber) {
+                step.classList.add('active');
+            }
+        });
+
+        // Update connectors
+        elements.connectors.forEach((connector, index) => {
+            const progress = connector.querySelector('.connector-progress');
+            if (index + 1 < stepNumber) {
+                progress.style.width = '100%';
+            } else {
+                progress.style.width = '0';
+            }
+        });
+
+        // Update wizard steps
+        elements.wizardSteps.forEach(step => {
+            const stepNum = parseInt(step.dataset.step);
+            step.classList.toggle('active', stepNum === stepNumber);
+        });
+
+        state.currentStep = stepNumber;
+
+        // Scroll to top
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+    /**
+     * Validate current step before proceeding
+     */
+    function validateCurrentStep() {
+        if (state.currentStep === 1) {
+            return validateStep1();
+        }
+        return true;
+    }
+
+    /**
+     * Validate step 1 inputs
+     */
+    function validateStep1() {
+        clearErrors();
+        let isValid = true;
+
+        const validation = MortgageCalculator.validateLoanData(getLoanData());
+
+        if (!validation.isValid) {
+            Object.entries(validation.errors).forEach(([field, message]) => {
+                const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
+                const errorEl = document.getElementById(errorId);
+                if (errorEl) {
+                    errorEl.textContent = message;
+                    isValid = false;
+                }
+            });
+        }
+
+        return isValid;
+    }
+
+    /**
+     * Clear all error messages
+     */
+    function clearErrors() {
+        document.querySelectorAll('.error-message').forEach(el => {
+            el.textContent = '';
+        });
+    }
+
+    /**
+     * Setup switching between the payoff wizard, refinance mode, the points comparison and the multi-debt planner
+     */
+    function setupModeTabs() {
+        elements.modeTabs.forEach(tab => {
+            tab.addEventListener('click', () => switchMode(tab.dataset.mode));
+        });
+    }
+
+    /**
+     * Show the payoff wizard, refinance mode, the points comparison or the multi-debt planner
+     */
+    function switchMode(mode) {
+        const isRefinance = mode === 'refinance';
+        const isPoints = mode === 'points';
+        const isDebts = mode === 'debts';
+
+        elements.modeTabs.forEach(tab => {
+            const isActive = tab.dataset.mode === mode;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', isActive);
+        });
+
+        elements.form.hidden = isRefinance || isPoints || isDebts;
+        elements.stepper.hidden = isRefinance || isPoints || isDebts;
+        elements.refinanceMode.hidden = !isRefinance;
+        elements.pointsMode.hidden = !isPoints;
+        elements.debtsMode.hidden = !isDebts;
+
+        if (isRefinance) {
+            updateRefinanceLoanSummary();
+            if (state.refinanceAnalysis) {
+                setTimeout(renderRefinanceChart, 100);
+            }
+        }
+
+        if (isPoints) {
+            updatePointsLoanSummary();
+            if (state.pointsAnalysis) {
+                setTimeout(renderPointsChart, 100);
+            }
+        }
+
+        if (isDebts) {
+            updateDebtMortgageSummary();
+            if (state.debtAnalysis) {
+                setTimeout(renderDebtChart, 100);
+            }
+        }
+    }
+
+    /**
+     * Setup refinance mode
+     */
+    function setupRefinance() {
+        elements.refiCalculate?.addEventListener('click', handleRefinanceCalculate);
+        elements.refiExportPdf?.addEventListener('click', handleRefinanceExportPdf);
+        elements.refiEditLoan?.addEventListener('click', () => {
+            switchMode('payoff');
+            goToStep(1);
+        });
+
+        elements.refiRate?.addEventListener('blur', function() {
+            const value = MortgageCalculator.parseNumber(this.value);
+            if (!isNaN(value) && value > 0) {
+                this.value = formatRateInput(value);
+            }
+        });
+    }
+
+    /**
+     * Describe the current loan (from step 1) that refinance mode starts from
+     */
+    function updateRefinanceLoanSummary() {
+        const loanData = getLoanData();
+
+        if (!MortgageCalculator.validateLoanData(loanData).isValid) {
+            elements.refiCurrentLoanText.textContent = 'Enter your current loan in Loan Details first.';
+            return;
+        }
+
+        elements.refiCurrentLoanText.textContent =
+            `Current loan: ${MortgageCalculator.formatCurrency(loanData.principal)} at ${MortgageCalculator.formatPercent(loanData.annualRate)} ` +
+            `for ${loanData.termYears} years, starting ${MortgageCalculator.formatDateDisplay(loanData.startDate)}`;
+    }
+
+    /**
+     * Gather refinance inputs
+     */
+    function getRefinanceData() {
+        return {
+            refinanceDate: `${elements.refiYear.value}-${elements.refiMonth.value}`,
+            newRate: MortgageCalculator.parseNumber(elements.refiRate.value),
+            newTermYears: parseInt(elements.refiTerm.value),
+            closingCosts: MortgageCalculator.parseCurrency(elements.refiClosingCosts.value),
+            points: MortgageCalculator.parseNumber(elements.refiPoints.value) || 0,
+            cashOut: MortgageCalculator.parseCurrency(elements.refiCashOut.value),
+            financeCosts: elements.refiFinanceCosts.checked,
+            extraMonthly: MortgageCalculator.parseCurrency(elements.refiExtraMonthly.value)
+        };
+    }
+
+    /**
+     * Run the refinance analysis
+     */
+    function handleRefinanceCalculate() {
+        clearErrors();
+
+        const loanData = getLoanData();
+        if (!MortgageCalculator.validateLoanData(loanData).isValid) {
+            showToast('Enter your current loan details first', 'error');
+            return;
+        }
+
+        const refinance = getRefinanceData();
+        const validation = RefinanceCalculator.validateRefinance(loanData, refinance);
+
+        if (!validation.isValid) {
+            Object.entries(validation.errors).forEach(([field, message]) => {
+                const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
+                const errorEl = document.getElementById(errorId);
+                if (errorEl) {
+                    errorEl.textContent = message;
+                }
+            });
+            return;
+        }
+
+        state.refinanceLoanData = loanData;
+        state.refinanceAnalysis = RefinanceCalculator.analyze(loanData, refinance);
+
+        displayRefinanceResults();
+    }
+
+    /**
+     * Display refinance analysis results
+     */
+    function displayRefinanceResults() {
+        const analysis = state.refinanceAnalysis;
+        const { current, costs, base, withExtra } = analysis;
+
+        elements.refiResults.hidden = false;
+
+        // Hero
+        if (base.breakEvenMonth !== null) {
+            elements.refiHeadline.textContent = 'Refinancing breaks even in';
+            elements.refiBreakEven.textContent = MortgageCalculator.formatDuration(base.breakEvenMonth) || 'Immediately';
+            elements.refiSubtext.textContent =
+                `${MortgageCalculator.formatDateDisplay(base.breakEvenDate)} · ` +
+                `${MortgageCalculator.formatCurrency(Math.abs(base.netSavings))} ` +
+                `${base.netSavings >= 0 ? 'saved' : 'lost'} over the life of the loan`;
+        } else {
+            elements.refiHeadline.textContent = 'Refinancing never breaks even';
+            elements.refiBreakEven.textContent = MortgageCalculator.formatCurrency(Math.abs(base.netSavings));
+            elements.refiSubtext.textContent = 'more over the life of the loan than keeping your current mortgage';
+        }
+
+        // Comparison cards
+        elements.refiCurrentBalance.textContent = MortgageCalculator.formatCurrency(current.balance);
+        elements.refiCurrentPayment.textContent = MortgageCalculator.formatCurrencyPrecise(current.monthlyPayment);
+        elements.refiCurrentInterest.textContent = MortgageCalculator.formatCurrency(base.keep.totalInterest);
+        elements.refiCurrentPayoff.textContent = MortgageCalculator.formatDateDisplay(base.keep.payoffDate);
+        elements.refiNewAmount.textContent = MortgageCalculator.formatCurrency(costs.newLoanAmount);
+        elements.refiNewPayment.textContent = MortgageCalculator.formatCurrencyPrecise(base.refi.monthlyPayment);
+        elements.refiNewInterest.textContent = MortgageCalculator.formatCurrency(base.refi.totalInterest);
+        elements.refiNewPayoff.textContent = MortgageCalculator.formatDateDisplay(base.refi.payoffDate);
+
+        // Summary table
+        elements.refiExtraHeading.hidden = !withExtra;
+        elements.refiExtraHeading.textContent = withExtra ?
+            `With ${MortgageCalculator.formatCurrency(analysis.refinance.extraMonthly)} Extra` : '';
+
+        const formatBreakEven = (result) => result.breakEvenMonth !== null ?
+            `Month ${result.breakEvenMonth} (${MortgageCalculator.formatDateDisplay(result.breakEvenDate)})` : 'Never';
+        const formatSigned = (value) => `${value < 0 ? '-' : ''}${MortgageCalculator.formatCurrency(Math.abs(value))}`;
+
+        const rows = [
+            ['Monthly payment change', result => formatSigned(-result.paymentDifference)],
+            ['Upfront costs', () => MortgageCalculator.formatCurrency(costs.totalCosts)],
+            ['Break-even', formatBreakEven],
+            ['Simple break-even (costs ÷ savings)', result => result.simpleBreakEvenMonth ? `${result.simpleBreakEvenMonth} months` : 'N/A'],
+            ['Interest difference', result => formatSigned(result.interestDifference)],
+            ['Net lifetime savings', result => formatSigned(result.netSavings)],
+            ['New loan payoff', result => MortgageCalculator.formatDateDisplay(result.refi.payoffDate)]
+        ];
+
+        elements.refiSummaryBody.innerHTML = '';
+        rows.forEach(([label, format]) => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${label}</td>
+                <td>${format(base)}</td>
+                ${withExtra ? `<td>${format(withExtra)}</td>` : ''}
+            `;
+            elements.refiSummaryBody.appendChild(tr);
+        });
+
+        setTimeout(renderRefinanceChart, 100);
+    }
+
+    /**
+     * Render the refinance savings chart
+     */
+    function renderRefinanceChart() {
+        const canvas = document.getElementById('refinance-chart');
+        if (canvas) {
+            canvas.style.width = '100%';
+            canvas.style.height = '300px';
+        }
+
+        ChartRenderer.drawRefinanceChart('refinance-chart', state.refinanceAnalysis);
+    }
+
+    /**
+     * Handle PDF export from refinance mode
+     */
+    function handleRefinanceExportPdf() {
+        const loanData = state.refinanceLoanData;
+        const accelerationOptions = state.accelerationOptions || {
+            paymentFrequency: 'monthly',
+            extraPayments: []
+        };
+
+        const originalResult = MortgageCalculator.generateOriginalSchedule(loanData);
+        const acceleratedResult = MortgageCalculator.generateAcceleratedSchedule(loanData, accelerationOptions);
+
+        ExportManager.exportToPDF(
+            buildSummaryData(loanData, originalResult, acceleratedResult),
+            loanData,
+            accelerationOptions
+        );
+    }
+
+    /**
+     * Setup the points and buydown comparison
+     */
+    function setupPoints() {
+        elements.addPointsOffer?.addEventListener('click', () => {
+            addPointsOffer({ rate: '', points: 0, credit: 0, buydown: 'none', buydownPaidBy: 'seller' });
+        });
+
+        elements.pointsList?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.rule-remove');
+            if (removeBtn) {
+                removeBtn.closest('.points-item').remove();
+                updatePointsList();
+            }
+        });
+
+        elements.pointsList?.addEventListener('change', (e) => {
+            if (e.target.classList.contains('points-buydown')) {
+                updatePointsBuydownFields(e.target.closest('.points-item'));
+            }
+        });
+
+        elements.pointsCalculate?.addEventListener('click', handlePointsCalculate);
+        elements.pointsEditLoan?.addEventListener('click', () => {
+            switchMode('payoff');
+            goToStep(1);
+        });
+    }
+
+    /**
+     * Describe the loan (from step 1) the offers are quoted on
+     */
+    function updatePointsLoanSummary() {
+        const loanData = getLoanData();
+
+        if (!MortgageCalculator.validateLoanData(loanData).isValid) {
+            elements.pointsLoanText.textContent = 'Enter your loan amount and term in Loan Details first.';
+            return;
+        }
+
+        elements.pointsLoanText.textContent =
+            `Offers on ${MortgageCalculator.formatCurrency(loanData.principal)} over ${loanData.termYears} years, ` +
+            `first payment ${MortgageCalculator.formatDateDisplay(loanData.startDate)}`;
+    }
+
+    /**
+     * Add an offer row to the list
+     */
+    function addPointsOffer(offer) {
+        const fragment = elements.pointsTemplate.content.cloneNode(true);
+        const row = fragment.querySelector('.points-item');
+
+        row.querySelector('.points-rate').value = formatRateInput(offer.rate);
+        row.querySelector('.points-points').value = offer.points > 0 ? formatRateInput(offer.points) : '';
+        row.querySelector('.points-credit').value = offer.credit > 0 ? MortgageCalculator.formatNumber(offer.credit) : '';
+        row.querySelector('.points-buydown').value = offer.buydown;
+        row.querySelector('.points-paid-by').value = offer.buydownPaidBy;
+
+        setupCurrencyInput(row.querySelector('.points-credit'));
+
+        elements.pointsList.appendChild(fragment);
+        updatePointsBuydownFields(row);
+        updatePointsList();
+
+        if (offer.rate === '') {
+            row.querySelector('.points-rate').focus();
+        }
+
+        return row;
+    }
+
+    /**
+     * Refresh the empty state and offer labels after offers are added or removed
+     */
+    function updatePointsList() {
+        const rows = elements.pointsList.querySelectorAll('.points-item');
+
+        elements.pointsListEmpty.hidden = rows.length > 0;
+        elements.addPointsOffer.disabled = rows.length >= PointsAnalyzer.MAX_OPTIONS;
+        rows.forEach((row, index) => {
+            row.querySelector('.points-offer-label').textContent = `Option ${String.fromCharCode(65 + index)} rate`;
+        });
+    }
+
+    /**
+     * Ask who pays for a buydown only when the offer has one
+     */
+    function updatePointsBuydownFields(row) {
+        row.querySelector('.points-buydown-paid-by').hidden = row.querySelector('.points-buydown').value === 'none';
+    }
+
+    /**
+     * Read the listed offers
+     */
+    function getPointsOffers() {
+        return [...elements.pointsList.querySelectorAll('.points-item')].map(row => ({
+            rate: MortgageCalculator.parseNumber(row.querySelector('.points-rate').value),
+            points: MortgageCalculator.parseNumber(row.querySelector('.points-points').value) || 0,
+            credit: MortgageCalculator.parseCurrency(row.querySelector('.points-credit').value),
+            buydown: row.querySelector('.points-buydown').value,
+            buydownPaidBy: row.querySelector('.points-paid-by').value
+        }));
+    }
+
+    /**
+     * Run the offer comparison on the loan from step 1
+     */
+    function handlePointsCalculate() {
+        clearErrors();
+
+        const loanData = getLoanData();
+        if (!MortgageCalculator.validateLoanData(loanData).isValid) {
+            showToast('Enter your loan details first', 'error');
+            return;
+        }
+
+        const offers = getPointsOffers();
+        const settings = {
+            holdingYears: MortgageCalculator.parseNumber(elements.pointsHolding.value || elements.pointsHolding.placeholder),
+            extraMonthly: MortgageCalculator.parseCurrency(elements.pointsExtraMonthly.value)
+        };
+
+        const offerValidation = PointsAnalyzer.validateOffers(offers, loanData);
+        elements.pointsList.querySelectorAll('.points-item').forEach((row, index) => {
+            row.querySelector('.rule-error').textContent = offerValidation.errors[index] || '';
+        });
+
+        const validation = PointsAnalyzer.validateSettings(settings, offers.length, loanData);
+        Object.entries(validation.errors).forEach(([field, message]) => {
+            const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
+            const errorEl = document.getElementById(errorId);
+            if (errorEl) {
+                errorEl.textContent = message;
+            }
+        });
+
+        if (!offerValidation.isValid || !validation.isValid) {
+            return;
+        }
+
+        state.pointsAnalysis = PointsAnalyzer.analyze(loanData, offers, settings);
+        displayPointsResults();
+    }
+
+    /**
+     * Display the ranked offers
+     */
+    function displayPointsResults() {
+        const analysis = state.pointsAnalysis;
+        const [best, runnerUp] = analysis.ranked;
+        const baseline = analysis.offers[analysis.baselineIndex];
+        const horizon = MortgageCalculator.formatDuration(analysis.horizonMonths);
+        const formatSigned = (value) => `${value < 0 ? '-' : ''}${MortgageCalculator.formatCurrency(Math.abs(value))}`;
+
+        elements.pointsResults.hidden = false;
+
+        // Hero
+        elements.pointsHeadline.textContent = `Best offer over ${horizon}`;
+        elements.pointsBest.textContent = `${best.label}: ${PointsAnalyzer.describeOffer(best.offer)}`;
+
+        const subtext = [runnerUp.costVsBest > 0.5 ?
+            `${MortgageCalculator.formatCurrency(runnerUp.costVsBest)} less than ${runnerUp.label}` :
+            `the same cost as ${runnerUp.label}`];
+        if (analysis.horizonMonths < analysis.holdingMonths) {
+            subtext.push(`prepaying repays the loan by ${MortgageCalculator.formatDateDisplay(analysis.horizonDate)}, ` +
+                'before your holding period ends, so points have less time to pay back');
+        }
+        elements.pointsSubtext.textContent = subtext.join(' · ');
+
+        // Ranking table
+        const formatPayment = (result) => {
+            const payments = result.buydownPayments.map((year, index) =>
+                `Year ${index + 1}: ${MortgageCalculator.formatCurrencyPrecise(year.payment)}`);
+            const note = MortgageCalculator.formatCurrencyPrecise(result.notePayment);
+            return payments.length ? `${payments.join('<br>')}<br>Then: ${note}` : note;
+        };
+        const formatBreakEven = (result) => {
+            if (result.isBaseline) return 'Baseline';
+            if (result.breakEvenMonth === null) {
+                return result.startsAhead ? 'Stays ahead' : (Math.abs(result.timeline[0].savings) < 0.005 ? '—' : 'Never');
+            }
+            const label = result.startsAhead ? 'Behind from month' : 'Month';
+            return `${label} ${result.breakEvenMonth} (${MortgageCalculator.formatDateDisplay(result.breakEvenDate)})`;
+        };
+
+        elements.pointsRankingTitle.textContent = `🏅 Offers Ranked Over ${horizon}`;
+        elements.pointsRankingBody.innerHTML = '';
+        analysis.ranked.forEach(result => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${result.rank}</td>
+                <td><strong>${result.label}</strong><br>${PointsAnalyzer.describeOffer(result.offer)}</td>
+                <td>${formatSigned(result.upfrontCost)}</td>
+                <td>${formatPayment(result)}</td>
+                <td>${formatBreakEven(result)}</td>
+                <td>${result.simpleBreakEvenMonth ? `${result.simpleBreakEvenMonth} months` : 'N/A'}</td>
+                <td>${MortgageCalculator.formatCurrency(result.horizonCost)}</td>
+                <td>${result.costVsBest > 0.5 ? `+${MortgageCalculator.formatCurrency(result.costVsBest)}` : 'Best'}</td>
+            `;
+            elements.pointsRankingBody.appendChild(tr);
+        });
+
+        const formatYears = (range) => range.fromYear === range.toYear ?
+            `${range.fromYear} ${range.fromYear === 1 ? 'year' : 'years'}` : `${range.fromYear}–${range.toYear} years`;
+        elements.pointsBestByHolding.textContent = 'Cheapest by how long you keep the loan: ' +
+            analysis.bestByHolding.map(range => `${formatYears(range)}: ${range.label}`).join(' · ');
+
+        elements.pointsChartTitle.textContent = `📈 Savings vs ${baseline.label}`;
+
+        setTimeout(renderPointsChart, 100);
+    }
+
+    /**
+     * Render each offer's savings against the baseline offer
+     */
+    function renderPointsChart() {
+        const canvas = document.getElementById('points-chart');
+        if (canvas) {
+            canvas.style.width = '100%';
+            canvas.style.height = '300px';
+        }
+
+        ChartRenderer.drawPointsChart('points-chart', state.pointsAnalysis);
+    }
+
+    /**
+     * Setup the multi-debt planner
+     */
+    function setupDebts() {
+        setupCurrencyInput(elements.debtBudget);
+
+        elements.addDebt?.addEventListener('click', () => {
+            addDebt({ name: '', type: 'auto', balance: 0, rate: '', payment: 0 });
+        });
+
+        elements.debtList?.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.rule-remove');
+            if (removeBtn) {
+                removeBtn.closest('.debt-item').remove();
+                updateDebtList();
+            }
+        });
+
+        elements.debtStrategy?.addEventListener('change', updateDebtPriorityFields);
+        elements.debtCalculate?.addEventListener('click', handleDebtCalculate);
+        elements.debtExportCsv?.addEventListener('click', handleDebtExportCsv);
+        elements.debtEditLoan?.addEventListener('click', () => {
+            switchMode('payoff');
+            goToStep(1);
+        });
+    }
+
+    /**
+     * Describe the mortgage (from step 1) the plan can include
+     */
+    function updateDebtMortgageSummary() {
+        const loanData = getLoanData();
+
+        if (!MortgageCalculator.validateLoanData(loanData).isValid) {
+            elements.debtMortgageText.textContent = 'Include my mortgage (enter it in Loan Details first)';
+            return;
+        }
+
+        elements.debtMortgageText.textContent =
+            `Include my mortgage: ${MortgageCalculator.formatCurrency(loanData.principal)} at ${MortgageCalculator.formatPercent(loanData.annualRate)} ` +
+            `for ${loanData.termYears} years, starting ${MortgageCalculator.formatDateDisplay(loanData.startDate)}`;
+    }
+
+    /**
+     * Add a debt row to the list
+     */
+    function addDebt(debt) {
+        const fragment = elements.debtTemplate.content.cloneNode(true);
+        const row = fragment.querySelector('.debt-item');
+
+        row.querySelector('.debt-name').value = debt.name;
+        row.querySelector('.debt-type').value = debt.type;
+        row.querySelector('.debt-balance').value = debt.balance > 0 ? MortgageCalculator.formatNumber(debt.balance) : '';
+        row.querySelector('.debt-rate').value = formatRateInput(debt.rate);
+        row.querySelector('.debt-payment').value = debt.payment > 0 ? MortgageCalculator.formatNumber(debt.payment) : '';
+
+        setupCurrencyInput(row.querySelector('.debt-balance'));
+        setupCurrencyInput(row.querySelector('.debt-payment'));
+
+        elements.debtList.appendChild(fragment);
+        updateDebtList();
+
+        if (!debt.name) {
+            row.querySelector('.debt-name').focus();
+        }
+
+        return row;
+    }
+
+    /**
+     * Refresh the empty state and payoff order fields after debts are added or removed
+     */
+    function updateDebtList() {
+        elements.debtListEmpty.hidden = elements.debtList.children.length > 0;
+        updateDebtPriorityFields();
+    }
+
+    /**
+     * Show the payoff order fields for a custom order. Blank ones keep the listed order,
+     * with the mortgage last.
+     */
+    function updateDebtPriorityFields() {
+        const isCustom = elements.debtStrategy.value === 'custom';
+        const rows = elements.debtList.querySelectorAll('.debt-item');
+
+        document.querySelectorAll('.debt-priority').forEach(field => {
+            field.hidden = !isCustom;
+        });
+        rows.forEach((row, index) => {
+            row.querySelector('.debt-priority-input').placeholder = index + 1;
+        });
+        elements.debtMortgagePriority.placeholder = rows.length + 1;
+    }
+
+    /**
+     * Read the debts to plan: the mortgage from step 1 (if included) and the listed debts
+     */
+    function getDebts() {
+        const rows = [...elements.debtList.querySelectorAll('.debt-item')];
+        const getPriority = (input) => parseInt(input.value) || parseInt(input.placeholder);
+
+        const debts = rows.map(row => ({
+            name: row.querySelector('.debt-name').value.trim(),
+            type: row.querySelector('.debt-type').value,
+            balance: MortgageCalculator.parseCurrency(row.querySelector('.debt-balance').value),
+            rate: MortgageCalculator.parseNumber(row.querySelector('.debt-rate').value),
+            payment: MortgageCalculator.parseCurrency(row.querySelector('.debt-payment').value),
+            priority: getPriority(row.querySelector('.debt-priority-input'))
+        }));
+
+        if (elements.debtIncludeMortgage.checked) {
+            debts.unshift({
+                name: DebtPlanner.DEBT_TYPES.mortgage,
+                type: 'mortgage',
+                loanData: getLoanData(),
+                priority: getPriority(elements.debtMortgagePriority)
+            });
+        }
+
+        return debts;
+    }
+
+    /**
+     * Run the multi-debt plan, starting with next month's payments
+     */
+    function handleDebtCalculate() {
+        clearErrors();
+
+        const debts = getDebts();
+        const mortgage = debts.find(debt => debt.loanData);
+        if (mortgage && !MortgageCalculator.validateLoanData(mortgage.loanData).isValid) {
+            showToast('Enter your mortgage in Loan Details first, or leave it out', 'error');
+            return;
+        }
+
+        const now = new Date();
+        const options = {
+            strategy: elements.debtStrategy.value,
+            extraBudget: MortgageCalculator.parseCurrency(elements.debtBudget.value),
+            startDate: MortgageCalculator.formatDate(new Date(now.getFullYear(), now.getMonth() + 1, 1))
+        };
+
+        const listed = debts.filter(debt => !debt.loanData);
+        const debtValidation = DebtPlanner.validateDebts(listed);
+        elements.debtList.querySelectorAll('.debt-item').forEach((row, index) => {
+            row.querySelector('.rule-error').textContent = debtValidation.errors[index] || '';
+        });
+
+        const validation = DebtPlanner.validateOptions(options, debts.length);
+        Object.entries(validation.errors).forEach(([field, message]) => {
+            const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
+            const errorEl = document.getElementById(errorId);
+            if (errorEl) {
+                errorEl.textContent = message;
+            }
+        });
+
+        if (!debtValidation.isValid || !validation.isValid) {
+            return;
+        }
+
+        state.debtAnalysis = DebtPlanner.analyze(debts, options);
+        displayDebtResults();
+    }
+
+    /**
+     * Display the multi-debt plan
+     */
+    function displayDebtResults() {
+        const analysis = state.debtAnalysis;
+        const minimumPayments = analysis.monthlyOutlay - analysis.options.extraBudget;
+
+        elements.debtResults.hidden = false;
+
+        // Hero
+        elements.debtFreeDate.textContent = MortgageCalculator.formatDateDisplay(analysis.debtFreeDate);
+        elements.debtSubtext.textContent = analysis.monthsSaved > 0 ?
+            `${MortgageCalculator.formatDuration(analysis.monthsSaved)} sooner than minimum payments, ` +
+            `saving ${MortgageCalculator.formatCurrency(analysis.interestSaved)} in interest` :
+            'the same as paying only the minimums. Add an extra budget to get there sooner.';
+
+        // Comparison cards
+        elements.debtMinimumPayment.textContent = MortgageCalculator.formatCurrencyPrecise(minimumPayments);
+        elements.debtMinimumInterest.textContent = MortgageCalculator.formatCurrency(analysis.minimumInterest);
+        elements.debtMinimumDate.textContent = MortgageCalculator.formatDateDisplay(analysis.minimumDebtFreeDate);
+        elements.debtPlanTitle.textContent = {
+            avalanche: 'Avalanche',
+            snowball: 'Snowball',
+            custom: 'Custom Order'
+        }[analysis.options.strategy];
+        elements.debtPlanPayment.textContent = MortgageCalculator.formatCurrencyPrecise(analysis.monthlyOutlay);
+        elements.debtPlanInterest.textContent = MortgageCalculator.formatCurrency(analysis.totalInterest);
+        elements.debtPlanDate.textContent = MortgageCalculator.formatDateDisplay(analysis.debtFreeDate);
+
+        // Payoff order table
+        elements.debtOrderBody.innerHTML = '';
+        analysis.order.forEach(debt => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${debt.rank}</td>
+                <td></td>
+                <td>${MortgageCalculator.formatCurrency(debt.balance)}</td>
+                <td>${MortgageCalculator.formatPercent(debt.rate)}</td>
+                <td>${debt.focusDate ? MortgageCalculator.formatDateDisplay(debt.focusDate) : 'Paid off on its own'}</td>
+                <td>${MortgageCalculator.formatDateDisplay(debt.plan.payoffDate)}</td>
+                <td>${MortgageCalculator.formatDateDisplay(debt.minimum.payoffDate)}</td>
+                <td>${MortgageCalculator.formatCurrency(debt.interestSaved)}</td>
+            `;
+            // Names are user input, so set them as text
+            const typeLabel = DebtPlanner.DEBT_TYPES[debt.type] || debt.type;
+            tr.children[1].textContent = debt.name === typeLabel ? debt.name : `${debt.name} (${typeLabel})`;
+            elements.debtOrderBody.appendChild(tr);
+        });
+
+        setTimeout(renderDebtChart, 100);
+    }
+
+    /**
+     * Render the per-debt payoff timeline
+     */
+    function renderDebtChart() {
+        const canvas = document.getElementById('debt-timeline-chart');
+        if (canvas) {
+            canvas.style.width = '100%';
+            canvas.style.height = `${Math.max(200, 80 + state.debtAnalysis.order.length * 50)}px`;
+        }
+
+        ChartRenderer.drawDebtTimelineChart('debt-timeline-chart', state.debtAnalysis);
+    }
+
+    /**
+     * Handle CSV export of the merged multi-debt schedule
+     */
+    function handleDebtExportCsv() {
+        if (!state.debtAnalysis) return;
+
+        ExportManager.exportDebtPlanToCSV(state.debtAnalysis);
+        showToast('CSV exported successfully', 'success');
+    }
+
+    /**
+     * Handle form submission
+     */
+    function handleSubmit(e) {
+        e.preventDefault();
+
+        // Gather acceleration options
+        const accelerationOptions = {
+            paymentFrequency: getPaymentFrequency(),
+            biweeklyMethod: elements.biweeklyMethod.value,
+            extraPayments: getExtraPayments(),
+            recast: elements.lumpSumMode.value === 'recast',
+            recastFee: elements.lumpSumMode.value === 'recast' ?
+                MortgageCalculator.parseCurrency(elements.recastFee.value) : 0,
+            paymentRelief: getPaymentRelief()
+        };
+
+        const validation = MortgageCalculator.validateExtraPayments(accelerationOptions.extraPayments);
+        showExtraPaymentErrors(validation.errors);
+        const reliefValidation = MortgageCalculator.validatePaymentRelief(accelerationOptions.paymentRelief);
+        showPaymentReliefErrors(reliefValidation.errors);
+        if (!validation.isValid || !reliefValidation.isValid) {
+            return;
+        }
+
+        // Gather loan data
+        state.loanData = getLoanData();
+        state.accelerationOptions = accelerationOptions;
+
+        // Calculate results
+        calculateResults();
+
+        // Go to results step
+        goToStep(3);
+
+        // Trigger confetti animation
+        triggerConfetti();
+    }
+
+    /**
+     * Calculate and display results
+     */
+    function calculateResults() {
+        state.originalResult = MortgageCalculator.generateOriginalSchedule(state.loanData);
+        state.acceleratedResult = MortgageCalculator.generateAcceleratedSchedule(
+            state.loanData,
+            state.accelerationOptions
+        );
+
+        const savings = MortgageCalculator.calculateSavings(
+            state.originalResult,
+            state.acceleratedResult
+        );
+
+        state.strategyBreakdown = MortgageCalculator.calculateStrategyBreakdown(
+            state.loanData,
+            state.accelerationOptions,
+            state.originalResult
+        );
+
+        state.lumpSumComparison = MortgageCalculator.compareLumpSumOptions(
+            state.loanData,
+            state.accelerationOptions,
+            state.originalResult
+        );
+
+        state.reliefCost = MortgageCalculator.calculateReliefCost(
+            state.loanData,
+            state.accelerationOptions,
+            state.acceleratedResult
+        );
+
+        resetRateSimulation();
+        resetSensitivity();
+
+        // A new plan needs reconciling again
+        state.reconciliation = null;
+        elements.statementResults.hidden = true;
+
+        displayResults(savings);
+    }
+
+    /**
+     * Display calculation results
+     */
+    function displayResults(savings) {
+        // Hero section and interest, in nominal or today's dollars
+        updatePresentValue();
+        renderValueMode(true);
+        elements.resultTimeSaved.textContent = savings.timeSavedText;
+
+        // Interest saved after the mortgage interest deduction it gives up
+        const hasTax = !!MortgageCalculator.getTax(state.loanData);
+        elements.resultAfterTax.hidden = !hasTax;
+        document.querySelectorAll('[data-tax-stat]').forEach(stat => {
+            stat.hidden = !hasTax;
+        });
+        if (hasTax) {
+            elements.resultAfterTax.textContent =
+                `${MortgageCalculator.formatCurrency(savings.afterTaxInterestSaved)} after tax, ` +
+                `since paying less interest gives up ${MortgageCalculator.formatCurrency(savings.taxBenefitLost)} in deductions`;
+            elements.originalAfterTaxInterest.textContent =
+                MortgageCalculator.formatCurrency(state.originalResult.afterTaxInterest);
+            elements.newAfterTaxInterest.textContent =
+                MortgageCalculator.formatCurrency(state.acceleratedResult.afterTaxInterest);
+        }
+
+        // Original plan
+        elements.originalPayoffDate.textContent =
+            MortgageCalculator.formatDateDisplay(state.originalResult.payoffDate);
+        elements.originalPayments.textContent = state.originalResult.totalPayments;
+
+        // Accelerated plan
+        elements.newPayoffDate.textContent =
+            MortgageCalculator.formatDateDisplay(state.acceleratedResult.payoffDate);
+        elements.newPayments.textContent = state.acceleratedResult.totalPayments;
+
+        // PMI, or a government program's annual premium, and when it ends
+        const hasPMI = state.originalResult.totalPMI > 0;
+        const insuranceLabel = MortgageCalculator.getInsuranceLabel(state.loanData);
+        document.querySelectorAll('[data-pmi-stat]').forEach(stat => {
+            stat.hidden = !hasPMI;
+        });
+        document.querySelectorAll('[data-pmi-label]').forEach(label => {
+            label.textContent = label.dataset.pmiLabel === 'Total' ? `Total ${insuranceLabel}` : `${insuranceLabel} Ends`;
+        });
+        elements.schedulePmiHeading.textContent = insuranceLabel;
+        if (hasPMI) {
+            elements.originalPmiTotal.textContent = MortgageCalculator.formatCurrency(state.originalResult.totalPMI);
+            elements.newPmiTotal.textContent = MortgageCalculator.formatCurrency(state.acceleratedResult.totalPMI);
+            elements.originalPmiEnd.textContent =
+                MortgageCalculator.formatDateDisplay(state.originalResult.pmiEndDate);
+            elements.newPmiEnd.textContent =
+                MortgageCalculator.formatDateDisplay(state.acceleratedResult.pmiEndDate);
+        }
+
+        // Payment once an interest-only period ends
+        const amortizationStart = state.originalResult.amortizationStart;
+        document.querySelectorAll('[data-amortization-stat]').forEach(stat => {
+            stat.hidden = !amortizationStart;
+        });
+        if (amortizationStart) {
+            const newStart = state.acceleratedResult.amortizationStart;
+            elements.originalAmortizingPayment.textContent =
+                `${MortgageCalculator.formatCurrency(amortizationStart.payment)}/mo from ${MortgageCalculator.formatDateDisplay(amortizationStart.date)}`;
+            elements.newAmortizingPayment.textContent = newStart ?
+                `${formatPayment(newStart.payment)} from ${MortgageCalculator.formatDateDisplay(newStart.date)}` :
+                'Paid off first';
+        }
+
+        // Balloon payment due at the end of a balloon loan
+        const hasBalloon = state.loanData.structure === 'balloon';
+        document.querySelectorAll('[data-balloon-stat]').forEach(stat => {
+            stat.hidden = !hasBalloon;
+        });
+        if (hasBalloon) {
+            elements.originalBalloon.textContent = formatBalloon(state.originalResult.balloon);
+            elements.newBalloon.textContent = formatBalloon(state.acceleratedResult.balloon);
+        }
+
+        // Payment after a recast
+        const lastRecast = state.acceleratedResult.recasts[state.acceleratedResult.recasts.length - 1];
+        elements.newRecastStat.hidden = !lastRecast;
+        if (lastRecast) {
+            elements.newRecastPayment.textContent =
+                `${formatPayment(lastRecast.payment)} from ${MortgageCalculator.formatDateDisplay(lastRecast.effectiveDate)}`;
+        }
+
+        // Extra interest and later payoff than making every payment on time
+        // Penalties charged on extra payments over the prepayment privilege, or extras it left unpaid
+        const hasPenalties = savings.prepaymentPenalties > 0;
+        elements.newPenaltyStat.hidden = !hasPenalties;
+        elements.resultPrepayment.hidden = !hasPenalties && !(savings.cappedPrepayments > 0);
+        elements.resultPrepayment.classList.toggle('warning', !hasPenalties);
+        if (hasPenalties) {
+            elements.newPrepaymentPenalties.textContent = MortgageCalculator.formatCurrency(savings.prepaymentPenalties);
+            elements.resultPrepayment.textContent =
+                `${MortgageCalculator.formatCurrency(savings.netSavings)} net of ` +
+                `${MortgageCalculator.formatCurrency(savings.prepaymentPenalties)} in prepayment penalties` +
+                (savings.recastFees > 0 ? ' and recast fees' : '');
+        } else if (savings.cappedPrepayments > 0) {
+            elements.resultPrepayment.textContent =
+                `${MortgageCalculator.formatCurrency(savings.cappedPrepayments)} of extra payments went over ` +
+                'your prepayment privilege and wasn\'t applied';
+        }
+
+        // A program's upfront fee is paid either way; its premium stops when the loan is paid off
+        const programText = describeProgramSavings(savings);
+        elements.resultProgram.hidden = !programText;
+        elements.resultProgram.textContent = programText;
+
+        const reliefCost = state.reliefCost;
+        elements.newReliefStat.hidden = !reliefCost;
+        if (reliefCost) {
+            elements.newReliefCost.textContent =
+                `${MortgageCalculator.formatCurrency(reliefCost.extraInterest)} more interest, ` +
+                (reliefCost.monthsDelayed > 0 ? `paid off ${reliefCost.delayText} later` : 'same payoff date');
+        }
+
+        renderStrategyBreakdown(savings);
+        renderLumpSumComparison();
+        updateInvestmentComparison();
+
+        // Render charts
+        setTimeout(() => {
+            renderActiveChart();
+        }, 100);
+
+        // Render table
+        state.currentPage = 1;
+        renderAmortizationTable();
+    }
+
+    /**
+     * Render the per-strategy savings table
+     */
+    function renderStrategyBreakdown(combinedSavings) {
+        const breakdown = state.strategyBreakdown || [];
+        elements.strategyBreakdown.hidden = breakdown.length === 0;
+        elements.strategyBreakdownBody.innerHTML = '';
+        elements.breakdownPmiHeading.textContent = `${MortgageCalculator.getInsuranceLabel(state.loanData)} Saved`;
+
+        const rows = breakdown.map(item => ({ label: item.label, savings: item.savings }));
+        if (breakdown.length > 1) {
+            rows.push({ label: 'All combined', savings: combinedSavings, combined: true });
+        }
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            if (row.combined) {
+                tr.classList.add('combined');
+            }
+
+            tr.innerHTML = `
+                <td>${row.label}</td>
+                <td>${MortgageCalculator.formatCurrency(row.savings.interestSaved)}</td>
+                <td>${row.savings.timeSavedText}</td>
+                <td>${row.savings.pmiSaved > 0.005 ?
+                    `${MortgageCalculator.formatCurrency(row.savings.pmiSaved)} (${row.savings.pmiMonthsSaved} mo)` : '-'}</td>
+            `;
+
+            elements.strategyBreakdownBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Show "shorten term" and "lower payment" side by side for plans with a lump sum
+     */
+    function renderLumpSumComparison() {
+        const comparison = state.lumpSumComparison;
+        elements.lumpSumComparison.hidden = !comparison;
+        if (!comparison) return;
+
+        const selectedMode = state.accelerationOptions.recast ? 'recast' : 'shorten';
+        elements.lumpSumComparison.querySelectorAll('[data-lump-sum-mode]').forEach(card => {
+            const isSelected = card.dataset.lumpSumMode === selectedMode;
+            card.classList.toggle('accelerated', isSelected);
+            card.querySelector('.comparison-badge').hidden = !isSelected;
+        });
+
+        const render = (result, savings, fields) => {
+            const lastRecast = result.recasts[result.recasts.length - 1];
+            fields.payoffDate.textContent = MortgageCalculator.formatDateDisplay(result.payoffDate);
+            fields.interest.textContent = MortgageCalculator.formatCurrency(result.totalInterest);
+            fields.payment.textContent = formatPayment(lastRecast ? lastRecast.payment : result.monthlyPayment);
+            fields.savings.textContent = MortgageCalculator.formatCurrency(savings.netSavings);
+        };
+
+        render(comparison.shorten, comparison.shortenSavings, {
+            payoffDate: elements.shortenPayoffDate,
+            interest: elements.shortenInterest,
+            payment: elements.shortenPayment,
+            savings: elements.shortenSavings
+        });
+        render(comparison.recast, comparison.recastSavings, {
+            payoffDate: elements.recastPayoffDate,
+            interest: elements.recastInterest,
+            payment: elements.recastPayment,
+            savings: elements.recastSavings
+        });
+    }
+
+    /**
+     * Nominal / today's dollars toggle, and recalculation as the rates change
+     */
+    function setupPresentValue() {
+        elements.valueModeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                state.valueMode = button.dataset.valueMode;
+                if (state.originalResult && state.acceleratedResult) {
+                    renderValueMode(false);
+                }
+            });
+        });
+
+        [elements.discountRate, elements.inflationRate].forEach(input => {
+            input?.addEventListener('input', () => {
+                if (state.originalResult && state.acceleratedResult) {
+                    updatePresentValue();
+                    renderValueMode(false);
+                }
+            });
+        });
+    }
+
+    /**
+     * Work out the present value and real cost of both plans at the chosen rates
+     */
+    function updatePresentValue() {
+        const rates = {
+            discountRate: MortgageCalculator.parseNumber(elements.discountRate.value),
+            inflationRate: MortgageCalculator.parseNumber(elements.inflationRate.value)
+        };
+
+        document.getElementById('discount-rate-error').textContent = '';
+        document.getElementById('inflation-rate-error').textContent = '';
+
+        const validation = MortgageCalculator.validateValueRates(rates);
+        if (!validation.isValid) {
+            state.presentValue = null;
+            [elements.pvInterestSaved, elements.realInterestSaved, elements.prepayNpv,
+                elements.originalRealCost, elements.newRealCost].forEach(stat => {
+                stat.textContent = '--';
+            });
+            elements.presentValueNote.textContent = '';
+            Object.entries(validation.errors).forEach(([field, message]) => {
+                const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
+                document.getElementById(errorId).textContent = message;
+            });
+            return;
+        }
+
+        state.presentValue = MortgageCalculator.calculatePresentValue(
+            state.originalResult,
+            state.acceleratedResult,
+            rates
+        );
+
+        const { formatCurrency, formatPercent } = MortgageCalculator;
+        const presentValue = state.presentValue;
+        elements.pvInterestSaved.textContent = formatCurrency(presentValue.pvInterestSaved);
+        elements.realInterestSaved.textContent = formatCurrency(presentValue.realInterestSaved);
+        elements.prepayNpv.textContent =
+            `${presentValue.npv < 0 ? '-' : ''}${formatCurrency(Math.abs(presentValue.npv))}`;
+        elements.originalRealCost.textContent = formatCurrency(presentValue.original.realTotalPaid);
+        elements.newRealCost.textContent = formatCurrency(presentValue.accelerated.realTotalPaid);
+        elements.presentValueNote.textContent = presentValue.npv >= 0 ?
+            `Prepaying beats earning ${formatPercent(presentValue.discountRate)} elsewhere: the payments it saves later are worth more today than the extra cash it takes now.` :
+            `Earning ${formatPercent(presentValue.discountRate)} elsewhere beats prepaying: the extra cash is worth more today than the payments it saves later.`;
+    }
+
+    /**
+     * Show the hero amount, interest totals and comparison chart in nominal or today's dollars
+     */
+    function renderValueMode(animate) {
+        const real = state.valueMode === 'real' && state.presentValue;
+        const presentValue = state.presentValue;
+
+        elements.valueModeButtons.forEach(button => {
+            const isActive = button.dataset.valueMode === (real ? 'real' : 'nominal');
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
+
+        const interestSaved = real ? presentValue.realInterestSaved :
+            state.originalResult.totalInterest - state.acceleratedResult.totalInterest;
+        if (animate) {
+            animateValue(elements.resultInterestSaved, interestSaved, true);
+        } else {
+            elements.resultInterestSaved.textContent = MortgageCalculator.formatCurrency(Math.round(interestSaved));
+        }
+        elements.resultValueNote.textContent = real ? ' in today\'s money' : '';
+
+        elements.interestLabels.forEach(label => {
+            label.textContent = real ? 'Total Interest (Today\'s $)' : 'Total Interest';
+        });
+        elements.originalInterest.textContent = MortgageCalculator.formatCurrency(
+            real ? presentValue.original.realInterest : state.originalResult.totalInterest
+        );
+        elements.newInterest.textContent = MortgageCalculator.formatCurrency(
+            real ? presentValue.accelerated.realInterest : state.acceleratedResult.totalInterest
+        );
+
+        if (!animate && document.querySelector('.chart-tab.active')?.dataset.chart === 'comparison') {
+            renderChart('comparison');
+        }
+    }
+
+    /**
+     * Recalculate invest vs. prepay as the return assumptions change
+     */
+    function setupInvestmentComparison() {
+        [elements.investReturn, elements.investTaxDrag].forEach(input => {
+            input?.addEventListener('input', () => {
+                if (state.originalResult && state.acceleratedResult) {
+                    updateInvestmentComparison();
+                }
+            });
+        });
+    }
+
+    /**
+     * Compare prepaying against investing the extra cash at the expected return
+     */
+    function updateInvestmentComparison() {
+        const options = {
+            annualReturn: MortgageCalculator.parseNumber(elements.investReturn.value),
+            taxDrag: MortgageCalculator.parseNumber(elements.investTaxDrag.value) || 0
+        };
+
+        document.getElementById('invest-return-error').textContent = '';
+        document.getElementById('invest-tax-drag-error').textContent = '';
+
+        const validation = InvestmentCalculator.validateOptions(options);
+        if (!validation.isValid) {
+            Object.entries(validation.errors).forEach(([field, message]) => {
+                const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
+                document.getElementById(errorId).textContent = message;
+            });
+            return;
+        }
+
+        const analysis = InvestmentCalculator.analyze(state.originalResult, state.acceleratedResult, options);
+        state.investmentAnalysis = analysis.contributions > 0 ? analysis : null;
+        renderInvestmentComparison();
+    }
+
+    /**
+     * Show the invest vs. prepay verdict, both paths' net worth and the crossover chart
+     */
+    function renderInvestmentComparison() {
+        const analysis = state.investmentAnalysis;
+        elements.investComparison.hidden = !analysis;
+        if (!analysis) return;
+
+        const { formatCurrency, formatDateDisplay, formatPercent } = MortgageCalculator;
+        const afterTax = analysis.options.annualReturn * (1 - analysis.options.taxDrag / 100);
+        const returnText = analysis.options.taxDrag > 0 ?
+            `a ${formatPercent(analysis.options.annualReturn)} return (${formatPercent(afterTax, 2)} after tax drag)` :
+            `a ${formatPercent(analysis.options.annualReturn)} return`;
+
+        if (analysis.verdict === 'tie') {
+            elements.investHeadline.textContent = 'It\'s a draw';
+        } else {
+            elements.investHeadline.textContent =
+                `${analysis.verdict === 'prepay' ? 'Prepaying' : 'Investing'} comes out ` +
+                `${formatCurrency(Math.abs(analysis.advantage))} ahead`;
+        }
+
+        const details = [`At ${returnText}, by ${formatDateDisplay(analysis.horizonDate)} when the original loan would be paid off.`];
+        const lastCrossover = analysis.crossovers[analysis.crossovers.length - 1];
+        if (lastCrossover) {
+            details.push(`${lastCrossover.leader === 'prepay' ? 'Prepaying' : 'Investing'} pulls ahead for good in ` +
+                `${formatDateDisplay(lastCrossover.date)}.`);
+        }
+        if (analysis.breakEvenReturn !== null) {
+            details.push(`Investing wins at expected returns above ${formatPercent(analysis.breakEvenReturn, 2)}.`);
+        }
+        elements.investDetail.textContent = details.join(' ');
+
+        elements.investComparison.querySelectorAll('[data-invest-path]').forEach(card => {
+            const isAhead = card.dataset.investPath === analysis.verdict;
+            card.classList.toggle('accelerated', isAhead);
+            card.querySelector('.comparison-badge').hidden = !isAhead;
+        });
+
+        elements.investPrepayPayoff.textContent = formatDateDisplay(analysis.prepayPayoffDate);
+        elements.investPrepayWorth.textContent = formatCurrency(analysis.finalPrepay);
+        elements.investContributions.textContent = formatCurrency(analysis.contributions);
+        elements.investInvestWorth.textContent = formatCurrency(analysis.finalInvest);
+
+        setTimeout(renderInvestmentChart, 100);
+    }
+
+    /**
+     * Render the invest vs. prepay net worth chart
+     */
+    function renderInvestmentChart() {
+        const canvas = document.getElementById('invest-chart');
+        if (canvas) {
+            canvas.style.width = '100%';
+            canvas.style.height = '300px';
+        }
+
+        ChartRenderer.drawInvestmentChart('invest-chart', state.investmentAnalysis);
+    }
+
+    /**
+     * Setup the variable-rate simulation
+     */
+    function setupRateSimulation() {
+        elements.simulationRun?.addEventListener('click', handleSimulationRun);
+    }
 
-                if (state.originalResult && state.acceleratedResult) {
-                    renderChart(chartType);
-                }
-            });
-        });
+    /**
+     * Offer the simulation for variable-rate loans, clearing results from an earlier plan
+     */
+    function resetRateSimulation() {
+        const isVariable = RateSimulator.isVariable(state.loanData);
+        elements.rateSimulation.hidden = !isVariable;
+        elements.simulationResults.hidden = true;
+        elements.simulationProgress.textContent = '';
+        state.simulation = null;
+        state.simulationRun = null;
+        if (!isVariable) return;
+
+        // The long-run rate defaults to where rates are today
+        elements.simulationLongRunRate.placeholder = formatRateInput(RateSimulator.getStartRate(state.loanData));
+        elements.simulationLongRunHint.textContent = state.loanData.loanType === 'arm' ?
+            'Where the index drifts back to' : 'Where the line\'s rate drifts back to';
     }
 
     /**
-     * Setup input formatting
+     * Run the simulation with the entered rate model a batch of paths at a time, so a long run
+     * doesn't lock up the page
      */
-    function setupInputFormatting() {
-        const currencyInputs = [
-            elements.loanAmount,
-            elements.extraMonthly,
-            elements.lumpSum,
-            elements.annualExtra
-        ];
+    function handleSimulationRun() {
+        const longRunRate = elements.simulationLongRunRate.value.trim();
+        const model = {
+            longRunRate: longRunRate ? MortgageCalculator.parseNumber(longRunRate) : RateSimulator.getStartRate(state.loanData),
+            reversionSpeed: MortgageCalculator.parseNumber(elements.simulationReversionSpeed.value),
+            volatility: MortgageCalculator.parseNumber(elements.simulationVolatility.value),
+            paths: MortgageCalculator.parseNumber(elements.simulationPaths.value),
+            seed: Number(elements.simulationSeed.value)
+        };
 
-        currencyInputs.forEach(input => {
-            if (!input) return;
+        ['simulation-long-run-rate-error', 'simulation-reversion-speed-error', 'simulation-volatility-error',
+            'simulation-paths-error', 'simulation-seed-error'].forEach(id => {
+            document.getElementById(id).textContent = '';
+        });
 
-            input.addEventListener('blur', function() {
-                const value = MortgageCalculator.parseCurrency(this.value);
-                if (value > 0) {
-                    this.value = value.toLocaleString();
-                }
+        const validation = RateSimulator.validateModel(model);
+        if (!validation.isValid) {
+            Object.entries(validation.errors).forEach(([field, message]) => {
+                const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
+                document.getElementById(errorId).textContent = message;
             });
+            return;
+        }
 
-            input.addEventListener('focus', function() {
-                const value = MortgageCalculator.parseCurrency(this.value);
-                if (value > 0) {
-                    this.value = value;
-                } else {
-                    this.value = '';
-                }
-            });
-        });
+        // A newer run replaces one still in progress
+        const run = RateSimulator.createRun(state.loanData, state.accelerationOptions, model);
+        state.simulationRun = run;
 
-        elements.interestRate?.addEventListener('blur', function() {
-            const value = parseFloat(this.value);
-            if (!isNaN(value) && value > 0) {
-                this.value = value.toFixed(3).replace(/\.?0+$/, '');
+        const runNextBatch = () => {
+            if (state.simulationRun !== run) return;
+
+            const completed = RateSimulator.runPaths(run, 25);
+            if (completed < model.paths) {
+                elements.simulationProgress.textContent =
+                    `Simulating… ${MortgageCalculator.formatNumber(completed)} of ${MortgageCalculator.formatNumber(model.paths)} paths`;
+                setTimeout(runNextBatch, 0);
+                return;
             }
-        });
+
+            elements.simulationProgress.textContent = '';
+            state.simulationRun = null;
+            state.simulation = RateSimulator.getResults(run);
+            renderRateSimulation();
+        };
+        setTimeout(runNextBatch, 0);
     }
 
     /**
-     * Setup live preview for step 1
+     * Show the P10/P50/P90 outcomes and the balance fan chart
      */
-    function setupLivePreview() {
-        const inputs = [
-            elements.loanAmount,
-            elements.interestRate,
-            elements.loanTerm,
-            elements.startMonth,
-            elements.startYear
+    function renderRateSimulation() {
+        const simulation = state.simulation;
+        const { formatCurrency, formatDateDisplay, formatPercent } = MortgageCalculator;
+        const formatRate = (rate) => formatPercent(rate, 2);
+
+        elements.simulationSummary.textContent =
+            `${MortgageCalculator.formatNumber(simulation.paths)} paths with rates drifting toward ${formatPercent(simulation.model.longRunRate)} ` +
+            `(seed ${simulation.model.seed}). In 8 of 10 paths the outcome falls between P10 and P90. ` +
+            `At today's rate the plan costs ${formatCurrency(state.acceleratedResult.totalInterest)} in interest.`;
+
+        const rows = [
+            ['Payoff Date', simulation.payoffDate, formatDateDisplay],
+            ['Total Interest', simulation.totalInterest, formatCurrency],
+            ['Highest Payment', simulation.highestPayment, formatPayment],
+            ['Highest Rate', simulation.highestRate, formatRate]
         ];
 
-        inputs.forEach(input => {
-            if (input) {
-                input.addEventListener('input', updateLivePreview);
-                input.addEventListener('change', updateLivePreview);
-            }
-        });
+        elements.simulationBody.innerHTML = rows.map(([label, band, format]) => `
+            <tr>
+                <td>${label}</td>
+                <td>${format(band.p10)}</td>
+                <td>${format(band.p50)}</td>
+                <td>${format(band.p90)}</td>
+            </tr>
+        `).join('');
+
+        elements.simulationResults.hidden = false;
+        setTimeout(renderSimulationChart, 100);
     }
 
     /**
-     * Update live preview calculations
+     * Render the simulated balance fan chart
      */
-    function updateLivePreview() {
-        const principal = MortgageCalculator.parseCurrency(elements.loanAmount.value);
-        const rate = parseFloat(elements.interestRate.value);
-        const term = parseInt(elements.loanTerm.value);
-        const startDate = getStartDate();
-
-        if (principal > 0 && rate > 0 && term > 0 && startDate) {
-            const monthlyPayment = MortgageCalculator.calculateMonthlyPayment(principal, rate, term);
-            const totalPayments = term * 12;
-            const totalPaid = monthlyPayment * totalPayments;
-            const totalInterest = totalPaid - principal;
-
-            const payoffDate = new Date(startDate + '-01');
-            payoffDate.setMonth(payoffDate.getMonth() + totalPayments);
-
-            elements.previewPayment.textContent = MortgageCalculator.formatCurrency(monthlyPayment);
-            elements.previewInterest.textContent = MortgageCalculator.formatCurrency(totalInterest);
-            elements.previewPayoff.textContent = MortgageCalculator.formatDateDisplay(
-                MortgageCalculator.formatDate(payoffDate)
-            );
-        } else {
-            elements.previewPayment.textContent = '$--';
-            elements.previewInterest.textContent = '$--';
-            elements.previewPayoff.textContent = '--';
+    function renderSimulationChart() {
+        const canvas = document.getElementById('simulation-chart');
+        if (canvas) {
+            canvas.style.width = '100%';
+            canvas.style.height = '300px';
         }
+
+        ChartRenderer.drawSimulationChart('simulation-chart', state.simulation, state.acceleratedResult.schedule);
     }
 
     /**
-     * Navigate to a specific step
+     * Setup the rate or term by extra payment sensitivity grid
      */
-    function goToStep(stepNumber) {
-        // Update stepper UI
-        elements.steps.forEach((step, index) => {
-            const stepNum = index + 1;
-            step.classList.remove('active', 'completed');
-
-            if (stepNum < stepNumber) {
-                step.classList.add('completed');
-            } else if (stepNum === stepNumber) {
-                step.classList.add('active');
-            }
-        });
-
-        // Update connectors
-        elements.connectors.forEach((connector, index) => {
-            const progress = connector.querySelector('.connector-progress');
-            if (index + 1 < stepNumber) {
-                progress.style.width = '100%';
-            } else {
-                progress.style.width = '0';
-            }
+    function setupSensitivity() {
+        elements.sensitivityRowAxis?.addEventListener('change', setSensitivityRowDefaults);
+        elements.sensitivityRun?.addEventListener('click', handleSensitivityRun);
+        elements.sensitivityMetric?.addEventListener('change', () => {
+            if (state.sensitivity) renderSensitivityChart();
         });
 
-        // Update wizard steps
-        elements.wizardSteps.forEach(step => {
-            const stepNum = parseInt(step.dataset.step);
-            step.classList.toggle('active', stepNum === stepNumber);
+        elements.sensitivityChart?.addEventListener('mousemove', handleSensitivityHover);
+        elements.sensitivityChart?.addEventListener('mouseleave', () => {
+            elements.sensitivityTooltip.hidden = true;
+            renderSensitivityChart();
         });
-
-        state.currentStep = stepNumber;
-
-        // Scroll to top
-        window.scrollTo({ top: 0, behavior: 'smooth' });
     }
 
     /**
-     * Validate current step before proceeding
+     * Clear the grid from an earlier plan and center the rows on the new loan
      */
-    function validateCurrentStep() {
-        if (state.currentStep === 1) {
-            return validateStep1();
+    function resetSensitivity() {
+        state.sensitivity = null;
+        state.sensitivityLayout = null;
+        elements.sensitivityChartContainer.hidden = true;
+        elements.sensitivityProgress.textContent = '';
+
+        // Term rows need a term that was entered directly
+        const termOption = elements.sensitivityRowAxis.querySelector('option[value="term"]');
+        termOption.disabled = state.loanData.loanType === 'heloc' || state.loanData.existing?.source === 'statement';
+        if (termOption.disabled) {
+            elements.sensitivityRowAxis.value = 'rate';
         }
-        return true;
+        setSensitivityRowDefaults();
     }
 
     /**
-     * Validate step 1 inputs
+     * Default rows: 2 points either side of the loan's rate, or 10 to 30 year terms
      */
-    function validateStep1() {
-        clearErrors();
-        let isValid = true;
+    function setSensitivityRowDefaults() {
+        const isTerm = elements.sensitivityRowAxis.value === 'term';
+        const rate = state.loanData?.annualRate || 6;
+        const defaults = isTerm ?
+            { min: 10, max: 30, step: 5 } :
+            { min: Math.max(0.5, Math.round(rate * 2) / 2 - 2), max: Math.round(rate * 2) / 2 + 2, step: 0.5 };
+
+        elements.sensitivityRowsLabel.textContent = isTerm ? 'Term From / To / Step (years)' : 'Rate From / To / Step (%)';
+        elements.sensitivityRowsMin.value = formatRateInput(defaults.min);
+        elements.sensitivityRowsMax.value = formatRateInput(defaults.max);
+        elements.sensitivityRowsStep.value = formatRateInput(defaults.step);
+    }
 
-        const validation = MortgageCalculator.validateLoanData({
-            principal: MortgageCalculator.parseCurrency(elements.loanAmount.value),
-            annualRate: parseFloat(elements.interestRate.value),
-            termYears: parseInt(elements.loanTerm.value),
-            startDate: getStartDate()
-        });
+    /**
+     * Build the grid a row at a time, redrawing as rows finish so large grids don't lock up the page
+     */
+    function handleSensitivityRun() {
+        const axes = {
+            rowAxis: elements.sensitivityRowAxis.value,
+            rows: {
+                min: MortgageCalculator.parseNumber(elements.sensitivityRowsMin.value),
+                max: MortgageCalculator.parseNumber(elements.sensitivityRowsMax.value),
+                step: MortgageCalculator.parseNumber(elements.sensitivityRowsStep.value)
+            },
+            extra: {
+                min: MortgageCalculator.parseCurrency(elements.sensitivityExtraMin.value),
+                max: MortgageCalculator.parseCurrency(elements.sensitivityExtraMax.value),
+                step: MortgageCalculator.parseCurrency(elements.sensitivityExtraStep.value)
+            }
+        };
+
+        document.getElementById('sensitivity-rows-error').textContent = '';
+        document.getElementById('sensitivity-extra-error').textContent = '';
 
+        const validation = SensitivityAnalyzer.validateAxes(axes, state.loanData);
         if (!validation.isValid) {
             Object.entries(validation.errors).forEach(([field, message]) => {
                 const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
-                const errorEl = document.getElementById(errorId);
-                if (errorEl) {
-                    errorEl.textContent = message;
-                    isValid = false;
-                }
+                document.getElementById(errorId).textContent = message;
             });
+            return;
         }
 
-        return isValid;
+        // A newer run replaces one still in progress
+        const grid = SensitivityAnalyzer.createGrid(axes);
+        const { loanData, accelerationOptions } = state;
+        state.sensitivity = grid;
+        elements.sensitivityChartContainer.hidden = false;
+        elements.sensitivityTooltip.hidden = true;
+
+        const calculateNextRow = () => {
+            if (state.sensitivity !== grid) return;
+
+            SensitivityAnalyzer.calculateRow(grid, loanData, accelerationOptions, grid.completedRows);
+            const cellCount = grid.rows.length * grid.columns.length;
+            elements.sensitivityProgress.textContent = grid.completedRows < grid.rows.length ?
+                `Calculating… ${grid.completedRows} of ${grid.rows.length} rows` :
+                `${MortgageCalculator.formatNumber(cellCount)} scenarios`;
+            renderSensitivityChart();
+
+            if (grid.completedRows < grid.rows.length) {
+                setTimeout(calculateNextRow, 0);
+            }
+        };
+        setTimeout(calculateNextRow, 0);
     }
 
     /**
-     * Clear all error messages
+     * Render the sensitivity heatmap, outlining the cell under the pointer
      */
-    function clearErrors() {
-        document.querySelectorAll('.error-message').forEach(el => {
-            el.textContent = '';
-        });
+    function renderSensitivityChart(highlight = null) {
+        elements.sensitivityChart.style.width = '100%';
+        elements.sensitivityChart.style.height = `${Math.max(240, Math.min(480, state.sensitivity.rows.length * 28 + 80))}px`;
+
+        state.sensitivityLayout = ChartRenderer.drawSensitivityHeatmap(
+            'sensitivity-chart', state.sensitivity, elements.sensitivityMetric.value, highlight
+        );
     }
 
     /**
-     * Handle form submission
+     * Show the values for the cell under the pointer
      */
-    function handleSubmit(e) {
-        e.preventDefault();
+    function handleSensitivityHover(e) {
+        if (!state.sensitivity) return;
+
+        const rect = elements.sensitivityChart.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const position = ChartRenderer.getHeatmapCell(state.sensitivityLayout, x, y);
+        const cell = position && state.sensitivity.cells[position.row][position.column];
+
+        if (!cell) {
+            elements.sensitivityTooltip.hidden = true;
+            return;
+        }
 
-        // Gather loan data
-        state.loanData = {
-            principal: MortgageCalculator.parseCurrency(elements.loanAmount.value),
-            annualRate: parseFloat(elements.interestRate.value),
-            termYears: parseInt(elements.loanTerm.value),
-            startDate: getStartDate()
-        };
+        const grid = state.sensitivity;
+        const rowValue = grid.rows[position.row];
+        const { formatCurrency, formatDateDisplay, formatPercent } = MortgageCalculator;
+
+        elements.sensitivityTooltip.innerHTML = `
+            <strong>${grid.rowAxis === 'term' ? `${rowValue}-year term` : `${formatPercent(rowValue)} rate`},
+            ${formatCurrency(grid.columns[position.column])}/mo extra</strong><br>
+            Interest saved: ${formatCurrency(cell.interestSaved)}<br>
+            Time saved: ${MortgageCalculator.formatDuration(cell.monthsSaved) || 'none'}<br>
+            Paid off ${formatDateDisplay(cell.payoffDate)}
+        `;
+        elements.sensitivityTooltip.hidden = false;
+        elements.sensitivityTooltip.style.left = `${Math.min(x + 12, rect.width - elements.sensitivityTooltip.offsetWidth)}px`;
+        elements.sensitivityTooltip.style.top = `${y + 12}px`;
+
+        renderSensitivityChart(position);
+    }
 
-        // Gather acceleration options
-        state.accelerationOptions = {
-            extraMonthly: elements.enableExtraMonthly?.checked ?
-                MortgageCalculator.parseCurrency(elements.extraMonthly.value) : 0,
-            biweekly: elements.biweekly?.checked || false,
-            lumpSum: elements.enableLumpSum?.checked ?
-                MortgageCalculator.parseCurrency(elements.lumpSum.value) : 0,
-            lumpSumDate: getLumpSumDate(),
-            annualExtra: elements.enableAnnualExtra?.checked ?
-                MortgageCalculator.parseCurrency(elements.annualExtra.value) : 0,
-            annualExtraMonth: parseInt(elements.annualExtraMonth?.value || 11)
-        };
+    /**
+     * Setup importing a statement and reconciling it against the plan
+     */
+    function setupStatementImport() {
+        elements.statementFile?.addEventListener('change', handleStatementFile);
+        elements.statementReconcile?.addEventListener('click', handleReconcile);
+    }
 
-        // Calculate results
-        calculateResults();
+    /**
+     * Read the chosen statement file. OFX/QFX files are parsed straight away; for a CSV,
+     * offer the column mapping with a guess from its headers.
+     */
+    async function handleStatementFile() {
+        const file = elements.statementFile.files[0];
+        state.statementImport = null;
+        elements.statementMapping.hidden = true;
+        document.getElementById('statement-file-error').textContent = '';
+        if (!file) return;
+
+        const text = await file.text();
+        if (/\.(ofx|qfx)$/i.test(file.name) || /<OFX>/i.test(text)) {
+            state.statementImport = { format: 'ofx', transactions: StatementReconciler.parseOFX(text) };
+            return;
+        }
 
-        // Go to results step
-        goToStep(3);
+        const table = StatementReconciler.readCSV(text);
+        const mapping = StatementReconciler.guessMapping(table.headers);
+        elements.statementColumns.forEach(select => {
+            select.innerHTML = '';
+            select.appendChild(new Option('Not in file', ''));
+            table.headers.forEach((header, index) => {
+                select.appendChild(new Option(header || `Column ${index + 1}`, index));
+            });
+            select.value = mapping[select.dataset.statementColumn] ?? '';
+        });
+        elements.statementMapping.hidden = false;
+        state.statementImport = { format: 'csv', table };
+    }
 
-        // Trigger confetti animation
-        triggerConfetti();
+    /**
+     * Read the CSV column mapping as { field: columnIndex }, leaving out fields not in the file
+     */
+    function getStatementMapping() {
+        const mapping = {};
+        elements.statementColumns.forEach(select => {
+            if (select.value !== '') {
+                mapping[select.dataset.statementColumn] = parseInt(select.value);
+            }
+        });
+        return mapping;
     }
 
     /**
-     * Calculate and display results
+     * Reconcile the imported statement against the plan
      */
-    function calculateResults() {
-        state.originalResult = MortgageCalculator.generateOriginalSchedule(state.loanData);
-        state.acceleratedResult = MortgageCalculator.generateAcceleratedSchedule(
-            state.loanData,
-            state.accelerationOptions
-        );
+    function handleReconcile() {
+        ['statement-file-error', 'statement-mapping-error', 'statement-tolerance-error'].forEach(id => {
+            document.getElementById(id).textContent = '';
+        });
 
-        const savings = MortgageCalculator.calculateSavings(
-            state.originalResult,
-            state.acceleratedResult
-        );
+        if (!state.statementImport) {
+            document.getElementById('statement-file-error').textContent = 'Please choose a statement file';
+            return;
+        }
 
-        displayResults(savings);
+        const isCsv = state.statementImport.format === 'csv';
+        const mapping = isCsv ? getStatementMapping() : null;
+        const transactions = isCsv ?
+            StatementReconciler.mapCSV(state.statementImport.table, mapping) : state.statementImport.transactions;
+        const tolerance = MortgageCalculator.parseCurrency(elements.statementTolerance.value);
+
+        const validation = StatementReconciler.validateImport(transactions, mapping, tolerance);
+        if (!validation.isValid) {
+            Object.entries(validation.errors).forEach(([field, message]) => {
+                const errorId = field.replace(/([A-Z])/g, '-$1').toLowerCase() + '-error';
+                document.getElementById(errorId).textContent = message;
+            });
+            return;
+        }
+
+        state.reconciliation = StatementReconciler.reconcile(
+            state.loanData, state.accelerationOptions, transactions, tolerance
+        );
+        renderReconciliation();
     }
 
     /**
-     * Display calculation results
+     * Show the month-by-month comparison and the loan re-projected from the statement's balance
      */
-    function displayResults(savings) {
-        // Hero section
-        animateValue(elements.resultInterestSaved, savings.interestSaved, true);
-        elements.resultTimeSaved.textContent = savings.timeSavedText;
+    function renderReconciliation() {
+        const reconciliation = state.reconciliation;
+        elements.statementResults.hidden = !reconciliation;
+        if (!reconciliation) return;
+
+        const { formatCurrency, formatCurrencyPrecise, formatDateDisplay } = MortgageCalculator;
+        const months = reconciliation.months;
+        const span = `${formatDateDisplay(months[0].date)} to ${formatDateDisplay(months[months.length - 1].date)}`;
+
+        if (reconciliation.matched === 0) {
+            elements.statementHeadline.textContent = 'No statement months fall within the plan';
+        } else if (reconciliation.flagged === 0) {
+            elements.statementHeadline.textContent = 'Every payment was applied as planned';
+        } else {
+            elements.statementHeadline.textContent =
+                `${reconciliation.flagged} of ${reconciliation.matched} months differ from the plan`;
+        }
 
-        // Original plan
-        elements.originalPayoffDate.textContent =
-            MortgageCalculator.formatDateDisplay(state.originalResult.payoffDate);
-        elements.originalInterest.textContent =
-            MortgageCalculator.formatCurrency(state.originalResult.totalInterest);
-        elements.originalPayments.textContent = state.originalResult.totalPayments;
+        const details = [`Statements from ${span}, compared within ${formatCurrencyPrecise(reconciliation.tolerance)}.`];
+        if (reconciliation.unmatched > 0) {
+            details.push(`${reconciliation.unmatched} month${reconciliation.unmatched === 1 ? ' has' : 's have'} no planned payment.`);
+        }
+        if (reconciliation.paidOff) {
+            details.push(`The loan was paid off by ${formatDateDisplay(reconciliation.lastDate)}.`);
+        } else if (reconciliation.lastBalance !== null && Math.abs(reconciliation.balanceDifference) > reconciliation.tolerance) {
+            details.push(`At ${formatCurrency(reconciliation.lastBalance)} after ${formatDateDisplay(reconciliation.lastDate)}, ` +
+                `the balance is ${formatCurrency(Math.abs(reconciliation.balanceDifference))} ` +
+                `${reconciliation.balanceDifference > 0 ? 'behind' : 'ahead of'} the plan.`);
+        }
+        elements.statementDetail.textContent = details.join(' ');
+
+        const reprojection = reconciliation.reprojection;
+        elements.statementProjection.hidden = !reprojection;
+        if (reprojection) {
+            elements.statementPlanPayoff.textContent = formatDateDisplay(reconciliation.planPayoffDate);
+            elements.statementPlanInterest.textContent = formatCurrency(reconciliation.planRemainingInterest);
+            elements.statementActualPayoff.textContent = formatDateDisplay(reprojection.payoffDate);
+            elements.statementActualInterest.textContent = formatCurrency(reprojection.totalInterest);
+        }
 
-        // Accelerated plan
-        elements.newPayoffDate.textContent =
-            MortgageCalculator.formatDateDisplay(state.acceleratedResult.payoffDate);
-        elements.newInterest.textContent =
-            MortgageCalculator.formatCurrency(state.acceleratedResult.totalInterest);
-        elements.newPayments.textContent = state.acceleratedResult.totalPayments;
+        // Statements are to the cent, so the table is too
+        const formatAmount = (value) => (value === null || value === undefined ? '—' : formatCurrencyPrecise(value));
+        const statusLabels = { ok: 'As planned', unmatched: 'Not in plan' };
+        const fieldLabels = { interest: 'Interest', principal: 'Principal', balance: 'Balance' };
+
+        elements.statementBody.innerHTML = months.map(month => {
+            const { actual, expected } = month;
+            const status = month.status === 'flagged' ?
+                month.flags.map(field => `${fieldLabels[field]} ${month.differences[field] > 0 ? '+' : '-'}` +
+                    formatCurrencyPrecise(Math.abs(month.differences[field]))).join(', ') :
+                statusLabels[month.status];
+
+            return `
+                <tr class="${month.status === 'ok' ? '' : month.status}">
+                    <td>${formatDateDisplay(month.date)}</td>
+                    <td>${formatAmount(actual.interest)}</td>
+                    <td>${formatAmount(expected?.interest)}</td>
+                    <td>${formatAmount(actual.principal)}</td>
+                    <td>${formatAmount(expected?.principal)}</td>
+                    <td>${formatAmount(actual.balance)}</td>
+                    <td>${formatAmount(expected?.balance)}</td>
+                    <td>${status}</td>
+                </tr>
+            `;
+        }).join('');
+    }
 
-        // Render charts
-        setTimeout(() => {
-            renderActiveChart();
-        }, 100);
+    /**
+     * Describe a balloon payment, or note that the loan is paid off before it comes due
+     */
+    function formatBalloon(balloon) {
+        return balloon ?
+            `${MortgageCalculator.formatCurrency(balloon.amount)} in ${MortgageCalculator.formatDateDisplay(balloon.date)}` :
+            'Paid off first';
+    }
 
-        // Render table
-        state.currentPage = 1;
-        renderAmortizationTable();
+    /**
+     * Format a scheduled payment with its period (weekly, semi-monthly and bi-weekly plans
+     * applied as paid have a payment for each of their periods)
+     */
+    function formatPayment(amount) {
+        const options = state.accelerationOptions;
+        const paymentFrequency = options && MortgageCalculator.getPaymentMethod(options) === 'accrual' ?
+            MortgageCalculator.getPaymentFrequency(options) : 'monthly';
+        return `${MortgageCalculator.formatCurrency(amount)}${MortgageCalculator.PAYMENT_FREQUENCIES[paymentFrequency].suffix}`;
     }
 
     /**
@@ -620,14 +3491,18 @@
                 ChartRenderer.drawBalanceChart(
                     'balance-chart',
                     state.originalResult.schedule,
-                    state.acceleratedResult.schedule
+                    state.acceleratedResult.schedule,
+                    state.originalResult.rateChanges,
+                    [state.originalResult.balloon, state.acceleratedResult.balloon].filter(Boolean),
+                    state.originalResult.history
                 );
                 break;
             case 'comparison':
                 ChartRenderer.drawComparisonChart(
                     'comparison-chart',
                     state.originalResult,
-                    state.acceleratedResult
+                    state.acceleratedResult,
+                    state.valueMode === 'real' ? state.presentValue : null
                 );
                 break;
             case 'breakdown':
@@ -635,7 +3510,7 @@
                     'breakdown-chart',
                     state.originalResult,
                     state.acceleratedResult,
-                    state.loanData.principal
+                    state.loanData.principal + (state.originalResult.totalDraws || 0)
                 );
                 break;
         }
@@ -655,6 +3530,7 @@
         const pageData = schedule.slice(start, end);
 
         elements.amortizationBody.innerHTML = '';
+        elements.amortizationTable.classList.toggle('no-escrow', !hasEscrow());
 
         pageData.forEach(row => {
             const tr = document.createElement('tr');
@@ -667,13 +3543,38 @@
                 tr.classList.add('paid-off');
             }
 
+            if (row.rateReset) {
+                tr.classList.add('rate-reset');
+            }
+
+            if (row.balloon) {
+                tr.classList.add('balloon-payment');
+            }
+
+            if (row.relief) {
+                tr.classList.add('relief-payment');
+            }
+
+            const rateBadge = row.rateReset ?
+                `<span class="rate-badge">${MortgageCalculator.formatPercent(row.rate)}</span>` : '';
+            const recastBadge = row.recast ? '<span class="recast-badge">Recast</span>' : '';
+            const balloonBadge = row.balloon ? '<span class="balloon-badge">Balloon</span>' : '';
+            const reliefLabels = { skip: 'Skipped', reduced: 'Reduced', forbearance: 'Forbearance' };
+            const reliefBadge = row.relief ?
+                `<span class="relief-badge">${reliefLabels[row.relief]}</span>` :
+                (row.deferredPayoff ? '<span class="relief-badge">Deferred interest</span>' : '');
+            const penaltyBadge = row.prepaymentPenalty > 0 ?
+                `<span class="penalty-badge">${MortgageCalculator.formatCurrency(row.prepaymentPenalty)} penalty</span>` : '';
+
             tr.innerHTML = `
                 <td>${row.paymentNumber}</td>
-                <td>${MortgageCalculator.formatDateDisplay(row.date)}</td>
+                <td>${MortgageCalculator.formatDateDisplay(row.paymentDate || row.date)}${rateBadge}${recastBadge}${balloonBadge}${reliefBadge}${penaltyBadge}</td>
                 <td>${MortgageCalculator.formatCurrencyPrecise(row.payment)}</td>
                 <td>${MortgageCalculator.formatCurrencyPrecise(row.principal)}</td>
                 <td>${MortgageCalculator.formatCurrencyPrecise(row.interest)}</td>
                 <td>${row.extraPayment > 0 ? MortgageCalculator.formatCurrencyPrecise(row.extraPayment) : '-'}</td>
+                <td>${MortgageCalculator.formatCurrencyPrecise(row.propertyTax + row.insurance + row.hoa)}</td>
+                <td>${row.pmi > 0 ? MortgageCalculator.formatCurrencyPrecise(row.pmi) : '-'}</td>
                 <td>${MortgageCalculator.formatCurrencyPrecise(row.balance)}</td>
             `;
 
@@ -685,6 +3586,13 @@
         elements.nextPage.disabled = state.currentPage === totalPages;
     }
 
+    /**
+     * Whether the loan has any taxes, insurance, HOA or PMI to show
+     */
+    function hasEscrow() {
+        return state.originalResult.totalEscrow > 0 || state.originalResult.totalPMI > 0;
+    }
+
     /**
      * Change table page
      */
@@ -711,15 +3619,16 @@
      * Handle CSV export
      */
     function handleExportCsv() {
-        const schedule = state.showAccelerated ?
-            state.acceleratedResult.schedule :
-            state.originalResult.schedule;
+        const result = state.showAccelerated ?
+            state.acceleratedResult :
+            state.originalResult;
 
         const filename = state.showAccelerated ?
             'accelerated-amortization.csv' :
             'original-amortization.csv';
 
-        ExportManager.exportToCSV(schedule, filename);
+        ExportManager.exportToCSV(result.schedule, filename, result.dayCount,
+            MortgageCalculator.getInsuranceLabel(state.loanData), result.biweeklyMethod);
         showToast('CSV exported successfully', 'success');
     }
 
@@ -727,21 +3636,67 @@
      * Handle PDF export
      */
     function handleExportPdf() {
-        const savings = MortgageCalculator.calculateSavings(
-            state.originalResult,
-            state.acceleratedResult
-        );
+        const summaryData = buildSummaryData(state.loanData, state.originalResult, state.acceleratedResult);
+        ExportManager.exportToPDF(summaryData, state.loanData, state.accelerationOptions);
+    }
 
-        const summaryData = {
-            originalPayoffDate: state.originalResult.payoffDate,
-            acceleratedPayoffDate: state.acceleratedResult.payoffDate,
+    /**
+     * Collect the figures shown in the PDF report
+     */
+    function buildSummaryData(loanData, originalResult, acceleratedResult) {
+        const savings = MortgageCalculator.calculateSavings(originalResult, acceleratedResult);
+        const tax = MortgageCalculator.getTax(loanData);
+
+        return {
+            originalPayoffDate: originalResult.payoffDate,
+            acceleratedPayoffDate: acceleratedResult.payoffDate,
             timeSaved: savings.timeSavedText,
-            monthlyPayment: state.originalResult.monthlyPayment,
-            originalInterest: state.originalResult.totalInterest,
-            interestSaved: savings.interestSaved
+            monthlyPayment: originalResult.monthlyPayment,
+            originalInterest: originalResult.totalInterest,
+            interestSaved: savings.interestSaved,
+            prepaymentPenalties: savings.prepaymentPenalties,
+            cappedPrepayments: savings.cappedPrepayments,
+            netSavings: savings.netSavings,
+            piti: MortgageCalculator.calculatePITI(loanData, originalResult.monthlyPayment),
+            program: savings.program,
+            insuranceLabel: MortgageCalculator.getInsuranceLabel(loanData),
+            pmiSaved: savings.pmiSaved,
+            totalSavings: savings.totalSavings,
+            originalPMI: originalResult.totalPMI,
+            acceleratedPMI: acceleratedResult.totalPMI,
+            originalPmiEndDate: originalResult.pmiEndDate,
+            acceleratedPmiEndDate: acceleratedResult.pmiEndDate,
+            pmiMonthsSaved: savings.pmiMonthsSaved,
+            originalEscrow: originalResult.totalEscrow,
+            acceleratedEscrow: acceleratedResult.totalEscrow,
+            tax: tax ? {
+                ...tax,
+                originalYears: originalResult.taxYears,
+                acceleratedYears: acceleratedResult.taxYears,
+                originalAfterTaxInterest: originalResult.afterTaxInterest,
+                acceleratedAfterTaxInterest: acceleratedResult.afterTaxInterest,
+                afterTaxInterestSaved: savings.afterTaxInterestSaved,
+                taxBenefitLost: savings.taxBenefitLost
+            } : null,
+            recasts: acceleratedResult.recasts || [],
+            reliefCost: MortgageCalculator.calculateReliefCost(loanData, state.accelerationOptions || {}, acceleratedResult),
+            amortizationStart: originalResult.amortizationStart,
+            totalDraws: originalResult.totalDraws,
+            originalBalloon: originalResult.balloon,
+            acceleratedBalloon: acceleratedResult.balloon,
+            dayCount: originalResult.dayCount,
+            compounding: originalResult.compounding,
+            rounding: originalResult.rounding,
+            existing: loanData.existing ? {
+                paymentsMade: originalResult.paymentsMade,
+                startingBalance: originalResult.startingBalance,
+                projectionStart: originalResult.schedule[0]?.date
+            } : null,
+            investment: state.investmentAnalysis,
+            presentValue: state.presentValue,
+            valueMode: state.valueMode === 'real' && state.presentValue ? 'real' : 'nominal',
+            refinance: state.refinanceAnalysis
         };
-
-        ExportManager.exportToPDF(summaryData, state.loanData, state.accelerationOptions);
     }
 
     /**
@@ -785,6 +3740,11 @@
         // Reset form
         elements.form.reset();
         setDefaultStartDate();
+        updatePaymentFrequency();
+        updatePrepaymentPenaltyFields();
+        clearHelocItems();
+        updateLoanTypeFields();
+        updateLoanProgramFields();
         clearErrors();
 
         // Reset state
@@ -792,6 +3752,13 @@
         state.accelerationOptions = null;
         state.originalResult = null;
         state.acceleratedResult = null;
+        state.strategyBreakdown = null;
+        state.lumpSumComparison = null;
+        state.investmentAnalysis = null;
+        state.presentValue = null;
+        state.valueMode = 'nominal';
+        state.statementImport = null;
+        state.reconciliation = null;
 
         // Reset strategy cards
         document.querySelectorAll('.strategy-card').forEach(card => {
@@ -800,8 +3767,21 @@
             if (input) input.hidden = true;
         });
 
+        clearExtraPayments();
+        clearPaymentRelief();
+        elements.statementMapping.hidden = true;
+        elements.statementResults.hidden = true;
+
+        // Reset goal seek
+        elements.goalSeek.hidden = true;
+        elements.goalToggle.setAttribute('aria-expanded', 'false');
+        delete elements.goalSeek.dataset.ready;
+        showGoalResult('', '');
+        updateGoalFields();
+
         // Reset preview
         elements.previewPayment.textContent = '$--';
+        elements.previewBreakdown.textContent = '';
         elements.previewInterest.textContent = '$--';
         elements.previewPayoff.textContent = '--';
 
@@ -821,6 +3801,8 @@
     function loadFromUrl() {
         const data = StorageManager.parseShareUrl();
         if (data) {
+            // The link's locale applies first so its numbers are written in that format
+            if (data.format) applyFormat(data.format);
             populateForm(data);
             setTimeout(() => {
                 updateLivePreview();
@@ -833,9 +3815,11 @@
      */
     function populateForm(data) {
         if (data.loanData) {
-            elements.loanAmount.value = data.loanData.principal.toLocaleString();
-            elements.interestRate.value = data.loanData.annualRate;
-            elements.loanTerm.value = data.loanData.termYears;
+            elements.loanAmount.value = MortgageCalculator.formatNumber(data.loanData.principal);
+            elements.interestRate.value = formatRateInput(data.loanData.annualRate);
+            if (data.loanData.loanType !== 'heloc') {
+                elements.loanTerm.value = data.loanData.termYears;
+            }
 
             // Parse start date
             if (data.loanData.startDate) {
@@ -843,43 +3827,103 @@
                 elements.startMonth.value = month;
                 elements.startYear.value = year;
             }
-        }
 
-        if (data.accelerationOptions) {
-            if (data.accelerationOptions.extraMonthly > 0) {
-                elements.enableExtraMonthly.checked = true;
-                elements.extraMonthly.value = data.accelerationOptions.extraMonthly;
-                elements.enableExtraMonthly.closest('.strategy-card').classList.add('active');
-                elements.extraMonthly.closest('.strategy-input').hidden = false;
+            elements.loanType.value = data.loanData.loanType || 'fixed';
+            if (data.loanData.arm) {
+                elements.armInitialPeriod.value = data.loanData.arm.initialPeriodYears;
+                elements.armResetFrequency.value = data.loanData.arm.resetFrequencyMonths;
+                elements.armIndex.value = formatRateInput(data.loanData.arm.index);
+                elements.armMargin.value = formatRateInput(data.loanData.arm.margin);
+                elements.armInitialCap.value = formatRateInput(data.loanData.arm.initialCap);
+                elements.armPeriodicCap.value = formatRateInput(data.loanData.arm.periodicCap);
+                elements.armLifetimeCap.value = formatRateInput(data.loanData.arm.lifetimeCap);
             }
-
-            if (data.accelerationOptions.biweekly) {
-                elements.biweekly.checked = true;
-                elements.biweekly.closest('.strategy-card').classList.add('active');
+            clearHelocItems();
+            if (data.loanData.heloc) {
+                elements.helocDrawYears.value = data.loanData.heloc.drawYears;
+                elements.helocRepaymentYears.value = data.loanData.heloc.repaymentYears;
+                data.loanData.heloc.draws.forEach(draw => {
+                    addHelocItem(elements.helocDrawList, elements.helocDrawTemplate, { date: draw.date, value: draw.amount });
+                });
+                data.loanData.heloc.rateSteps.forEach(step => {
+                    addHelocItem(elements.helocRateList, elements.helocRateTemplate, { date: step.date, value: step.rate });
+                });
+            }
+            elements.loanStructure.value = data.loanData.structure || 'amortizing';
+            if (data.loanData.interestOnlyYears) {
+                elements.interestOnlyYears.value = data.loanData.interestOnlyYears;
+            }
+            if (data.loanData.balloonYears) {
+                elements.balloonYears.value = data.loanData.balloonYears;
+            }
+            const existing = data.loanData.existing;
+            elements.loanStatus.value = existing ? 'existing' : 'new';
+            if (existing && existing.source === 'statement') {
+                elements.existingSource.value = 'statement';
+                elements.currentBalance.value = existing.balance ? MortgageCalculator.formatNumber(existing.balance) : '';
+                if (existing.nextPaymentDate) {
+                    const [year, month] = existing.nextPaymentDate.split('-');
+                    elements.nextPaymentMonth.value = month;
+                    elements.nextPaymentYear.value = year;
+                }
+                elements.remainingBasis.value = existing.currentPayment !== undefined ? 'payment' : 'term';
+                elements.remainingMonths.value = existing.remainingMonths || '';
+                elements.currentPayment.value = existing.currentPayment ? MortgageCalculator.formatNumber(existing.currentPayment) : '';
+            } else if (existing) {
+                elements.existingSource.value = 'history';
+                elements.paymentsMade.value = existing.paymentsMade;
+            }
+            updateLoanTypeFields();
+            elements.region.value = data.loanData.region in MortgageCalculator.REGIONAL_PRESETS ? data.loanData.region : 'us';
+            elements.dayCount.value = data.loanData.dayCount || '30/360';
+            elements.compounding.value = MortgageCalculator.getCompounding(data.loanData);
+            elements.rounding.value = data.loanData.rounding === 'cents' ? 'cents' : 'none';
+            elements.prepaymentLimit.value = data.loanData.prepaymentLimit ? formatRateInput(data.loanData.prepaymentLimit) : '';
+            elements.prepaymentYears.value = data.loanData.prepaymentYears ? formatRateInput(data.loanData.prepaymentYears) : '';
+            const penalty = data.loanData.prepaymentPenalty;
+            elements.prepaymentPenaltyType.value = penalty ? penalty.type : 'none';
+            elements.prepaymentPenaltyValue.value = penalty ? formatRateInput(penalty.value) : '';
+            updatePrepaymentPenaltyFields();
+
+            const tax = data.loanData.tax;
+            elements.filingStatus.value = tax && tax.filingStatus ? tax.filingStatus : 'single';
+            elements.marginalTaxRate.value = tax ? formatRateInput(tax.marginalRate) : '';
+            elements.standardDeduction.value = tax && tax.standardDeduction !== undefined ?
+                MortgageCalculator.formatNumber(tax.standardDeduction) : '';
+            elements.otherDeductions.value = tax && tax.otherDeductions ? MortgageCalculator.formatNumber(tax.otherDeductions) : '';
+            elements.taxLoanLimit.value = tax && tax.loanLimit ? MortgageCalculator.formatNumber(tax.loanLimit) : '';
+            updateTaxDefaults();
+
+            const escrow = data.loanData.escrow;
+            if (escrow) {
+                elements.homeValue.value = escrow.homeValue ? MortgageCalculator.formatNumber(escrow.homeValue) : '';
+                elements.propertyTax.value = escrow.propertyTaxAnnual ? MortgageCalculator.formatNumber(escrow.propertyTaxAnnual) : '';
+                elements.homeInsurance.value = escrow.insuranceAnnual ? MortgageCalculator.formatNumber(escrow.insuranceAnnual) : '';
+                elements.hoaDues.value = escrow.hoaMonthly ? MortgageCalculator.formatNumber(escrow.hoaMonthly) : '';
+                elements.pmiRate.value = escrow.pmiRate ? formatRateInput(escrow.pmiRate) : '';
+                elements.pmiCancellation.value = escrow.pmiCancellation || 'automatic';
             }
 
-            if (data.accelerationOptions.lumpSum > 0) {
-                elements.enableLumpSum.checked = true;
-                elements.lumpSum.value = data.accelerationOptions.lumpSum;
+            const program = MortgageCalculator.getLoanProgram(data.loanData);
+            elements.loanProgram.value = program.type;
+            elements.upfrontFeeFinancing.value = program.financeUpfrontFee ? 'financed' : 'cash';
+            elements.vaFundingFeeUse.value = program.vaUse;
+            updateLoanProgramFields();
+        }
 
-                // Parse lump sum date
-                if (data.accelerationOptions.lumpSumDate) {
-                    const [year, month] = data.accelerationOptions.lumpSumDate.split('-');
-                    elements.lumpSumMonth.value = month;
-                    elements.lumpSumYear.value = year;
-                }
+        if (data.accelerationOptions) {
+            elements.biweeklyMethod.value = data.accelerationOptions.biweeklyMethod === 'held' ? 'held' : 'accrual';
+            setPaymentFrequency(MortgageCalculator.getPaymentFrequency(data.accelerationOptions));
 
-                elements.enableLumpSum.closest('.strategy-card').classList.add('active');
-                elements.lumpSum.closest('.strategy-input').hidden = false;
-            }
+            elements.lumpSumMode.value = data.accelerationOptions.recast ? 'recast' : 'shorten';
+            elements.recastFee.value = data.accelerationOptions.recastFee > 0 ?
+                MortgageCalculator.formatNumber(data.accelerationOptions.recastFee) : '';
 
-            if (data.accelerationOptions.annualExtra > 0) {
-                elements.enableAnnualExtra.checked = true;
-                elements.annualExtra.value = data.accelerationOptions.annualExtra;
-                elements.annualExtraMonth.value = data.accelerationOptions.annualExtraMonth;
-                elements.enableAnnualExtra.closest('.strategy-card').classList.add('active');
-                elements.annualExtra.closest('.strategy-input').hidden = false;
-            }
+            clearExtraPayments();
+            (data.accelerationOptions.extraPayments || []).forEach(addExtraPaymentRule);
+
+            clearPaymentRelief();
+            (data.accelerationOptions.paymentRelief || []).forEach(addReliefPeriod);
 
             updateStrategySummary();
         }
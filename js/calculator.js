@@ -7,54 +7,530 @@ const MortgageCalculator = {
     /**
      * Calculate monthly payment using standard amortization formula
      * M = P * [r(1+r)^n] / [(1+r)^n - 1]
+     * where r is the monthly rate under the rate's compounding convention
      */
-    calculateMonthlyPayment(principal, annualRate, termYears) {
-        if (annualRate === 0) {
-            return principal / (termYears * 12);
+    calculateMonthlyPayment(principal, annualRate, termYears, compounding = 'monthly') {
+        return this.calculateAmortizedPayment(principal, this.getMonthlyRate(annualRate, compounding), termYears * 12);
+    },
+
+    /**
+     * How often a quoted annual rate compounds. US rates compound monthly; Canadian fixed rates
+     * compound semi-annually, not in advance; UK and Australian lenders accrue interest daily.
+     */
+    COMPOUNDING_CONVENTIONS: {
+        monthly: { label: 'Monthly', periodsPerYear: 12 },
+        'semi-annual': { label: 'Semi-annual, not in advance', periodsPerYear: 2 },
+        daily: { label: 'Daily', periodsPerYear: 365 }
+    },
+
+    /**
+     * The loan's compounding convention (monthly unless set)
+     */
+    getCompounding(loanData) {
+        return loanData.compounding in this.COMPOUNDING_CONVENTIONS ? loanData.compounding : 'monthly';
+    },
+
+    /**
+     * Effective monthly rate for an annual rate: rate / 12 when it compounds monthly, otherwise
+     * the rate that compounded monthly grows a balance as much as the quoted compounding does
+     */
+    getMonthlyRate(annualRate, compounding = 'monthly') {
+        const { periodsPerYear } = this.COMPOUNDING_CONVENTIONS[compounding];
+        if (periodsPerYear === 12) return annualRate / 100 / 12;
+        return Math.pow(1 + annualRate / 100 / periodsPerYear, periodsPerYear / 12) - 1;
+    },
+
+    /**
+     * Regional defaults: how rates compound and accrue, the usual amortization term and payment
+     * frequency, a typical yearly prepayment privilege (percent of the loan amount, 0 = none), and
+     * the local number format and currency
+     */
+    REGIONAL_PRESETS: {
+        us: {
+            label: 'United States', compounding: 'monthly', dayCount: '30/360',
+            termYears: 30, paymentFrequency: 'monthly', prepaymentLimit: 0,
+            locale: 'en-US', currency: 'USD'
+        },
+        ca: {
+            label: 'Canada', compounding: 'semi-annual', dayCount: '30/360',
+            termYears: 25, paymentFrequency: 'accelerated-biweekly', prepaymentLimit: 20,
+            locale: 'en-CA', currency: 'CAD'
+        },
+        uk: {
+            label: 'United Kingdom', compounding: 'daily', dayCount: 'actual/365',
+            termYears: 25, paymentFrequency: 'monthly', prepaymentLimit: 10,
+            locale: 'en-GB', currency: 'GBP'
+        },
+        au: {
+            label: 'Australia', compounding: 'daily', dayCount: 'actual/365',
+            termYears: 30, paymentFrequency: 'biweekly', prepaymentLimit: 0,
+            locale: 'en-AU', currency: 'AUD'
+        }
+    },
+
+    /**
+     * Calculate the level payment that retires a balance over a number of periods
+     */
+    calculateAmortizedPayment(principal, periodicRate, numPayments) {
+        if (numPayments <= 0) {
+            return principal;
+        }
+
+        if (periodicRate === 0) {
+            return principal / numPayments;
+        }
+
+        return principal *
+            (periodicRate * Math.pow(1 + periodicRate, numPayments)) /
+            (Math.pow(1 + periodicRate, numPayments) - 1);
+    },
+
+    /**
+     * Number of monthly payments in the loan term.
+     * termMonths overrides termYears for loans with a partial-year remaining term.
+     */
+    getTermMonths(loanData) {
+        return loanData.termMonths || loanData.termYears * 12;
+    },
+
+    /**
+     * Number of interest-only payments at the start of an 'interest-only' loan or a HELOC's draw
+     * period (0 for other loans). interestOnlyMonths overrides interestOnlyYears, like termMonths.
+     */
+    getInterestOnlyMonths(loanData) {
+        if (loanData.loanType === 'heloc' && loanData.heloc) return loanData.heloc.drawYears * 12;
+        if (loanData.structure !== 'interest-only') return 0;
+        return loanData.interestOnlyMonths ?? (loanData.interestOnlyYears || 0) * 12;
+    },
+
+    /**
+     * Payment number at which a 'balloon' loan's remaining balance falls due (null for other loans).
+     * balloonMonths overrides balloonYears, like termMonths.
+     */
+    getBalloonMonth(loanData) {
+        if (loanData.structure !== 'balloon') return null;
+        return loanData.balloonMonths ?? (loanData.balloonYears || 0) * 12;
+    },
+
+    /**
+     * Month of the last scheduled payment: the balloon, or the end of the term
+     */
+    getFinalPaymentMonth(loanData) {
+        return this.getBalloonMonth(loanData) || this.getTermMonths(loanData);
+    },
+
+    /**
+     * First scheduled payment: interest only during an interest-only period, otherwise the level
+     * payment over the term (balloon loans amortize over the full term and pay off early)
+     */
+    calculateInitialPayment(loanData) {
+        const monthlyRate = this.getMonthlyRate(loanData.annualRate, this.getCompounding(loanData));
+
+        if (this.getInterestOnlyMonths(loanData) > 0) {
+            return loanData.principal * monthlyRate;
+        }
+
+        return this.calculateLevelPayment(loanData.principal, loanData.annualRate, loanData, 1, this.getTermMonths(loanData));
+    },
+
+    /**
+     * Level monthly payment that retires a balance over numPayments payments, the first of them
+     * payment number firstPayment. 30/360 months all accrue the same, so this is the standard formula;
+     * actual-day conventions accrue more in long months (and Actual/360 more every year), so the
+     * payment is solved over the real accrual periods rather than leaving a shortfall to the final payment.
+     */
+    calculateLevelPayment(balance, annualRate, loanData, firstPayment, numPayments) {
+        const compounding = this.getCompounding(loanData);
+        const dayCount = this.getDayCountConvention(loanData);
+
+        if (dayCount === '30/360' || annualRate === 0 || numPayments <= 0) {
+            return this.calculateAmortizedPayment(balance, this.getMonthlyRate(annualRate, compounding), numPayments);
+        }
+
+        // The balance is the present value of the payments, each discounted over the periods before it
+        const start = new Date(loanData.startDate + '-01');
+        let discount = 1;
+        let presentValue = 0;
+        for (let paymentNumber = firstPayment; paymentNumber < firstPayment + numPayments; paymentNumber++) {
+            const periodStart = new Date(start);
+            periodStart.setMonth(periodStart.getMonth() + paymentNumber - 2);
+            const paymentDate = new Date(start);
+            paymentDate.setMonth(paymentDate.getMonth() + paymentNumber - 1);
+            discount /= 1 + this.calculatePeriodInterest(1, annualRate, periodStart, paymentDate, dayCount, compounding);
+            presentValue += discount;
+        }
+
+        return balance / presentValue;
+    },
+
+    /**
+     * Number of level payments needed to retire a balance (Infinity if the payment doesn't cover the interest)
+     */
+    calculateRemainingMonths(balance, periodicRate, payment) {
+        if (periodicRate === 0) {
+            return Math.ceil(balance / payment);
+        }
+        if (payment <= balance * periodicRate) {
+            return Infinity;
+        }
+        return Math.ceil(-Math.log(1 - periodicRate * balance / payment) / Math.log(1 + periodicRate));
+    },
+
+    /**
+     * Where a schedule starts. A new loan starts at payment 1 with the full principal. An existing
+     * loan (loanData.existing) starts at its next payment, either after paymentsMade payments on the
+     * original terms ('history') or from a statement's balance, next payment date and remaining term
+     * or current payment ('statement'). history holds the payments already made, as scheduled.
+     */
+    getStartingPosition(loanData) {
+        const { round } = this.getRounding(loanData);
+        const position = {
+            paymentsMade: 0,
+            balance: loanData.principal,
+            rate: loanData.annualRate,
+            payment: round(this.calculateInitialPayment(loanData)),
+            termMonths: this.getTermMonths(loanData),
+            history: []
+        };
+
+        const existing = loanData.existing;
+        if (!existing) return position;
+
+        const original = this.generateOriginalSchedule({ ...loanData, existing: null });
+
+        if (existing.source === 'statement') {
+            const start = this.parseDate(loanData.startDate);
+            const paymentsMade = Math.max(0, this.getLoanMonth(start, this.parseDate(existing.nextPaymentDate)) - 1);
+            const rate = this.getRateSchedule(loanData).filter(segment => segment.month <= paymentsMade + 1).pop().rate;
+            const monthlyRate = this.getMonthlyRate(rate, this.getCompounding(loanData));
+            const remainingMonths = existing.remainingMonths ||
+                this.calculateRemainingMonths(existing.balance, monthlyRate, existing.currentPayment);
+
+            return {
+                paymentsMade,
+                balance: round(existing.balance),
+                rate,
+                payment: round(existing.currentPayment ||
+                    this.calculateLevelPayment(existing.balance, rate, loanData, paymentsMade + 1, remainingMonths)),
+                termMonths: paymentsMade + remainingMonths,
+                history: original.schedule.slice(0, paymentsMade)
+            };
+        }
+
+        const history = original.schedule.slice(0, existing.paymentsMade);
+        const lastRow = history[history.length - 1];
+        if (!lastRow) return position;
+
+        return {
+            ...position,
+            paymentsMade: history.length,
+            balance: lastRow.balance,
+            rate: (original.schedule[history.length] || lastRow).rate,
+            payment: lastRow.interestOnly ? position.payment : lastRow.payment,
+            history
+        };
+    },
+
+    /**
+     * Day-count conventions lenders use to accrue interest between payments
+     */
+    DAY_COUNT_CONVENTIONS: {
+        '30/360': '30/360',
+        'actual/365': 'Actual/365',
+        'actual/360': 'Actual/360',
+        'daily': 'Daily simple interest (Actual/Actual)'
+    },
+
+    /**
+     * The loan's day-count convention (30/360 unless set)
+     */
+    getDayCountConvention(loanData) {
+        return loanData.dayCount in this.DAY_COUNT_CONVENTIONS ? loanData.dayCount : '30/360';
+    },
+
+    /**
+     * Days of interest between two dates; 30/360 treats every month as 30 days
+     */
+    getDayCount(fromDate, toDate, dayCount) {
+        if (dayCount === '30/360') {
+            const fromDay = Math.min(fromDate.getDate(), 30);
+            const toDay = toDate.getDate() === 31 && fromDay === 30 ? 30 : toDate.getDate();
+            return (toDate.getFullYear() - fromDate.getFullYear()) * 360 +
+                (toDate.getMonth() - fromDate.getMonth()) * 30 + (toDay - fromDay);
+        }
+        return Math.round((toDate - fromDate) / (1000 * 60 * 60 * 24));
+    },
+
+    /**
+     * Interest accrued on a balance between two payment dates under a day-count convention.
+     * Monthly-compounding rates accrue simple interest for the period; other conventions grow the
+     * balance at the compounded rate for the same fraction of a year, so a 30/360 month gives
+     * exactly the effective monthly rate.
+     */
+    calculatePeriodInterest(balance, annualRate, fromDate, toDate, dayCount, compounding = 'monthly') {
+        const rate = annualRate / 100;
+        const { periodsPerYear } = this.COMPOUNDING_CONVENTIONS[compounding];
+
+        if (periodsPerYear !== 12) {
+            // Simple interest on 1 at 100% is the fraction of a year between the dates
+            const years = this.calculatePeriodInterest(1, 100, fromDate, toDate, dayCount);
+            return balance * (Math.pow(1 + rate / periodsPerYear, periodsPerYear * years) - 1);
+        }
+
+        if (dayCount === 'daily') {
+            // Each day accrues at 1/365 (1/366 in leap years) of the annual rate
+            let interest = 0;
+            let cursor = fromDate;
+            while (cursor < toDate) {
+                const year = cursor.getFullYear();
+                const yearEnd = new Date(year + 1, 0, 1);
+                const periodEnd = yearEnd < toDate ? yearEnd : toDate;
+                const daysInYear = new Date(year, 1, 29).getMonth() === 1 ? 366 : 365;
+                interest += balance * rate * this.getDayCount(cursor, periodEnd, dayCount) / daysInYear;
+                cursor = periodEnd;
+            }
+            return interest;
+        }
+
+        const daysInYear = dayCount === 'actual/365' ? 365 : 360;
+        return balance * rate * this.getDayCount(fromDate, toDate, dayCount) / daysInYear;
+    },
+
+    /**
+     * Interest accrued over a number of 30/360 days, compounded like calculatePeriodInterest
+     */
+    calculateDayInterest(balance, annualRate, days, compounding = 'monthly') {
+        const rate = annualRate / 100;
+        const { periodsPerYear } = this.COMPOUNDING_CONVENTIONS[compounding];
+
+        if (periodsPerYear !== 12) {
+            return balance * (Math.pow(1 + rate / periodsPerYear, periodsPerYear * days / 360) - 1);
+        }
+        return balance * rate * days / 360;
+    },
+
+    /**
+     * Round an amount to whole cents, half up. The float is snapped first so 1.005 rounds to 1.01.
+     */
+    roundToCents(amount) {
+        return Math.round(Number((amount * 100).toFixed(4))) / 100;
+    },
+
+    /**
+     * Rounding for schedule math. Cent-exact loans ('cents') round the payment, each period's
+     * interest and every balance to the cent the way lenders do, so a one-cent balance is still
+     * owed; otherwise amounts stay unrounded and anything under a cent counts as paid off.
+     */
+    getRounding(loanData) {
+        if (loanData.rounding === 'cents') {
+            return { mode: 'cents', round: amount => this.roundToCents(amount), tolerance: 0 };
+        }
+        return { mode: 'none', round: amount => amount, tolerance: 0.01 };
+    },
+
+    /**
+     * Build the interest rate timeline for a loan as a list of { month, rate } segments.
+     * Fixed loans have a single segment. ARMs reset every resetFrequencyMonths after the
+     * initial fixed period, moving toward index + margin within the initial, periodic and
+     * lifetime caps (the margin acts as the floor). HELOCs step to each expected rate on its date.
+     */
+    getRateSchedule(loanData) {
+        const { annualRate, loanType, arm } = loanData;
+        const segments = [{ month: 1, rate: annualRate }];
+
+        if (loanType === 'heloc' && loanData.heloc) {
+            const start = this.parseDate(loanData.startDate);
+            const steps = (loanData.heloc.rateSteps || [])
+                .map(step => ({ month: this.getLoanMonth(start, this.parseDate(step.date)), rate: step.rate }))
+                .filter(step => step.month > 1)
+                .sort((a, b) => a.month - b.month);
+            return [...segments, ...steps];
+        }
+
+        if (loanType !== 'arm' || !arm) {
+            return segments;
+        }
+
+        const totalMonths = this.getTermMonths(loanData);
+        // A simulated indexPath (the index for each loan month) replaces the flat index
+        const indexAt = (month) => (arm.indexPath ? arm.indexPath[Math.min(month, arm.indexPath.length) - 1] : arm.index);
+        const ceiling = annualRate + arm.lifetimeCap;
+        const floor = Math.min(annualRate, arm.margin);
+
+        let rate = annualRate;
+        let month = arm.initialPeriodYears * 12 + 1;
+        let isFirstReset = true;
+
+        while (month <= totalMonths) {
+            const cap = isFirstReset ? arm.initialCap : arm.periodicCap;
+            let newRate = Math.min(Math.max(indexAt(month) + arm.margin, rate - cap), rate + cap);
+            newRate = Math.min(Math.max(newRate, floor), ceiling);
+
+            segments.push({ month, rate: Math.round(newRate * 1000) / 1000 });
+
+            rate = newRate;
+            isFirstReset = false;
+            month += arm.resetFrequencyMonths;
+        }
+
+        return segments;
+    },
+
+    /**
+     * Planned HELOC draws as { month, amount } by calendar month index (none for other loans)
+     */
+    getDraws(loanData) {
+        if (loanData.loanType !== 'heloc' || !loanData.heloc) return [];
+        return (loanData.heloc.draws || []).map(draw => ({
+            month: this.getMonthIndex(this.parseDate(draw.date)),
+            amount: draw.amount
+        }));
+    },
+
+    /**
+     * Total drawn in a calendar month
+     */
+    getDrawAmount(draws, month) {
+        return draws.reduce((total, draw) => (draw.month === month ? total + draw.amount : total), 0);
+    },
+
+    /**
+     * Loan month of the last planned draw (0 if none). A line paid down to zero stays open until then.
+     */
+    getLastDrawMonth(loanData) {
+        const start = this.getMonthIndex(this.parseDate(loanData.startDate));
+        return this.getDraws(loanData).reduce((last, draw) => Math.max(last, draw.month - start + 1), 0);
+    },
+
+    /**
+     * Months an accelerated plan re-amortizes over at a rate reset: the rest of the term, or fewer
+     * when extra payments have put the regular payment ahead of schedule. Keeping that horizon keeps
+     * the earlier payoff, rather than turning past prepayments into a lower payment.
+     * annualRate and payment are the ones in effect before the reset; firstPayment is the reset's payment number.
+     */
+    getResetHorizon(balance, annualRate, payment, loanData, firstPayment, remainingMonths) {
+        const compounding = this.getCompounding(loanData);
+        const dayCount = this.getDayCountConvention(loanData);
+        let months = 0;
+
+        if (dayCount === '30/360') {
+            months = this.calculateRemainingMonths(balance, this.getMonthlyRate(annualRate, compounding), payment);
+        } else {
+            // Run the payment forward over the real accrual periods
+            const start = new Date(loanData.startDate + '-01');
+            while (balance > 0.005 && months < remainingMonths) {
+                const periodStart = new Date(start);
+                periodStart.setMonth(periodStart.getMonth() + firstPayment + months - 2);
+                const paymentDate = new Date(start);
+                paymentDate.setMonth(paymentDate.getMonth() + firstPayment + months - 1);
+                const interest = this.calculatePeriodInterest(balance, annualRate, periodStart, paymentDate, dayCount, compounding);
+                if (payment <= interest) return remainingMonths;
+                balance -= payment - interest;
+                months++;
+            }
         }
 
-        const monthlyRate = annualRate / 100 / 12;
-        const numPayments = termYears * 12;
+        return Math.max(1, Math.min(remainingMonths, months));
+    },
 
-        const payment = principal *
-            (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) /
-            (Math.pow(1 + monthlyRate, numPayments) - 1);
+    /**
+     * Find the rate segment that starts at a given loan month, if any
+     */
+    getRateReset(rateSchedule, month) {
+        return rateSchedule.find(segment => segment.month === month && segment.month > 1) || null;
+    },
 
-        return payment;
+    /**
+     * Number of whole months between the loan start and a date (1 = first payment month)
+     */
+    getLoanMonth(start, date) {
+        return (date.getFullYear() - start.getFullYear()) * 12 +
+            (date.getMonth() - start.getMonth()) + 1;
     },
 
     /**
-     * Generate full amortization schedule without acceleration
+     * Generate full amortization schedule without acceleration.
+     * A government program's financed upfront fee is borrowed with the loan (see applyLoanProgram).
      */
     generateOriginalSchedule(loanData) {
-        const { principal, annualRate, termYears, startDate } = loanData;
-        const monthlyPayment = this.calculateMonthlyPayment(principal, annualRate, termYears);
-        const monthlyRate = annualRate / 100 / 12;
+        loanData = this.applyLoanProgram(loanData);
+        const { startDate } = loanData;
+        const compounding = this.getCompounding(loanData);
+        const { mode: rounding, round, tolerance } = this.getRounding(loanData);
+        const position = this.getStartingPosition(loanData);
+        const totalMonths = position.termMonths;
+        const interestOnlyMonths = this.getInterestOnlyMonths(loanData);
+        const balloonMonth = this.getBalloonMonth(loanData);
+        const finalMonth = balloonMonth || totalMonths;
+        const initialPayment = position.payment;
+        const rateSchedule = this.getRateSchedule(loanData);
+        const draws = this.getDraws(loanData);
+        const lastDrawMonth = this.getLastDrawMonth(loanData);
+
+        let monthlyPayment = initialPayment;
+        let amortizationStart = null;
+        let currentRate = position.rate;
+        let monthlyRate = this.getMonthlyRate(currentRate, compounding);
 
         const schedule = [];
-        let balance = principal;
+        const rateChanges = [];
+        let balance = position.balance;
         let cumulativeInterest = 0;
-        let paymentNumber = 0;
+        let paymentNumber = position.paymentsMade;
 
         const start = new Date(startDate + '-01');
+        const dayCount = this.getDayCountConvention(loanData);
 
-        while (balance > 0.01 && paymentNumber < termYears * 12) {
+        while ((balance > tolerance || paymentNumber < lastDrawMonth) && paymentNumber < finalMonth) {
             paymentNumber++;
 
             const paymentDate = new Date(start);
             paymentDate.setMonth(paymentDate.getMonth() + paymentNumber - 1);
+            const periodStart = new Date(start);
+            periodStart.setMonth(periodStart.getMonth() + paymentNumber - 2);
+
+            // HELOC draws are taken at the start of the period, so they accrue its full interest
+            const draw = round(this.getDrawAmount(draws, this.getMonthIndex(paymentDate)));
+            balance = round(balance + draw);
+
+            // Re-amortize the remaining balance at each ARM reset
+            const reset = this.getRateReset(rateSchedule, paymentNumber);
+            if (reset) {
+                currentRate = reset.rate;
+                monthlyRate = this.getMonthlyRate(currentRate, compounding);
+                monthlyPayment = round(this.calculateLevelPayment(
+                    balance, currentRate, loanData, paymentNumber, totalMonths - paymentNumber + 1
+                ));
+                rateChanges.push({
+                    paymentNumber,
+                    date: this.formatDate(paymentDate),
+                    rate: currentRate,
+                    payment: paymentNumber <= interestOnlyMonths ? round(balance * monthlyRate) : monthlyPayment
+                });
+            }
+
+            // Amortize the balance over the rest of the term once the interest-only period ends
+            if (interestOnlyMonths > 0 && paymentNumber === interestOnlyMonths + 1) {
+                monthlyPayment = round(this.calculateLevelPayment(
+                    balance, currentRate, loanData, paymentNumber, totalMonths - paymentNumber + 1
+                ));
+                amortizationStart = { paymentNumber, date: this.formatDate(paymentDate), payment: monthlyPayment };
+            }
 
-            const interestPayment = balance * monthlyRate;
-            let principalPayment = monthlyPayment - interestPayment;
+            const days = this.getDayCount(periodStart, paymentDate, dayCount);
+            const interestPayment = round(this.calculatePeriodInterest(balance, currentRate, periodStart, paymentDate, dayCount, compounding));
+            const interestOnly = paymentNumber <= interestOnlyMonths;
+            let principalPayment = interestOnly ? 0 : round(monthlyPayment - interestPayment);
 
-            // Handle final payment
-            if (principalPayment > balance) {
+            // Handle final payment; the last scheduled payment (or balloon) also clears anything left
+            // over from payment rounding
+            if (principalPayment > balance || paymentNumber === finalMonth) {
                 principalPayment = balance;
             }
 
-            const actualPayment = principalPayment + interestPayment;
-            balance -= principalPayment;
-            cumulativeInterest += interestPayment;
+            const actualPayment = round(principalPayment + interestPayment);
+            balance = round(balance - principalPayment);
+            cumulativeInterest = round(cumulativeInterest + interestPayment);
 
             schedule.push({
                 paymentNumber,
@@ -64,292 +540,1542 @@ const MortgageCalculator = {
                 principal: principalPayment,
                 interest: interestPayment,
                 extraPayment: 0,
+                draw,
                 balance: Math.max(0, balance),
-                cumulativeInterest
+                cumulativeInterest,
+                rate: currentRate,
+                rateReset: !!reset,
+                interestOnly,
+                balloon: paymentNumber === balloonMonth,
+                days
             });
         }
 
-        return {
+        const result = this.applyEscrow({
             schedule,
-            monthlyPayment,
+            monthlyPayment: initialPayment,
             totalInterest: cumulativeInterest,
-            totalPayments: paymentNumber,
-            payoffDate: schedule[schedule.length - 1]?.date || this.formatDate(start)
-        };
+            totalPayments: schedule.length,
+            totalDraws: schedule.reduce((total, row) => total + row.draw, 0),
+            payoffDate: schedule[schedule.length - 1]?.date || this.formatDate(start),
+            rateChanges,
+            amortizationStart,
+            balloon: this.getBalloon(schedule),
+            ...this.getPositionSummary(position),
+            dayCount,
+            compounding,
+            rounding,
+            paymentFrequency: 'monthly',
+            biweeklyMethod: null
+        }, loanData);
+
+        return this.applyTaxBenefit(result, loanData);
     },
 
     /**
-     * Generate accelerated amortization schedule with extra payments
+     * Generate accelerated amortization schedule with extra payments.
+     * With accelerationOptions.recast, one-time payments re-amortize the loan over the
+     * remaining term (lowering the payment) instead of shortening it.
+     * accelerationOptions.paymentFrequency picks the payment schedule (see PAYMENT_FREQUENCIES).
+     * Plans that pay more often than monthly either accrue interest between each payment
+     * ('accrual') or, where every month's payments cover the monthly payment, have the servicer
+     * hold them and apply them on the monthly due date ('held', set by biweeklyMethod).
+     * accelerationOptions.paymentRelief marks months where payments are skipped, reduced or in
+     * forbearance (see applyPaymentRelief); each relief month extends the term by a month.
+     * Extra payments beyond the loan's prepayment privilege for a loan year are not applied, or
+     * with loanData.prepaymentPenalty are applied and charged the penalty (see calculatePrepaymentPenalty).
+     * A government program's financed upfront fee is borrowed with the loan (see applyLoanProgram).
      */
     generateAcceleratedSchedule(loanData, accelerationOptions) {
-        const { principal, annualRate, termYears, startDate } = loanData;
-        const { extraMonthly, biweekly, lumpSum, lumpSumDate, annualExtra, annualExtraMonth } = accelerationOptions;
-
-        const baseMonthlyPayment = this.calculateMonthlyPayment(principal, annualRate, termYears);
-        const monthlyRate = annualRate / 100 / 12;
+        loanData = this.applyLoanProgram(loanData);
+        const { startDate } = loanData;
+        const { recast } = accelerationOptions;
+        const paymentFrequency = this.getPaymentFrequency(accelerationOptions);
+        const frequency = this.PAYMENT_FREQUENCIES[paymentFrequency];
+        const biweeklyMethod = this.getPaymentMethod(accelerationOptions);
+        const dayCount = this.getDayCountConvention(loanData);
+        const compounding = this.getCompounding(loanData);
+        const extraPayments = accelerationOptions.extraPayments || [];
+        const oneTimePayments = extraPayments.filter(rule => rule.frequency === 'once');
+        const recastFee = recast ? (accelerationOptions.recastFee || 0) : 0;
+        const paymentRelief = accelerationOptions.paymentRelief || [];
+        const { mode: rounding, round, tolerance } = this.getRounding(loanData);
+
+        const position = this.getStartingPosition(loanData);
+        const reliefMonths = this.getReliefMonths(
+            paymentRelief, this.getMonthIndex(this.parseDate(startDate)) + position.paymentsMade, position.termMonths
+        );
+        const totalMonths = position.termMonths + reliefMonths;
+        const interestOnlyMonths = this.getInterestOnlyMonths(loanData);
+        const balloonMonth = this.getBalloonMonth(loanData);
+        const finalMonth = balloonMonth || totalMonths;
+        const initialPayment = position.payment;
+        const rateSchedule = this.getRateSchedule(loanData);
+        const draws = this.getDraws(loanData);
+        const lastDrawMonth = this.getLastDrawMonth(loanData);
+
+        let baseMonthlyPayment = initialPayment;
+        let amortizationStart = null;
+        let currentRate = position.rate;
+        let monthlyRate = this.getMonthlyRate(currentRate, compounding);
+
+        // Extra payments count against the prepayment privilege for their loan year, while the
+        // restrictions last. The excess is left unpaid, or paid and charged a penalty.
+        const prepaymentLimit = this.getPrepaymentLimit(loanData);
+        const prepaymentPenalty = loanData.prepaymentPenalty || null;
+        const restrictedMonths = this.getPrepaymentRestrictedMonths(loanData);
+        const prepaidByYear = new Map();
+        let cappedPrepayments = 0;
+        const usePrivilege = (amount, loanMonth) => {
+            if (loanMonth > restrictedMonths) return 0;
+            const year = Math.ceil(loanMonth / 12);
+            const prepaid = prepaidByYear.get(year) || 0;
+            const allowed = round(Math.max(0, Math.min(amount, prepaymentLimit - prepaid)));
+            prepaidByYear.set(year, prepaid + allowed);
+            return round(amount - allowed);
+        };
+        const limitPrepayment = (amount, loanMonth) => {
+            if (prepaymentPenalty) return amount;
+            const excess = usePrivilege(amount, loanMonth);
+            cappedPrepayments = round(cappedPrepayments + excess);
+            return round(amount - excess);
+        };
+        const chargePrepayment = (amount, loanMonth) => {
+            if (!prepaymentPenalty || amount <= 0) return 0;
+            const excess = usePrivilege(amount, loanMonth);
+            return excess > 0 ? round(this.calculatePrepaymentPenalty(prepaymentPenalty, excess, currentRate,
+                compounding, Math.min(restrictedMonths, totalMonths) - loanMonth)) : 0;
+        };
 
         const schedule = [];
-        let balance = principal;
+        const rateChanges = [];
+        const recasts = [];
+        let balance = position.balance;
         let cumulativeInterest = 0;
-        let paymentNumber = 0;
+        let deferredInterest = 0;
+        let reliefBefore = false;
+        // Monthly rows keep the loan's payment numbers; more frequent plans count their own payments
+        let paymentNumber = biweeklyMethod === 'accrual' ? 0 : position.paymentsMade;
 
+        // Existing loans pick up at their next payment
         const start = new Date(startDate + '-01');
-        const maxPayments = termYears * 12 * 2; // Safety limit
-
-        // Parse lump sum date if provided
-        let lumpSumDateObj = null;
-        let lumpSumApplied = false;
-        if (lumpSum > 0 && lumpSumDate) {
-            lumpSumDateObj = new Date(lumpSumDate + '-01');
-        }
+        const firstPaymentDate = new Date(start);
+        firstPaymentDate.setMonth(firstPaymentDate.getMonth() + position.paymentsMade);
+        const firstMonth = this.getMonthIndex(firstPaymentDate);
+        const maxPayments = totalMonths * 2; // Safety limit
+
+        if (biweeklyMethod === 'accrual') {
+            // Weekly, semi-monthly or bi-weekly schedule; each payment is a share of the monthly payment
+            const { share } = frequency;
+            const periodDays = 360 / frequency.periodsPerYear;
+            const maxPeriods = Math.ceil(maxPayments * frequency.periodsPerYear / 12);
+            let frequencyPayment = round(baseMonthlyPayment * share);
+            let lastLoanMonth = position.paymentsMade;
+            let lastExtraMonth = null;
+            let lastDrawnMonth = null;
+
+            while ((balance > tolerance || lastLoanMonth < lastDrawMonth) && paymentNumber < maxPeriods) {
+                const paymentDate = this.getPaymentDate(firstPaymentDate, paymentFrequency, paymentNumber);
+                const periodStart = this.getPaymentDate(firstPaymentDate, paymentFrequency, paymentNumber - 1);
+                paymentNumber++;
 
-        if (biweekly) {
-            // Bi-weekly payment schedule
-            const biweeklyPayment = baseMonthlyPayment / 2;
-            let dayCounter = 0;
+                // Re-amortize when the first payment of a reset month arrives, over the months the plan had left
+                const loanMonth = this.getLoanMonth(start, paymentDate);
+                let reset = null;
+                for (let month = lastLoanMonth + 1; month <= loanMonth; month++) {
+                    reset = this.getRateReset(rateSchedule, month) || reset;
+                }
+                lastLoanMonth = loanMonth;
+
+                // HELOC draws for a calendar month are taken with its first payment
+                const paymentMonth = this.getMonthIndex(paymentDate);
+                const draw = paymentMonth !== lastDrawnMonth ? round(this.getDrawAmount(draws, paymentMonth)) : 0;
+                lastDrawnMonth = paymentMonth;
+                balance = round(balance + draw);
+
+                if (reset) {
+                    const remainingMonths = Math.max(1, totalMonths - loanMonth + 1);
+                    const horizon = loanMonth <= interestOnlyMonths ? remainingMonths :
+                        this.getResetHorizon(balance, currentRate, baseMonthlyPayment, loanData, loanMonth, remainingMonths);
+                    currentRate = reset.rate;
+                    monthlyRate = this.getMonthlyRate(currentRate, compounding);
+                    baseMonthlyPayment = round(this.calculateLevelPayment(balance, currentRate, loanData, loanMonth, horizon));
+                    frequencyPayment = round(baseMonthlyPayment * share);
+                    rateChanges.push({
+                        paymentNumber,
+                        date: this.formatDate(paymentDate),
+                        rate: currentRate,
+                        payment: loanMonth <= interestOnlyMonths ?
+                            round(balance * monthlyRate * share) : frequencyPayment
+                    });
+                }
 
-            while (balance > 0.01 && paymentNumber < maxPayments * 2) {
-                paymentNumber++;
+                // Amortize the balance over the rest of the term once the interest-only period ends
+                const interestOnly = loanMonth <= interestOnlyMonths;
+                if (interestOnlyMonths > 0 && !interestOnly && !amortizationStart) {
+                    baseMonthlyPayment = round(this.calculateAmortizedPayment(
+                        balance, monthlyRate, Math.max(1, totalMonths - loanMonth + 1)
+                    ));
+                    frequencyPayment = round(baseMonthlyPayment * share);
+                    amortizationStart = { paymentNumber, date: this.formatDate(paymentDate), payment: frequencyPayment };
+                }
 
-                const paymentDate = new Date(start);
-                paymentDate.setDate(paymentDate.getDate() + dayCounter);
-                dayCounter += 14; // Every 2 weeks
+                // Once payment relief ends, raise the payment if needed to repay by the extended term
+                const relief = loanMonth < finalMonth ? this.getPaymentRelief(paymentRelief, paymentMonth) : null;
+                if (reliefBefore && !relief && !interestOnly) {
+                    baseMonthlyPayment = Math.max(baseMonthlyPayment, round(this.calculateAmortizedPayment(
+                        balance, monthlyRate, Math.max(1, totalMonths - loanMonth + 1)
+                    )));
+                    frequencyPayment = round(baseMonthlyPayment * share);
+                }
+                reliefBefore = Boolean(relief);
 
-                // Calculate interest for this period (14 days)
-                const dailyRate = (annualRate / 100) / 365;
-                const periodInterest = balance * dailyRate * 14;
+                // Interest accrued since the previous payment. Under 30/360 each period is its share of
+                // the 360-day year; counting 30/360 days across a month end would make a week 6 or 9 days.
+                const days = dayCount === '30/360' ? Math.round(periodDays * 100) / 100 :
+                    this.getDayCount(periodStart, paymentDate, dayCount);
+                const periodInterest = round(dayCount === '30/360' ?
+                    this.calculateDayInterest(balance, currentRate, periodDays, compounding) :
+                    this.calculatePeriodInterest(balance, currentRate, periodStart, paymentDate, dayCount, compounding));
 
-                let periodPayment = biweeklyPayment;
                 let extraPayment = 0;
 
-                // Add extra monthly equivalent (divided by 2.17 for bi-weekly)
-                if (extraMonthly > 0) {
-                    extraPayment += extraMonthly / 2.17;
-                }
-
-                // Check for lump sum
-                if (!lumpSumApplied && lumpSumDateObj && paymentDate >= lumpSumDateObj) {
-                    extraPayment += lumpSum;
-                    lumpSumApplied = true;
+                // Extra payments due in a calendar month go with its first payment
+                let isRecast = false;
+                if (paymentMonth !== lastExtraMonth) {
+                    extraPayment += relief ? 0 :
+                        limitPrepayment(round(this.getExtraPayment(extraPayments, paymentMonth, firstMonth)), loanMonth);
+                    isRecast = Boolean(recast && !interestOnly && this.getExtraPayment(oneTimePayments, paymentMonth, firstMonth) > 0);
+                    lastExtraMonth = paymentMonth;
                 }
 
-                // Check for annual extra payment
-                if (annualExtra > 0 && paymentDate.getMonth() === annualExtraMonth) {
-                    const lastPayment = schedule[schedule.length - 1];
-                    if (!lastPayment || lastPayment.dateObj.getMonth() !== annualExtraMonth ||
-                        lastPayment.dateObj.getFullYear() !== paymentDate.getFullYear()) {
-                        extraPayment += annualExtra;
-                    }
+                // Interest-only payments cover their share of a month's interest, so the rest of an
+                // accelerated plan's 13th monthly payment each year still reduces principal
+                const scheduledPayment = interestOnly ? round(balance * monthlyRate * share) : frequencyPayment;
+                let principalPayment = round(scheduledPayment - periodInterest);
+                let paidInterest = periodInterest;
+                let unpaidInterest = 0;
+
+                if (relief) {
+                    ({ principal: principalPayment, interest: paidInterest, unpaidInterest } =
+                        this.applyPaymentRelief(relief, (relief.amount || 0) * share, scheduledPayment, periodInterest, round));
+                    extraPayment = 0;
+                    isRecast = false;
                 }
+                const capitalized = relief && relief.interest !== 'defer' ? unpaidInterest : 0;
+                const deferred = relief && relief.interest === 'defer' ? unpaidInterest : 0;
 
-                let principalPayment = periodPayment - periodInterest;
-
-                // Apply extra payment to principal
-                principalPayment += extraPayment;
-
-                // Handle final payment
-                if (principalPayment > balance) {
+                // Handle final payment (the last month of the term or the balloon clears any remaining
+                // balance); the regular payment is applied first and the extra covers only what is left
+                if (principalPayment > balance || loanMonth >= finalMonth) {
                     principalPayment = balance;
-                    periodPayment = principalPayment + periodInterest;
                 }
-
-                balance -= principalPayment;
-                cumulativeInterest += periodInterest;
+                extraPayment = Math.min(extraPayment, round(balance - principalPayment));
+                const periodPayment = round(principalPayment + paidInterest);
+                const penalty = chargePrepayment(extraPayment, loanMonth);
+
+                // Capitalized interest is charged in the row's interest and added to the balance as
+                // negative principal, so the rows still sum to the totals
+                principalPayment = round(principalPayment - capitalized);
+                paidInterest = round(paidInterest + capitalized);
+                balance = round(balance - principalPayment - extraPayment);
+                cumulativeInterest = round(cumulativeInterest + periodInterest);
+                deferredInterest = round(deferredInterest + deferred);
 
                 schedule.push({
                     paymentNumber,
                     date: this.formatDate(paymentDate),
+                    paymentDate: this.formatDay(paymentDate),
                     dateObj: new Date(paymentDate),
                     payment: periodPayment,
-                    principal: principalPayment - extraPayment,
-                    interest: periodInterest,
+                    principal: principalPayment,
+                    interest: paidInterest,
                     extraPayment,
+                    draw,
                     balance: Math.max(0, balance),
-                    cumulativeInterest
+                    cumulativeInterest,
+                    rate: currentRate,
+                    rateReset: !!reset,
+                    recast: isRecast,
+                    recastFee: isRecast ? recastFee : 0,
+                    prepaymentPenalty: penalty,
+                    interestOnly,
+                    balloon: balloonMonth !== null && loanMonth >= balloonMonth,
+                    relief: relief ? relief.type : null,
+                    capitalizedInterest: capitalized,
+                    deferredInterest: deferred,
+                    days
                 });
 
-                if (balance <= 0.01) break;
+                if (balance <= tolerance && loanMonth >= lastDrawMonth) break;
+
+                // Recast: keep the term and lower the payment to fit the new balance
+                if (isRecast) {
+                    baseMonthlyPayment = round(this.calculateAmortizedPayment(
+                        balance, monthlyRate, Math.max(1, totalMonths - loanMonth)
+                    ));
+                    frequencyPayment = round(baseMonthlyPayment * share);
+
+                    const effectiveDate = this.getPaymentDate(firstPaymentDate, paymentFrequency, paymentNumber);
+                    recasts.push({
+                        paymentNumber,
+                        date: this.formatDate(paymentDate),
+                        effectiveDate: this.formatDate(effectiveDate),
+                        payment: frequencyPayment,
+                        fee: recastFee
+                    });
+                }
             }
         } else {
-            // Monthly payment schedule
-            while (balance > 0.01 && paymentNumber < maxPayments) {
+            // Monthly payment schedule. Held weekly or bi-weekly payments are debited every interval
+            // starting one interval before the first due date, and applied on each due date.
+            // Held semi-monthly payments always add up to the monthly payment.
+            const interval = frequency.intervalDays;
+            const firstDebit = new Date(firstPaymentDate);
+            firstDebit.setDate(firstDebit.getDate() - (interval || 0));
+            const countDebits = (date) => Math.floor(this.getDayCount(firstDebit, date, 'actual/365') / interval) + 1;
+
+            while ((balance > tolerance || paymentNumber < lastDrawMonth) && paymentNumber < maxPayments) {
                 paymentNumber++;
 
                 const paymentDate = new Date(start);
                 paymentDate.setMonth(paymentDate.getMonth() + paymentNumber - 1);
+                const periodStart = new Date(start);
+                periodStart.setMonth(periodStart.getMonth() + paymentNumber - 2);
+                const paymentMonth = this.getMonthIndex(paymentDate);
+
+                // HELOC draws are taken at the start of the period, so they accrue its full interest
+                const draw = round(this.getDrawAmount(draws, paymentMonth));
+                balance = round(balance + draw);
+
+                // Re-amortize the actual balance at each ARM reset, over the months the plan had left
+                const reset = this.getRateReset(rateSchedule, paymentNumber);
+                if (reset) {
+                    const remainingMonths = Math.max(1, totalMonths - paymentNumber + 1);
+                    const horizon = paymentNumber <= interestOnlyMonths ? remainingMonths :
+                        this.getResetHorizon(balance, currentRate, baseMonthlyPayment, loanData, paymentNumber, remainingMonths);
+                    currentRate = reset.rate;
+                    monthlyRate = this.getMonthlyRate(currentRate, compounding);
+                    baseMonthlyPayment = round(this.calculateLevelPayment(balance, currentRate, loanData, paymentNumber, horizon));
+                    rateChanges.push({
+                        paymentNumber,
+                        date: this.formatDate(paymentDate),
+                        rate: currentRate,
+                        payment: paymentNumber <= interestOnlyMonths ? round(balance * monthlyRate) : baseMonthlyPayment
+                    });
+                }
 
-                const interestPayment = balance * monthlyRate;
-                let principalPayment = baseMonthlyPayment - interestPayment;
-                let extraPayment = 0;
-
-                // Add extra monthly payment
-                if (extraMonthly > 0) {
-                    extraPayment += extraMonthly;
+                // Amortize the actual balance over the rest of the term once the interest-only period ends
+                if (interestOnlyMonths > 0 && paymentNumber === interestOnlyMonths + 1) {
+                    baseMonthlyPayment = round(this.calculateLevelPayment(
+                        balance, currentRate, loanData, paymentNumber, Math.max(1, totalMonths - paymentNumber + 1)
+                    ));
+                    amortizationStart = { paymentNumber, date: this.formatDate(paymentDate), payment: baseMonthlyPayment };
                 }
 
-                // Check for lump sum
-                if (!lumpSumApplied && lumpSumDateObj) {
-                    const paymentMonth = paymentDate.getFullYear() * 12 + paymentDate.getMonth();
-                    const lumpSumMonth = lumpSumDateObj.getFullYear() * 12 + lumpSumDateObj.getMonth();
+                const days = this.getDayCount(periodStart, paymentDate, dayCount);
+                const interestPayment = round(this.calculatePeriodInterest(balance, currentRate, periodStart, paymentDate, dayCount, compounding));
+                const interestOnly = paymentNumber <= interestOnlyMonths;
 
-                    if (paymentMonth >= lumpSumMonth) {
-                        extraPayment += lumpSum;
-                        lumpSumApplied = true;
-                    }
+                // Once payment relief ends, raise the payment if needed to repay by the extended term
+                const relief = paymentNumber < finalMonth ? this.getPaymentRelief(paymentRelief, paymentMonth) : null;
+                if (reliefBefore && !relief && !interestOnly) {
+                    baseMonthlyPayment = Math.max(baseMonthlyPayment, round(this.calculateLevelPayment(
+                        balance, currentRate, loanData, paymentNumber, Math.max(1, totalMonths - paymentNumber + 1)
+                    )));
                 }
-
-                // Check for annual extra payment
-                if (annualExtra > 0 && paymentDate.getMonth() === annualExtraMonth) {
-                    extraPayment += annualExtra;
+                reliefBefore = Boolean(relief);
+
+                const scheduledPayment = interestOnly ? interestPayment : baseMonthlyPayment;
+                let principalPayment = round(scheduledPayment - interestPayment);
+                let extraPayment = relief ? 0 :
+                    limitPrepayment(round(this.getExtraPayment(extraPayments, paymentMonth, firstMonth)), paymentNumber);
+                const ruleExtra = extraPayment;
+
+                // Payments held beyond the regular payment (an extra debit in the month) go to principal
+                if (biweeklyMethod === 'held' && interval) {
+                    const debits = countDebits(paymentDate) -
+                        (paymentNumber > position.paymentsMade + 1 ? countDebits(periodStart) : 0);
+                    extraPayment = round(extraPayment +
+                        Math.max(0, debits * round(scheduledPayment * frequency.share) - scheduledPayment));
                 }
+                const isRecast = Boolean(!relief && recast && !interestOnly &&
+                    this.getExtraPayment(oneTimePayments, paymentMonth, firstMonth) > 0);
+                let paidInterest = interestPayment;
+                let unpaidInterest = 0;
+
+                if (relief) {
+                    ({ principal: principalPayment, interest: paidInterest, unpaidInterest } =
+                        this.applyPaymentRelief(relief, relief.amount || 0, scheduledPayment, interestPayment, round));
+                    extraPayment = 0;
+                }
+                const capitalized = relief && relief.interest !== 'defer' ? unpaidInterest : 0;
+                const deferred = relief && relief.interest === 'defer' ? unpaidInterest : 0;
 
-                // Apply extra payment to principal
-                principalPayment += extraPayment;
-
-                // Handle final payment
-                if (principalPayment > balance) {
+                // Handle final payment; the last scheduled payment (or balloon) clears what payment rounding
+                // left over. The regular payment is applied first and the extra covers only what is left.
+                if (principalPayment > balance || paymentNumber >= finalMonth) {
                     principalPayment = balance;
                 }
-
-                const actualPayment = (baseMonthlyPayment - extraPayment > balance + interestPayment)
-                    ? balance + interestPayment
-                    : baseMonthlyPayment;
-
-                balance -= principalPayment;
-                cumulativeInterest += interestPayment;
+                extraPayment = Math.min(extraPayment, round(balance - principalPayment));
+                const actualPayment = round(principalPayment + paidInterest);
+                // Held payments are part of the regular plan, so only extra payment rules can be charged
+                const penalty = chargePrepayment(Math.min(ruleExtra, extraPayment), paymentNumber);
+
+                // Capitalized interest is charged in the row's interest and added to the balance as
+                // negative principal, so the rows still sum to the totals
+                principalPayment = round(principalPayment - capitalized);
+                paidInterest = round(paidInterest + capitalized);
+                balance = round(balance - principalPayment - extraPayment);
+                cumulativeInterest = round(cumulativeInterest + interestPayment);
+                deferredInterest = round(deferredInterest + deferred);
 
                 schedule.push({
                     paymentNumber,
                     date: this.formatDate(paymentDate),
                     dateObj: new Date(paymentDate),
                     payment: actualPayment,
-                    principal: principalPayment - extraPayment,
-                    interest: interestPayment,
+                    principal: principalPayment,
+                    interest: paidInterest,
                     extraPayment,
+                    draw,
                     balance: Math.max(0, balance),
-                    cumulativeInterest
+                    cumulativeInterest,
+                    rate: currentRate,
+                    rateReset: !!reset,
+                    recast: isRecast,
+                    recastFee: isRecast ? recastFee : 0,
+                    prepaymentPenalty: penalty,
+                    interestOnly,
+                    balloon: paymentNumber === balloonMonth,
+                    relief: relief ? relief.type : null,
+                    capitalizedInterest: capitalized,
+                    deferredInterest: deferred,
+                    days
                 });
 
-                if (balance <= 0.01) break;
+                if (balance <= tolerance && paymentNumber >= lastDrawMonth) break;
+
+                // Recast: keep the term and lower the payment to fit the new balance
+                if (isRecast) {
+                    baseMonthlyPayment = round(this.calculateLevelPayment(
+                        balance, currentRate, loanData, paymentNumber + 1, Math.max(1, totalMonths - paymentNumber)
+                    ));
+
+                    const effectiveDate = new Date(paymentDate);
+                    effectiveDate.setMonth(effectiveDate.getMonth() + 1);
+                    recasts.push({
+                        paymentNumber,
+                        date: this.formatDate(paymentDate),
+                        effectiveDate: this.formatDate(effectiveDate),
+                        payment: baseMonthlyPayment,
+                        fee: recastFee
+                    });
+                }
             }
         }
 
-        return {
+        // Interest deferred by payment relief is due with the final payment
+        const lastRow = schedule[schedule.length - 1];
+        if (lastRow && deferredInterest > 0) {
+            lastRow.deferredPayoff = deferredInterest;
+            lastRow.payment = round(lastRow.payment + deferredInterest);
+            lastRow.interest = round(lastRow.interest + deferredInterest);
+        }
+
+        const result = this.applyEscrow({
             schedule,
-            monthlyPayment: baseMonthlyPayment,
+            monthlyPayment: initialPayment,
             totalInterest: cumulativeInterest,
-            totalPayments: paymentNumber,
-            payoffDate: schedule[schedule.length - 1]?.date || this.formatDate(start)
-        };
+            totalPayments: schedule.length,
+            totalDraws: schedule.reduce((total, row) => total + row.draw, 0),
+            payoffDate: schedule[schedule.length - 1]?.date || this.formatDate(start),
+            rateChanges,
+            amortizationStart,
+            balloon: this.getBalloon(schedule),
+            ...this.getPositionSummary(position),
+            paymentRelief: paymentRelief.length > 0 ? {
+                months: schedule.filter(row => row.relief).reduce((months, row) => months.add(row.date), new Set()).size,
+                capitalizedInterest: round(schedule.reduce((total, row) => total + row.capitalizedInterest, 0)),
+                deferredInterest
+            } : null,
+            recasts,
+            totalRecastFees: recasts.reduce((total, item) => total + item.fee, 0),
+            cappedPrepayments,
+            totalPrepaymentPenalties: round(schedule.reduce((total, row) => total + row.prepaymentPenalty, 0)),
+            dayCount,
+            compounding,
+            rounding,
+            paymentFrequency,
+            biweeklyMethod
+        }, loanData, biweeklyMethod === 'accrual' ? frequency.periodsPerYear : 12);
+
+        return this.applyTaxBenefit(result, loanData);
     },
 
     /**
-     * Calculate the difference between original and accelerated schedules
+     * Most that can be prepaid in a loan year: prepaymentLimit percent of the original principal.
+     * Without a limit, extra payments are never capped, but a prepayment penalty applies to all of them.
      */
-    calculateSavings(originalResult, acceleratedResult) {
-        const originalDate = this.parseDate(originalResult.payoffDate);
-        const acceleratedDate = this.parseDate(acceleratedResult.payoffDate);
+    getPrepaymentLimit(loanData) {
+        if (loanData.prepaymentLimit > 0) {
+            return loanData.principal * loanData.prepaymentLimit / 100;
+        }
+        return loanData.prepaymentPenalty ? 0 : Infinity;
+    },
 
-        const timeDiff = originalDate - acceleratedDate;
-        const monthsSaved = Math.round(timeDiff / (1000 * 60 * 60 * 24 * 30.44));
+    /**
+     * Loan months the prepayment privilege and penalty apply for: the first prepaymentYears
+     * years, or the whole loan when that isn't set
+     */
+    getPrepaymentRestrictedMonths(loanData) {
+        return loanData.prepaymentYears > 0 ? Math.round(loanData.prepaymentYears * 12) : Infinity;
+    },
 
-        const yearsSaved = Math.floor(monthsSaved / 12);
-        const remainingMonths = monthsSaved % 12;
+    PREPAYMENT_PENALTY_TYPES: {
+        percent: 'Percentage of the amount prepaid',
+        interest: 'Months of interest',
+        ird: 'Interest rate differential'
+    },
 
-        let timeSavedText = '';
-        if (yearsSaved > 0) {
-            timeSavedText = `${yearsSaved} year${yearsSaved !== 1 ? 's' : ''}`;
-            if (remainingMonths > 0) {
-                timeSavedText += `, ${remainingMonths} month${remainingMonths !== 1 ? 's' : ''}`;
-            }
-        } else if (remainingMonths > 0) {
-            timeSavedText = `${remainingMonths} month${remainingMonths !== 1 ? 's' : ''}`;
-        } else {
-            timeSavedText = 'No time saved';
+    /**
+     * Penalty for prepaying amount beyond the privilege. penalty: { type, value }, where value is
+     * the percentage charged ('percent'), the months of interest charged at the loan's rate
+     * ('interest'), or the lender's current rate for the rest of the restricted period ('ird':
+     * the rate difference on the amount, for the months left)
+     */
+    calculatePrepaymentPenalty(penalty, amount, annualRate, compounding, monthsLeft) {
+        switch (penalty.type) {
+            case 'percent':
+                return amount * penalty.value / 100;
+            case 'interest':
+                return amount * this.getMonthlyRate(annualRate, compounding) * penalty.value;
+            case 'ird':
+                return amount * Math.max(0, annualRate - penalty.value) / 100 * Math.max(0, monthsLeft) / 12;
+            default:
+                return 0;
         }
+    },
 
-        const interestSaved = originalResult.totalInterest - acceleratedResult.totalInterest;
-
+    /**
+     * Where a schedule picked up: payments already made (as scheduled), the balance and the full term
+     */
+    getPositionSummary(position) {
         return {
-            monthsSaved,
-            yearsSaved,
-            remainingMonths,
-            timeSavedText,
-            interestSaved,
-            originalInterest: originalResult.totalInterest,
-            acceleratedInterest: acceleratedResult.totalInterest
+            history: position.history,
+            paymentsMade: position.paymentsMade,
+            startingBalance: position.balance,
+            termMonths: position.termMonths
         };
     },
 
     /**
-     * Format a date object to YYYY-MM format for display
+     * The balloon payment that ends a schedule, if the loan runs until its balloon comes due
      */
-    formatDate(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        return `${year}-${month}`;
+    getBalloon(schedule) {
+        const lastRow = schedule[schedule.length - 1];
+        if (!lastRow || !lastRow.balloon) return null;
+
+        return {
+            paymentNumber: lastRow.paymentNumber,
+            date: lastRow.date,
+            amount: lastRow.payment
+        };
     },
 
     /**
-     * Format date for display (e.g., "Jan 2024")
+     * Months between each occurrence of an extra payment rule (0 = one time)
      */
-    formatDateDisplay(dateStr) {
-        const [year, month] = dateStr.split('-');
-        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-                          'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        return `${monthNames[parseInt(month) - 1]} ${year}`;
+    EXTRA_PAYMENT_INTERVALS: {
+        once: 0,
+        monthly: 1,
+        quarterly: 3,
+        annually: 12
     },
 
     /**
-     * Parse a YYYY-MM string to Date object
+     * Payment schedules. share is the part of the monthly payment paid each time: accelerated
+     * plans pay a half or quarter of it, so 26 or 52 payments come to 13 monthly payments a year;
+     * the others spread 12 monthly payments over the year. intervalDays is the gap between
+     * payments for weekly and bi-weekly plans; semi-monthly plans pay on the 1st and 15th.
      */
-    parseDate(dateStr) {
-        return new Date(dateStr + '-01');
+    PAYMENT_FREQUENCIES: {
+        monthly: { label: 'Monthly', periodsPerYear: 12, share: 1, suffix: '/mo' },
+        'semi-monthly': { label: 'Semi-Monthly', periodsPerYear: 24, share: 1 / 2, suffix: ' twice a month', canHold: true },
+        biweekly: { label: 'Bi-Weekly', periodsPerYear: 26, intervalDays: 14, share: 12 / 26, suffix: '/2 wks' },
+        'accelerated-biweekly': {
+            label: 'Accelerated Bi-Weekly', periodsPerYear: 26, intervalDays: 14, share: 1 / 2, suffix: '/2 wks', canHold: true
+        },
+        weekly: { label: 'Weekly', periodsPerYear: 52, intervalDays: 7, share: 12 / 52, suffix: '/wk' },
+        'accelerated-weekly': {
+            label: 'Accelerated Weekly', periodsPerYear: 52, intervalDays: 7, share: 1 / 4, suffix: '/wk', canHold: true
+        }
     },
 
     /**
-     * Format currency for display
+     * The plan's payment frequency; plans saved before frequencies were added only set biweekly
      */
-    formatCurrency(amount) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(amount);
+    getPaymentFrequency(accelerationOptions) {
+        const { paymentFrequency, biweekly } = accelerationOptions;
+        if (paymentFrequency in this.PAYMENT_FREQUENCIES) return paymentFrequency;
+        return biweekly ? 'accelerated-biweekly' : 'monthly';
     },
 
     /**
-     * Format currency with cents
+     * Labels for the ways weekly and bi-weekly payments are applied (see getPaymentMethod)
      */
-    formatCurrencyPrecise(amount) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(amount);
+    PAYMENT_METHODS: {
+        accrual: 'Applied as paid',
+        held: 'Held by servicer, applied monthly'
     },
 
     /**
-     * Parse currency string to number
+     * How payments more frequent than monthly are applied: 'accrual' (as each one arrives) or
+     * 'held' (on the monthly due date). Only plans whose payments cover every month's payment can
+     * be held, and monthly plans have no method (null).
      */
-    parseCurrency(str) {
-        if (!str) return 0;
-        return parseFloat(str.replace(/[,$]/g, '')) || 0;
+    getPaymentMethod(accelerationOptions) {
+        const frequency = this.PAYMENT_FREQUENCIES[this.getPaymentFrequency(accelerationOptions)];
+        if (frequency.periodsPerYear === 12) return null;
+        return frequency.canHold && accelerationOptions.biweeklyMethod === 'held' ? 'held' : 'accrual';
     },
 
     /**
-     * Validate loan data
+     * Date of a payment by its position in a more-than-monthly schedule (0 = the first due date).
+     * Negative positions give the payment dates before it.
      */
-    validateLoanData(data) {
-        const errors = {};
+    getPaymentDate(firstPaymentDate, paymentFrequency, index) {
+        const frequency = this.PAYMENT_FREQUENCIES[paymentFrequency];
+        const date = new Date(firstPaymentDate);
 
-        if (!data.principal || data.principal < 1000) {
-            errors.loanAmount = 'Loan amount must be at least $1,000';
+        if (frequency.intervalDays) {
+            date.setDate(date.getDate() + index * frequency.intervalDays);
+        } else {
+            // Semi-monthly: the 1st and the 15th
+            date.setMonth(date.getMonth() + Math.floor(index / 2), index % 2 === 0 ? 1 : 15);
+        }
+
+        return date;
+    },
+
+    /**
+     * Kinds of payment relief
+     */
+    PAYMENT_RELIEF_TYPES: {
+        skip: 'Skipped payments',
+        reduced: 'Reduced payments',
+        forbearance: 'Forbearance'
+    },
+
+    /**
+     * The payment relief period covering a calendar month, if any (the first listed wins)
+     */
+    getPaymentRelief(paymentRelief, month) {
+        return paymentRelief.find(period => {
+            const start = this.getMonthIndex(this.parseDate(period.startDate));
+            return month >= start && month < start + period.months;
+        }) || null;
+    },
+
+    /**
+     * Months of payment relief from firstMonth within the term, each of which extends it by a month
+     */
+    getReliefMonths(paymentRelief, firstMonth, termMonths) {
+        const months = new Set();
+        const lastMonth = firstMonth + termMonths;
+
+        paymentRelief.forEach(period => {
+            const start = this.getMonthIndex(this.parseDate(period.startDate));
+            for (let month = Math.max(start, firstMonth); month < Math.min(start + period.months, lastMonth); month++) {
+                months.add(month);
+            }
+        });
+
+        return months.size;
+    },
+
+    /**
+     * Split a payment made under relief. Skipped and forbearance months pay nothing; a reduced
+     * payment (amount, capped at the scheduled payment) covers interest first. Interest left
+     * unpaid is capitalized into the balance or, with interest: 'defer', held without interest
+     * and paid with the final payment.
+     */
+    applyPaymentRelief(relief, amount, scheduledPayment, interest, round) {
+        const paid = relief.type === 'reduced' ? round(Math.min(amount, scheduledPayment)) : 0;
+        const paidInterest = Math.min(paid, interest);
+
+        return {
+            principal: round(paid - paidInterest),
+            interest: paidInterest,
+            unpaidInterest: round(interest - paidInterest)
+        };
+    },
+
+    /**
+     * Count months from year 0 so calendar months can be compared and subtracted
+     */
+    getMonthIndex(date) {
+        return date.getFullYear() * 12 + date.getMonth();
+    },
+
+    /**
+     * Total extra payment due in a calendar month from an ordered list of rules.
+     * rule: { amount, frequency, startDate, endDate, growthRate }
+     * One-time payments dated before the loan starts are made with the first payment.
+     */
+    getExtraPayment(extraPayments, month, firstMonth) {
+        return extraPayments.reduce((total, rule) => {
+            const ruleStart = rule.startDate ? this.getMonthIndex(this.parseDate(rule.startDate)) : firstMonth;
+            const interval = this.EXTRA_PAYMENT_INTERVALS[rule.frequency];
+
+            if (!interval) {
+                return month === Math.max(ruleStart, firstMonth) ? total + rule.amount : total;
+            }
+
+            if (month < ruleStart || (month - ruleStart) % interval !== 0) return total;
+            if (rule.endDate && month > this.getMonthIndex(this.parseDate(rule.endDate))) return total;
+
+            // Growth compounds once a year from the rule's start
+            const years = Math.floor((month - ruleStart) / 12);
+            return total + rule.amount * Math.pow(1 + (rule.growthRate || 0) / 100, years);
+        }, 0);
+    },
+
+    /**
+     * Describe an extra payment rule, e.g. "$300 monthly from Jan 2027 to Dec 2030, growing 3%/yr"
+     */
+    describeExtraPayment(rule) {
+        const amount = this.formatCurrency(rule.amount);
+        const start = rule.startDate ? this.formatDateDisplay(rule.startDate) : 'loan start';
+
+        if (rule.frequency === 'once') {
+            return `${amount} one-time in ${start}`;
+        }
+
+        const frequencyLabels = { monthly: 'monthly', quarterly: 'quarterly', annually: 'yearly' };
+        let text = `${amount} ${frequencyLabels[rule.frequency]} from ${start}`;
+
+        if (rule.endDate) {
+            text += ` to ${this.formatDateDisplay(rule.endDate)}`;
+        }
+        if (rule.growthRate) {
+            text += `, growing ${this.formatPercent(rule.growthRate)}/yr`;
+        }
+
+        return text;
+    },
+
+    /**
+     * Human-readable summary of a payment relief period
+     */
+    describePaymentRelief(period) {
+        const type = period.type === 'reduced' ?
+            `${this.formatCurrency(period.amount)}/mo reduced payments` : this.PAYMENT_RELIEF_TYPES[period.type].toLowerCase();
+        const interest = period.interest === 'defer' ? 'interest due at payoff' : 'interest added to the balance';
+
+        return `${period.months} month${period.months === 1 ? '' : 's'} of ${type} from ` +
+            `${this.formatDateDisplay(period.startDate)}, ${interest}`;
+    },
+
+    /**
+     * Human-readable summary of a prepayment penalty, e.g. "3 months' interest on the amount over the privilege"
+     */
+    describePrepaymentPenalty(penalty) {
+        const charge = {
+            percent: `${this.formatPercent(penalty.value)} of`,
+            interest: `${penalty.value} month${penalty.value === 1 ? '' : 's'}' interest on`,
+            ird: `Interest rate differential against ${this.formatPercent(penalty.value)} on`
+        }[penalty.type];
+
+        return `${charge} the amount over the privilege`;
+    },
+
+    /**
+     * Government loan programs. Each charges an upfront fee (financed into the loan or paid at
+     * closing) in place of conventional PMI; FHA and USDA also charge an annual premium.
+     * Rates are percentages of the base loan amount.
+     */
+    LOAN_PROGRAMS: {
+        conventional: { label: 'Conventional' },
+        fha: { label: 'FHA', insuranceLabel: 'MIP', upfrontRate: 1.75 },
+        va: { label: 'VA', upfrontLabel: 'funding fee' },
+        usda: { label: 'USDA', insuranceLabel: 'Guarantee Fee', upfrontRate: 1, annualRate: 0.35 }
+    },
+
+    /**
+     * FHA annual MIP in percent, by term, base loan amount and LTV at origination.
+     * MIP lasts 11 years when the LTV is 90% or less, otherwise for the life of the loan.
+     */
+    FHA_ANNUAL_MIP: [
+        { maxTermYears: 15, maxLoan: 726200, tiers: [{ maxLtv: 90, rate: 0.15 }, { maxLtv: Infinity, rate: 0.4 }] },
+        { maxTermYears: 15, maxLoan: Infinity, tiers: [{ maxLtv: 78, rate: 0.15 }, { maxLtv: 90, rate: 0.4 }, { maxLtv: Infinity, rate: 0.65 }] },
+        { maxTermYears: Infinity, maxLoan: 726200, tiers: [{ maxLtv: 95, rate: 0.5 }, { maxLtv: Infinity, rate: 0.55 }] },
+        { maxTermYears: Infinity, maxLoan: Infinity, tiers: [{ maxLtv: 95, rate: 0.7 }, { maxLtv: Infinity, rate: 0.75 }] }
+    ],
+
+    FHA_MIP_YEARS: 11,
+
+    /**
+     * VA funding fee in percent by down payment (minDown, percent of the home value), for the
+     * first use of the benefit and later uses. Veterans receiving disability compensation are exempt.
+     */
+    VA_FUNDING_FEES: [
+        { minDown: 10, first: 1.25, subsequent: 1.25 },
+        { minDown: 5, first: 1.5, subsequent: 1.5 },
+        { minDown: 0, first: 2.15, subsequent: 3.3 }
+    ],
+
+    VA_FUNDING_FEE_USES: {
+        first: 'First use',
+        subsequent: 'Subsequent use',
+        exempt: 'Exempt'
+    },
+
+    /**
+     * The loan's program settings, conventional unless set
+     */
+    getLoanProgram(loanData) {
+        const program = loanData.program || {};
+
+        return {
+            type: program.type in this.LOAN_PROGRAMS ? program.type : 'conventional',
+            financeUpfrontFee: program.financeUpfrontFee !== false,
+            vaUse: program.vaUse in this.VA_FUNDING_FEE_USES ? program.vaUse : 'first'
+        };
+    },
+
+    /**
+     * The upfront fee and annual premium a government program charges, or null for a
+     * conventional loan. Fees follow the base loan amount (before any financed fee) and its
+     * LTV against the home value.
+     */
+    getProgramFees(loanData) {
+        const program = this.getLoanProgram(loanData);
+        if (program.type === 'conventional') return null;
+
+        const { round } = this.getRounding(loanData);
+        const settings = this.LOAN_PROGRAMS[program.type];
+        const baseLoan = loanData.baseLoanAmount ?? loanData.principal;
+        const { homeValue } = this.getEscrow(loanData);
+        const ltv = homeValue > 0 ? baseLoan / homeValue * 100 : 100;
+
+        let upfrontRate = settings.upfrontRate || 0;
+        let annualRate = settings.annualRate || 0;
+        let insuranceMonths = null;
+
+        if (program.type === 'fha') {
+            const band = this.FHA_ANNUAL_MIP.find(row => loanData.termYears <= row.maxTermYears && baseLoan <= row.maxLoan);
+            annualRate = band.tiers.find(tier => ltv <= tier.maxLtv).rate;
+            insuranceMonths = ltv > 90 ? null : this.FHA_MIP_YEARS * 12;
+        } else if (program.type === 'va') {
+            const down = 100 - ltv;
+            upfrontRate = program.vaUse === 'exempt' ? 0 :
+                this.VA_FUNDING_FEES.find(row => down >= row.minDown)[program.vaUse];
+        }
+
+        return {
+            type: program.type,
+            label: settings.label,
+            insuranceLabel: settings.insuranceLabel || null,
+            upfrontLabel: settings.upfrontLabel || `upfront ${settings.insuranceLabel}`,
+            baseLoan,
+            ltv,
+            upfrontRate,
+            upfrontFee: round(baseLoan * upfrontRate / 100),
+            financed: program.financeUpfrontFee,
+            annualRate,
+            // null while the premium lasts for the life of the loan
+            insuranceMonths: annualRate > 0 ? insuranceMonths : 0,
+            lifeOfLoan: annualRate > 0 && insuranceMonths === null
+        };
+    },
+
+    /**
+     * What the loan's mortgage insurance is called: PMI, or the program's annual premium
+     */
+    getInsuranceLabel(loanData) {
+        const fees = this.getProgramFees(loanData);
+        return fees && fees.insuranceLabel ? fees.insuranceLabel : 'PMI';
+    },
+
+    /**
+     * The loan as it is borrowed: a financed upfront fee is added to the principal
+     * (baseLoanAmount keeps the amount before it, so the fee is only added once)
+     */
+    applyLoanProgram(loanData) {
+        if (loanData.baseLoanAmount !== undefined) return loanData;
+
+        const fees = this.getProgramFees(loanData);
+        if (!fees || !fees.financed || fees.upfrontFee <= 0) return loanData;
+
+        return { ...loanData, principal: loanData.principal + fees.upfrontFee, baseLoanAmount: loanData.principal };
+    },
+
+    /**
+     * Monthly annual-premium charge for each loan year while it lasts. FHA and USDA figure the
+     * premium on the average balance the original amortization schedule has outstanding during
+     * the year, so prepaying ends it sooner but doesn't lower it.
+     */
+    getProgramPremiums(loanData, fees) {
+        if (!fees || fees.annualRate <= 0) return [];
+
+        const loan = this.applyLoanProgram(loanData);
+        const { round } = this.getRounding(loan);
+        const monthlyRate = this.getMonthlyRate(loan.annualRate, this.getCompounding(loan));
+        const termMonths = this.getTermMonths(loan);
+        const payment = this.calculateAmortizedPayment(loan.principal, monthlyRate, termMonths);
+        const months = Math.min(termMonths, fees.insuranceMonths ?? termMonths);
+
+        const premiums = [];
+        let balance = loan.principal;
+        for (let start = 0; start < months; start += 12) {
+            let total = 0;
+            const yearMonths = Math.min(12, termMonths - start);
+            for (let i = 0; i < yearMonths; i++) {
+                total += balance;
+                balance = Math.max(0, balance * (1 + monthlyRate) - payment);
+            }
+            premiums.push(round(total / yearMonths * fees.annualRate / 100 / 12));
+        }
+
+        return premiums;
+    },
+
+    /**
+     * Normalize the optional tax, insurance, HOA and PMI inputs
+     */
+    getEscrow(loanData) {
+        const escrow = loanData.escrow || {};
+
+        return {
+            homeValue: escrow.homeValue || 0,
+            propertyTaxAnnual: escrow.propertyTaxAnnual || 0,
+            insuranceAnnual: escrow.insuranceAnnual || 0,
+            hoaMonthly: escrow.hoaMonthly || 0,
+            pmiRate: escrow.pmiRate || 0,
+            pmiCancellation: escrow.pmiCancellation === 'request' ? 'request' : 'automatic'
+        };
+    },
+
+    /**
+     * Loan-to-value ratio at which PMI drops off:
+     * 80% when the borrower requests cancellation, 78% for automatic termination
+     */
+    getPmiThreshold(escrow) {
+        return escrow.pmiCancellation === 'request' ? 0.8 : 0.78;
+    },
+
+    /**
+     * Estimate the full monthly housing payment (principal, interest, taxes, insurance, HOA, PMI).
+     * A government program's first-year premium takes the place of PMI.
+     */
+    calculatePITI(loanData, monthlyPayment) {
+        const escrow = this.getEscrow(loanData);
+        const fees = this.getProgramFees(loanData);
+        const hasPMI = !fees && escrow.homeValue > 0 &&
+            loanData.principal > escrow.homeValue * this.getPmiThreshold(escrow);
+
+        const propertyTax = escrow.propertyTaxAnnual / 12;
+        const insurance = escrow.insuranceAnnual / 12;
+        const hoa = escrow.hoaMonthly;
+        const pmi = fees ? (this.getProgramPremiums(loanData, fees)[0] || 0) :
+            hasPMI ? loanData.principal * escrow.pmiRate / 100 / 12 : 0;
+
+        return {
+            principalAndInterest: monthlyPayment,
+            propertyTax,
+            insurance,
+            hoa,
+            pmi,
+            total: monthlyPayment + propertyTax + insurance + hoa + pmi
+        };
+    },
+
+    /**
+     * Add property tax, insurance, HOA and PMI to every row of a schedule.
+     * PMI is charged on the original loan amount until the balance at the start
+     * of a period has reached the cancellation LTV of the home value. Under a government
+     * program the program's annual premium is charged instead (in the pmi fields), by loan year
+     * for as long as it lasts and the loan is outstanding.
+     */
+    applyEscrow(result, loanData, periodsPerYear = 12) {
+        const escrow = this.getEscrow(loanData);
+        const { round } = this.getRounding(loanData);
+        const fees = this.getProgramFees(loanData);
+        const premiums = this.getProgramPremiums(loanData, fees);
+        const firstMonth = this.getMonthIndex(this.parseDate(loanData.startDate));
+        const pmiThreshold = escrow.homeValue * this.getPmiThreshold(escrow);
+        const pmiPayment = !fees && escrow.homeValue > 0 ?
+            round(loanData.principal * escrow.pmiRate / 100 / periodsPerYear) : 0;
+        const getPremium = (row) => {
+            const loanMonth = this.getMonthIndex(this.parseDate(row.date)) - firstMonth + 1;
+            const premium = premiums[Math.floor((loanMonth - 1) / 12)] || 0;
+            return round(premium * 12 / periodsPerYear);
+        };
+
+        let startingBalance = result.startingBalance ?? loanData.principal;
+        let totalPMI = 0;
+        let totalEscrow = 0;
+        let pmiPayments = 0;
+        let pmiEndDate = null;
+
+        result.schedule.forEach(row => {
+            row.propertyTax = round(escrow.propertyTaxAnnual / periodsPerYear);
+            row.insurance = round(escrow.insuranceAnnual / periodsPerYear);
+            row.hoa = round(escrow.hoaMonthly * 12 / periodsPerYear);
+            row.pmi = fees ? getPremium(row) : (startingBalance > pmiThreshold ? pmiPayment : 0);
+            row.totalPayment = round(row.payment + row.extraPayment +
+                row.propertyTax + row.insurance + row.hoa + row.pmi);
+
+            if (row.pmi > 0) {
+                pmiPayments++;
+                pmiEndDate = row.date;
+            }
+
+            totalPMI = round(totalPMI + row.pmi);
+            totalEscrow = round(totalEscrow + row.propertyTax + row.insurance + row.hoa);
+            startingBalance = row.balance;
+        });
+
+        result.totalPMI = totalPMI;
+        result.totalEscrow = totalEscrow;
+        result.pmiMonths = Math.round(pmiPayments * 12 / periodsPerYear);
+        result.pmiEndDate = pmiEndDate;
+        result.program = fees;
+
+        return result;
+    },
+
+    /**
+     * Filing statuses with their standard deduction and the mortgage debt on which interest is
+     * deductible, for current loans and for loans taken out before December 16, 2017
+     */
+    TAX_FILING_STATUSES: {
+        single: { label: 'Single', standardDeduction: 16100, loanLimit: 750000, grandfatheredLimit: 1000000 },
+        joint: { label: 'Married filing jointly', standardDeduction: 32200, loanLimit: 750000, grandfatheredLimit: 1000000 },
+        separate: { label: 'Married filing separately', standardDeduction: 16100, loanLimit: 375000, grandfatheredLimit: 500000 },
+        head: { label: 'Head of household', standardDeduction: 24150, loanLimit: 750000, grandfatheredLimit: 1000000 }
+    },
+
+    /**
+     * Debt limit for deductible interest; loans started before December 2017 keep the older limit
+     */
+    getDefaultLoanLimit(filingStatus, startDate) {
+        const status = this.TAX_FILING_STATUSES[filingStatus] || this.TAX_FILING_STATUSES.single;
+        return startDate && startDate < '2017-12' ? status.grandfatheredLimit : status.loanLimit;
+    },
+
+    /**
+     * Normalize the optional tax inputs; null unless a marginal rate is set
+     */
+    getTax(loanData) {
+        const tax = loanData.tax;
+        if (!tax || !(tax.marginalRate > 0)) return null;
+
+        const filingStatus = tax.filingStatus in this.TAX_FILING_STATUSES ? tax.filingStatus : 'single';
+        return {
+            filingStatus,
+            marginalRate: tax.marginalRate,
+            standardDeduction: tax.standardDeduction ?? this.TAX_FILING_STATUSES[filingStatus].standardDeduction,
+            loanLimit: tax.loanLimit || this.getDefaultLoanLimit(filingStatus, loanData.startDate),
+            otherDeductions: tax.otherDeductions || 0
+        };
+    },
+
+    /**
+     * Estimate the tax saved each calendar year by deducting mortgage interest. Interest on debt
+     * above the loan limit isn't deductible (prorated by the year's average balance), and the
+     * deduction only helps by the amount itemizing beats the standard deduction. The benefit is
+     * recorded on the last row of each year as taxBenefit.
+     */
+    applyTaxBenefit(result, loanData) {
+        const tax = this.getTax(loanData);
+        const { round } = this.getRounding(loanData);
+
+        result.taxYears = [];
+        result.totalTaxBenefit = 0;
+        result.afterTaxInterest = result.totalInterest;
+        if (!tax) return result;
+
+        const years = new Map();
+        let balance = result.startingBalance ?? loanData.principal;
+
+        result.schedule.forEach(row => {
+            const year = row.date.slice(0, 4);
+            const entry = years.get(year) || { year, interest: 0, balanceTotal: 0, periods: 0, lastRow: null };
+            // Capitalized interest isn't paid when it accrues, so it isn't deductible then
+            entry.interest += row.interest - (row.capitalizedInterest || 0);
+            entry.balanceTotal += balance;
+            entry.periods++;
+            entry.lastRow = row;
+            years.set(year, entry);
+
+            row.taxBenefit = null;
+            balance = row.balance;
+        });
+
+        const itemizingGain = (deductions) => Math.max(deductions, tax.standardDeduction) -
+            Math.max(tax.otherDeductions, tax.standardDeduction);
+
+        years.forEach(entry => {
+            const averageBalance = entry.balanceTotal / entry.periods;
+            const deductibleInterest = averageBalance > tax.loanLimit ?
+                entry.interest * tax.loanLimit / averageBalance : entry.interest;
+            const benefit = round(itemizingGain(tax.otherDeductions + deductibleInterest) * tax.marginalRate / 100);
+
+            entry.lastRow.taxBenefit = benefit;
+            result.taxYears.push({
+                year: entry.year,
+                interest: entry.interest,
+                deductibleInterest,
+                benefit,
+                afterTaxInterest: entry.interest - benefit
+            });
+            result.totalTaxBenefit = round(result.totalTaxBenefit + benefit);
+        });
+
+        result.afterTaxInterest = result.totalInterest - result.totalTaxBenefit;
+        return result;
+    },
+
+    /**
+     * Calculate the difference between original and accelerated schedules
+     */
+    calculateSavings(originalResult, acceleratedResult) {
+        const originalDate = this.parseDate(originalResult.payoffDate);
+        const acceleratedDate = this.parseDate(acceleratedResult.payoffDate);
+
+        const timeDiff = originalDate - acceleratedDate;
+        const monthsSaved = Math.round(timeDiff / (1000 * 60 * 60 * 24 * 30.44));
+
+        const yearsSaved = Math.floor(monthsSaved / 12);
+        const remainingMonths = monthsSaved % 12;
+        const timeSavedText = this.formatDuration(monthsSaved) || 'No time saved';
+
+        const interestSaved = originalResult.totalInterest - acceleratedResult.totalInterest;
+        const netSavings = interestSaved - (acceleratedResult.totalRecastFees || 0) -
+            (acceleratedResult.totalPrepaymentPenalties || 0);
+        const pmiSaved = (originalResult.totalPMI || 0) - (acceleratedResult.totalPMI || 0);
+        const program = acceleratedResult.program || null;
+
+        return {
+            monthsSaved,
+            yearsSaved,
+            remainingMonths,
+            timeSavedText,
+            interestSaved,
+            originalInterest: originalResult.totalInterest,
+            acceleratedInterest: acceleratedResult.totalInterest,
+            afterTaxInterestSaved: (originalResult.afterTaxInterest ?? originalResult.totalInterest) -
+                (acceleratedResult.afterTaxInterest ?? acceleratedResult.totalInterest),
+            taxBenefitLost: (originalResult.totalTaxBenefit || 0) - (acceleratedResult.totalTaxBenefit || 0),
+            pmiSaved,
+            pmiMonthsSaved: (originalResult.pmiMonths || 0) - (acceleratedResult.pmiMonths || 0),
+            recastFees: acceleratedResult.totalRecastFees || 0,
+            prepaymentPenalties: acceleratedResult.totalPrepaymentPenalties || 0,
+            cappedPrepayments: acceleratedResult.cappedPrepayments || 0,
+            netSavings,
+            // A government program's upfront fee is paid either way; its annual premium
+            // (like PMI) stops sooner when the loan is paid off sooner
+            program,
+            upfrontFee: program ? program.upfrontFee : 0,
+            totalSavings: netSavings + pmiSaved
+        };
+    },
+
+    /**
+     * Express both schedules in today's money. Each payment is discounted at discountRate
+     * (present value) and deflated at inflationRate (real dollars) by the months since the
+     * loan's first payment. The NPV of prepaying is the present value of the payments it
+     * avoids later, less the extra cash it takes now.
+     * rates: { discountRate, inflationRate } as annual percentages
+     */
+    calculatePresentValue(originalResult, acceleratedResult, rates) {
+        const firstRow = originalResult.schedule[0];
+        const firstMonth = firstRow ? this.getMonthIndex(this.parseDate(firstRow.date)) : 0;
+
+        const summarize = (result) => {
+            const totals = { interest: 0, totalPaid: 0, pvInterest: 0, pvTotalPaid: 0, realInterest: 0, realTotalPaid: 0 };
+
+            result.schedule.forEach(row => {
+                const years = (this.getMonthIndex(this.parseDate(row.date)) - firstMonth + 1) / 12;
+                const discount = Math.pow(1 + rates.discountRate / 100, -years);
+                const deflator = Math.pow(1 + rates.inflationRate / 100, -years);
+                const paid = row.payment + row.extraPayment + (row.recastFee || 0) + (row.prepaymentPenalty || 0);
+
+                totals.interest += row.interest;
+                totals.totalPaid += paid;
+                totals.pvInterest += row.interest * discount;
+                totals.pvTotalPaid += paid * discount;
+                totals.realInterest += row.interest * deflator;
+                totals.realTotalPaid += paid * deflator;
+            });
+
+            return totals;
+        };
+
+        const original = summarize(originalResult);
+        const accelerated = summarize(acceleratedResult);
+
+        return {
+            discountRate: rates.discountRate,
+            inflationRate: rates.inflationRate,
+            original,
+            accelerated,
+            interestSaved: original.interest - accelerated.interest,
+            pvInterestSaved: original.pvInterest - accelerated.pvInterest,
+            realInterestSaved: original.realInterest - accelerated.realInterest,
+            npv: original.pvTotalPaid - accelerated.pvTotalPaid
+        };
+    },
+
+    /**
+     * Run each active acceleration strategy on its own so their effects can be compared
+     */
+    calculateStrategyBreakdown(loanData, accelerationOptions, originalResult) {
+        const none = {
+            ...accelerationOptions,
+            paymentFrequency: 'monthly',
+            extraPayments: [],
+            paymentRelief: []
+        };
+
+        const strategies = (accelerationOptions.extraPayments || []).map((rule, index) => ({
+            key: `extra-${index}`,
+            label: this.describeExtraPayment(rule),
+            options: { extraPayments: [rule] }
+        }));
+
+        const paymentFrequency = this.getPaymentFrequency(accelerationOptions);
+        if (paymentFrequency !== 'monthly') {
+            strategies.unshift({
+                key: 'frequency',
+                label: this.PAYMENT_FREQUENCIES[paymentFrequency].label,
+                options: { paymentFrequency }
+            });
+        }
+
+        return strategies
+            .map(strategy => {
+                const result = this.generateAcceleratedSchedule(loanData, { ...none, ...strategy.options });
+                return {
+                    key: strategy.key,
+                    label: strategy.label,
+                    result,
+                    savings: this.calculateSavings(originalResult, result)
+                };
+            });
+    },
+
+    /**
+     * What payment relief costs: the plan is run again with every payment made on time and
+     * compared with the result. Returns null when the plan has no relief periods.
+     */
+    calculateReliefCost(loanData, accelerationOptions, acceleratedResult) {
+        if (!(accelerationOptions.paymentRelief || []).length) return null;
+
+        const clean = this.generateAcceleratedSchedule(loanData, { ...accelerationOptions, paymentRelief: [] });
+        const monthsDelayed = this.getMonthIndex(this.parseDate(acceleratedResult.payoffDate)) -
+            this.getMonthIndex(this.parseDate(clean.payoffDate));
+
+        return {
+            clean,
+            ...acceleratedResult.paymentRelief,
+            extraInterest: acceleratedResult.totalInterest - clean.totalInterest,
+            monthsDelayed,
+            delayText: this.formatDuration(monthsDelayed) || 'No delay'
+        };
+    },
+
+    /**
+     * Run the plan both ways for one-time payments: shorten the term or recast to lower the payment.
+     * Returns null when the plan has no one-time payments.
+     */
+    compareLumpSumOptions(loanData, accelerationOptions, originalResult) {
+        const hasLumpSum = (accelerationOptions.extraPayments || []).some(rule => rule.frequency === 'once');
+        if (!hasLumpSum) return null;
+
+        const shorten = this.generateAcceleratedSchedule(loanData, { ...accelerationOptions, recast: false });
+        const recast = this.generateAcceleratedSchedule(loanData, { ...accelerationOptions, recast: true });
+
+        return {
+            shorten,
+            recast,
+            shortenSavings: this.calculateSavings(originalResult, shorten),
+            recastSavings: this.calculateSavings(originalResult, recast)
+        };
+    },
+
+    /**
+     * Find the smallest whole-dollar extra payment that reaches a goal, on top of the current plan.
+     * goal: { type: 'payoffDate' | 'totalInterest', target, strategy: 'monthly' | 'biweekly' | 'lumpSum', startDate }
+     * 'monthly' and 'biweekly' add an extra monthly payment from startDate ('biweekly' also switches
+     * a monthly plan to accelerated bi-weekly payments); 'lumpSum' adds a one-time payment in startDate.
+     */
+    solveExtraPayment(loanData, accelerationOptions, goal) {
+        const paymentFrequency = this.getPaymentFrequency(accelerationOptions);
+        const baseOptions = {
+            ...accelerationOptions,
+            paymentFrequency: goal.strategy === 'biweekly' && paymentFrequency === 'monthly' ?
+                'accelerated-biweekly' : paymentFrequency
+        };
+
+        const run = (amount) => {
+            const rule = {
+                amount,
+                frequency: goal.strategy === 'lumpSum' ? 'once' : 'monthly',
+                startDate: goal.startDate,
+                endDate: '',
+                growthRate: 0
+            };
+            const extraPayments = [...(baseOptions.extraPayments || [])];
+            if (amount > 0) extraPayments.push(rule);
+            return this.generateAcceleratedSchedule(loanData, { ...baseOptions, extraPayments });
+        };
+
+        const meetsGoal = (result) => goal.type === 'payoffDate' ?
+            result.payoffDate <= goal.target :
+            result.totalInterest <= goal.target;
+
+        const current = run(0);
+        if (meetsGoal(current)) {
+            return { reachable: true, amount: 0, alreadyMet: true, result: current };
+        }
+
+        if (goal.type === 'payoffDate' && goal.target < goal.startDate) {
+            return { reachable: false, message: 'The target date is before the extra payments would start' };
+        }
+
+        // Paying the whole principal at once is the most any strategy can do
+        let high = Math.ceil(loanData.principal);
+        if (!meetsGoal(run(high))) {
+            return { reachable: false, message: 'This target can\'t be reached with this strategy, even paying the loan off in full' };
+        }
+
+        let low = 0;
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (meetsGoal(run(mid))) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+
+        return { reachable: true, amount: high, alreadyMet: false, result: run(high) };
+    },
+
+    /**
+     * Format a number of months as "X years, Y months" (empty for zero or less)
+     */
+    formatDuration(months) {
+        const years = Math.floor(months / 12);
+        const remainingMonths = months % 12;
+
+        let text = '';
+        if (years > 0) {
+            text = `${years} year${years !== 1 ? 's' : ''}`;
+            if (remainingMonths > 0) {
+                text += `, ${remainingMonths} month${remainingMonths !== 1 ? 's' : ''}`;
+            }
+        } else if (remainingMonths > 0) {
+            text = `${remainingMonths} month${remainingMonths !== 1 ? 's' : ''}`;
+        }
+
+        return text;
+    },
+
+    /**
+     * Format a date object to YYYY-MM format for display
+     */
+    formatDate(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        return `${year}-${month}`;
+    },
+
+    /**
+     * Format date as YYYY-MM-DD, for payments made more often than monthly
+     */
+    formatDay(date) {
+        return `${this.formatDate(date)}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Format date for display in the locale (e.g., "Jan 2024", or "Jan 15, 2024" for a YYYY-MM-DD
+     * date); monthStyle 'long' spells the month out
+     */
+    formatDateDisplay(dateStr, monthStyle = 'short') {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const options = day ? { year: 'numeric', month: monthStyle, day: 'numeric' } : { year: 'numeric', month: monthStyle };
+        return new Intl.DateTimeFormat(MortgageCalculator.format.locale, options).format(new Date(year, month - 1, day || 1));
+    },
+
+    /**
+     * Month names in the locale, January first
+     */
+    getMonthNames(monthStyle = 'long') {
+        const formatter = new Intl.DateTimeFormat(MortgageCalculator.format.locale, { month: monthStyle });
+        return Array.from({ length: 12 }, (value, month) => formatter.format(new Date(2000, month, 1)));
+    },
+
+    /**
+     * Parse a YYYY-MM string to Date object
+     */
+    parseDate(dateStr) {
+        return new Date(dateStr + '-01');
+    },
+
+    /**
+     * Locales and currencies amounts and dates can be shown in
+     */
+    LOCALES: {
+        'en-US': 'English (United States)',
+        'en-CA': 'English (Canada)',
+        'fr-CA': 'Français (Canada)',
+        'en-GB': 'English (United Kingdom)',
+        'en-AU': 'English (Australia)',
+        'de-DE': 'Deutsch (Deutschland)',
+        'fr-FR': 'Français (France)',
+        'es-ES': 'Español (España)'
+    },
+
+    CURRENCIES: {
+        USD: 'US dollar',
+        CAD: 'Canadian dollar',
+        GBP: 'British pound',
+        AUD: 'Australian dollar',
+        EUR: 'Euro'
+    },
+
+    /**
+     * The locale and currency every formatter and parser uses (see setFormat). The formatters
+     * read it through MortgageCalculator rather than this, so they still work when destructured.
+     */
+    format: { locale: 'en-US', currency: 'USD' },
+
+    /**
+     * Switch the locale and currency; unknown values keep the current ones
+     */
+    setFormat({ locale, currency }) {
+        this.format = {
+            locale: locale in this.LOCALES ? locale : this.format.locale,
+            currency: currency in this.CURRENCIES ? currency : this.format.currency
+        };
+        return this.format;
+    },
+
+    /**
+     * Format currency for display
+     */
+    formatCurrency(amount) {
+        return new Intl.NumberFormat(MortgageCalculator.format.locale, {
+            style: 'currency',
+            currency: MortgageCalculator.format.currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(amount);
+    },
+
+    /**
+     * Format currency with cents
+     */
+    formatCurrencyPrecise(amount) {
+        return new Intl.NumberFormat(MortgageCalculator.format.locale, {
+            style: 'currency',
+            currency: MortgageCalculator.format.currency,
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(amount);
+    },
+
+    /**
+     * Format a plain number for an input, with the locale's separators
+     */
+    formatNumber(value, maximumFractionDigits = 2, useGrouping = true) {
+        return new Intl.NumberFormat(MortgageCalculator.format.locale, { maximumFractionDigits, useGrouping }).format(value);
+    },
+
+    /**
+     * Format a rate given in percent (6.5 → "6.5%", "6,5 %" in German); fractionDigits fixes the
+     * number of decimals, otherwise up to three are shown
+     */
+    formatPercent(value, fractionDigits) {
+        return new Intl.NumberFormat(MortgageCalculator.format.locale, {
+            style: 'percent',
+            minimumFractionDigits: fractionDigits ?? 0,
+            maximumFractionDigits: fractionDigits ?? 3
+        }).format(value / 100);
+    },
+
+    /**
+     * The currency's symbol (narrow, so "$" rather than "CA$") and whether the locale writes it
+     * after the amount
+     */
+    getCurrencySymbol() {
+        const parts = new Intl.NumberFormat(MortgageCalculator.format.locale, {
+            style: 'currency',
+            currency: MortgageCalculator.format.currency,
+            currencyDisplay: 'narrowSymbol'
+        }).formatToParts(1);
+        const index = parts.findIndex(part => part.type === 'currency');
+
+        return {
+            symbol: parts[index].value,
+            after: index > parts.findIndex(part => part.type === 'integer')
+        };
+    },
+
+    /**
+     * The locale's digit grouping and decimal separators
+     */
+    getSeparators() {
+        const parts = new Intl.NumberFormat(MortgageCalculator.format.locale).formatToParts(12345.6);
+        return {
+            group: parts.find(part => part.type === 'group')?.value || '',
+            decimal: parts.find(part => part.type === 'decimal')?.value || '.'
+        };
+    },
+
+    /**
+     * Parse a number typed in the locale ("1.234,5" in German). A group separator only counts as
+     * one before three digits, so "5.5" still reads as 5.5 where the decimal separator is a comma.
+     * Returns NaN when there is no number, like parseFloat.
+     */
+    parseNumber(str) {
+        if (typeof str === 'number') return str;
+
+        const { group, decimal } = MortgageCalculator.getSeparators();
+        let text = String(str ?? '').replace(/[\s\u00a0\u202f]/g, '').replace(/\u2212/g, '-');
+
+        if (group.trim()) {
+            const escaped = group.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            text = text.replace(new RegExp(`${escaped}(?=\\d{3}(?!\\d))`, 'g'), '');
+        }
+        text = text.replace(decimal, '.').replace(/[^\d.-]/g, '');
+
+        return parseFloat(text);
+    },
+
+    /**
+     * Parse currency string to number
+     */
+    parseCurrency(str) {
+        if (!str) return 0;
+        return MortgageCalculator.parseNumber(str) || 0;
+    },
+
+    /**
+     * Validate loan data
+     */
+    validateLoanData(data) {
+        const errors = {};
+
+        if (!data.principal || data.principal < 1000) {
+            errors.loanAmount = `Loan amount must be at least ${this.formatCurrency(1000)}`;
         }
         if (data.principal > 10000000) {
-            errors.loanAmount = 'Loan amount cannot exceed $10,000,000';
+            errors.loanAmount = `Loan amount cannot exceed ${this.formatCurrency(10000000)}`;
         }
 
         if (!data.annualRate || data.annualRate < 0.1) {
@@ -367,6 +2093,201 @@ const MortgageCalculator = {
             errors.startDate = 'Please enter a start date';
         }
 
+        if (data.prepaymentLimit !== undefined && !(data.prepaymentLimit >= 0 && data.prepaymentLimit <= 100)) {
+            errors.prepaymentLimit = 'Prepayment limit must be between 0% and 100% a year';
+        }
+        if (data.prepaymentYears !== undefined && !(data.prepaymentYears >= 0 && data.prepaymentYears <= 50)) {
+            errors.prepaymentYears = 'Restricted period must be between 0 and 50 years';
+        }
+        if (data.prepaymentPenalty) {
+            const { type, value } = data.prepaymentPenalty;
+            const limits = {
+                percent: { max: 10, message: 'Penalty must be between 0% and 10% of the amount prepaid' },
+                interest: { max: 24, message: 'Penalty must be between 0 and 24 months of interest' },
+                ird: { max: 25, message: 'Comparison rate must be between 0% and 25%' }
+            }[type];
+            if (!limits) {
+                errors.prepaymentPenaltyValue = 'Choose a prepayment penalty';
+            } else if (!(value >= 0 && value <= limits.max)) {
+                errors.prepaymentPenaltyValue = limits.message;
+            }
+        }
+
+        const program = this.getLoanProgram(data);
+        if (program.type !== 'conventional') {
+            const { label } = this.LOAN_PROGRAMS[program.type];
+            const homeValue = data.escrow?.homeValue || 0;
+            const maxLtv = program.type === 'fha' ? 96.5 : 100;
+
+            if (data.loanType === 'heloc') {
+                errors.loanProgram = `${label} loans are first mortgages, not home equity lines`;
+            } else if (program.type === 'usda' && data.termYears !== 30) {
+                errors.loanProgram = 'USDA loans have a 30-year term';
+            }
+
+            if (!(homeValue > 0)) {
+                errors.homeValue = `Enter the home value so the ${label} fees can be worked out`;
+            } else if (data.principal > homeValue * maxLtv / 100) {
+                errors.homeValue = `${label} loans can be at most ${this.formatPercent(maxLtv)} of the home value`;
+            }
+        }
+
+        if (data.escrow) {
+            if (data.escrow.pmiRate > 0 && !(data.escrow.homeValue > 0)) {
+                errors.homeValue = 'Enter the home value so PMI can be removed at the right time';
+            }
+            if (data.escrow.pmiRate > 5) {
+                errors.pmiRate = 'PMI rate cannot exceed 5%';
+            }
+        }
+
+        if (data.tax) {
+            if (data.tax.marginalRate < 0 || data.tax.marginalRate > 60) {
+                errors.marginalTaxRate = 'Marginal tax rate must be between 0% and 60%';
+            }
+            if (data.tax.standardDeduction < 0) {
+                errors.standardDeduction = 'Standard deduction cannot be negative';
+            }
+        }
+
+        if (data.structure === 'interest-only' &&
+            !(data.interestOnlyYears > 0 && data.interestOnlyYears < data.termYears)) {
+            errors.interestOnlyYears = 'Interest-only period must be shorter than the loan term';
+        }
+        if (data.structure === 'balloon' &&
+            !(data.balloonYears > 0 && data.balloonYears < data.termYears)) {
+            errors.balloonYears = 'Balloon must come due before the end of the amortization term';
+        }
+
+        if (data.existing && data.existing.source === 'statement') {
+            const existing = data.existing;
+            if (!existing.balance || existing.balance <= 0) {
+                errors.currentBalance = 'Please enter your current balance';
+            } else if (existing.balance > data.principal) {
+                errors.currentBalance = 'Current balance can\'t be more than the original loan amount';
+            }
+            if (!existing.nextPaymentDate || (data.startDate && existing.nextPaymentDate < data.startDate)) {
+                errors.nextPaymentDate = 'Next payment must be on or after the loan start date';
+            }
+            if (existing.currentPayment === undefined &&
+                !(existing.remainingMonths >= 1 && existing.remainingMonths <= 480)) {
+                errors.remainingMonths = 'Remaining term must be between 1 and 480 months';
+            }
+            if (existing.remainingMonths === undefined && existing.balance > 0 &&
+                !(existing.currentPayment > existing.balance * this.getMonthlyRate(data.annualRate, this.getCompounding(data)))) {
+                errors.currentPayment = 'Payment must be more than the monthly interest on your balance';
+            }
+        } else if (data.existing) {
+            const scheduled = this.getFinalPaymentMonth(data);
+            if (!(data.existing.paymentsMade >= 0 && data.existing.paymentsMade < scheduled)) {
+                errors.paymentsMade = `Payments made must be between 0 and ${scheduled - 1}`;
+            }
+        }
+
+        if (data.loanType === 'arm' && data.arm) {
+            if (data.arm.initialPeriodYears >= data.termYears) {
+                errors.armInitialPeriod = 'Fixed period must be shorter than the loan term';
+            }
+            if (isNaN(data.arm.index) || data.arm.index < 0) {
+                errors.armIndex = 'Please enter the expected index rate';
+            }
+            if (isNaN(data.arm.margin) || data.arm.margin < 0) {
+                errors.armMargin = 'Please enter the ARM margin';
+            }
+            if ([data.arm.initialCap, data.arm.periodicCap, data.arm.lifetimeCap].some(cap => isNaN(cap) || cap < 0)) {
+                errors.armCaps = 'Caps must be zero or greater';
+            }
+        }
+
+        if (data.loanType === 'heloc' && data.heloc && data.startDate) {
+            const start = this.parseDate(data.startDate);
+            const loanMonth = (date) => this.getLoanMonth(start, this.parseDate(date));
+            const drawMonths = data.heloc.drawYears * 12;
+
+            const badDraw = (data.heloc.draws || []).findIndex(draw =>
+                !(draw.amount > 0) || !draw.date || loanMonth(draw.date) < 1 || loanMonth(draw.date) > drawMonths);
+            if (badDraw !== -1) {
+                errors.helocDraws = `Draw ${badDraw + 1} needs an amount and a date within the ${data.heloc.drawYears}-year draw period`;
+            }
+
+            const badStep = (data.heloc.rateSteps || []).findIndex(step =>
+                isNaN(step.rate) || step.rate < 0 || step.rate > 25 || !step.date ||
+                loanMonth(step.date) <= 1 || loanMonth(step.date) > data.termYears * 12);
+            if (badStep !== -1) {
+                errors.helocRates = `Rate change ${badStep + 1} must be between 0% and 25% and fall within the line's term`;
+            }
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    },
+
+    /**
+     * Validate extra payment rules; errors are keyed by the rule's position in the list
+     */
+    validateExtraPayments(extraPayments) {
+        const errors = {};
+
+        extraPayments.forEach((rule, index) => {
+            if (!rule.amount || rule.amount <= 0) {
+                errors[index] = 'Please enter an amount';
+            } else if (!(rule.frequency in this.EXTRA_PAYMENT_INTERVALS)) {
+                errors[index] = 'Please choose how often this payment is made';
+            } else if (!rule.startDate) {
+                errors[index] = 'Please enter a start date';
+            } else if (rule.endDate && rule.endDate < rule.startDate) {
+                errors[index] = 'End date must be after the start date';
+            } else if (isNaN(rule.growthRate) || rule.growthRate < -20 || rule.growthRate > 20) {
+                errors[index] = 'Growth must be between -20% and 20% a year';
+            }
+        });
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    },
+
+    /**
+     * Validate payment relief periods; errors are keyed by the period's position in the list
+     */
+    validatePaymentRelief(paymentRelief) {
+        const errors = {};
+
+        paymentRelief.forEach((period, index) => {
+            if (!(period.type in this.PAYMENT_RELIEF_TYPES)) {
+                errors[index] = 'Please choose the kind of relief';
+            } else if (!period.startDate) {
+                errors[index] = 'Please enter a start date';
+            } else if (!Number.isInteger(period.months) || period.months < 1 || period.months > 36) {
+                errors[index] = 'Relief must last between 1 and 36 months';
+            } else if (period.type === 'reduced' && (!period.amount || period.amount <= 0)) {
+                errors[index] = 'Please enter the reduced payment';
+            }
+        });
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    },
+
+    /**
+     * Validate the discount and inflation rates used for today's-dollar figures
+     */
+    validateValueRates(rates) {
+        const errors = {};
+
+        if (isNaN(rates.discountRate) || rates.discountRate < 0 || rates.discountRate > 20) {
+            errors.discountRate = 'Discount rate must be between 0% and 20%';
+        }
+
+        if (isNaN(rates.inflationRate) || rates.inflationRate < 0 || rates.inflationRate > 20) {
+            errors.inflationRate = 'Inflation must be between 0% and 20%';
+        }
+
         return {
             isValid: Object.keys(errors).length === 0,
             errors
@@ -7,6 +7,8 @@ const ChartRenderer = {
     colors: {
         primary: '#f97316',
         primaryLight: '#fb923c',
+        warning: '#f59e0b',
+        danger: '#ef4444',
         secondary: '#64748b',
         success: '#f97316',
         successLight: '#fb923c',
@@ -50,9 +52,10 @@ const ChartRenderer = {
     },
 
     /**
-     * Draw balance over time chart (line chart)
+     * Draw balance over time chart (line chart). For existing loans, history holds
+     * the payments already made, drawn before a "Today" marker.
      */
-    drawBalanceChart(canvasId, originalSchedule, acceleratedSchedule) {
+    drawBalanceChart(canvasId, originalSchedule, acceleratedSchedule, rateChanges = [], balloons = [], history = []) {
         const setup = this.initCanvas(canvasId);
         if (!setup) return;
 
@@ -63,14 +66,23 @@ const ChartRenderer = {
         const chartWidth = width - padding.left - padding.right;
         const chartHeight = height - padding.top - padding.bottom;
 
+        // Place everything by loan month, so weekly and bi-weekly rows and existing loans line up with the calendar
+        const toLoanMonths = this.getLoanMonthMapper(history[0] || originalSchedule[0]);
+        rateChanges = toLoanMonths(rateChanges);
+        balloons = toLoanMonths(balloons);
+
         // Get data points (sample every nth point for performance)
         const maxPoints = 60;
-        const originalData = this.sampleData(originalSchedule, maxPoints);
-        const acceleratedData = this.sampleData(acceleratedSchedule, maxPoints);
+        const historyData = toLoanMonths(this.sampleData(history, maxPoints));
+        const originalData = toLoanMonths(this.sampleData(originalSchedule, maxPoints));
+        const acceleratedData = toLoanMonths(this.sampleData(acceleratedSchedule, maxPoints));
 
         // Calculate scales
-        const maxBalance = originalSchedule[0]?.balance || 0;
-        const maxPayments = originalSchedule.length;
+        // HELOC draws can lift the balance above where it started
+        const maxBalance = [history, originalSchedule, acceleratedSchedule].reduce((max, rows) =>
+            rows.reduce((rowMax, row) => Math.max(rowMax, row.balance), max),
+            (history[0] || originalSchedule[0])?.balance || 0);
+        const maxPayments = originalData[originalData.length - 1]?.paymentNumber || 0;
 
         const xScale = chartWidth / maxPayments;
         const yScale = chartHeight / maxBalance;
@@ -108,6 +120,19 @@ const ChartRenderer = {
             ctx.fillText(`Year ${years}`, x, height - padding.bottom + 20);
         }
 
+        // Draw ARM rate resets and balloon payments
+        this.drawRateResets(ctx, rateChanges, padding, xScale, chartHeight);
+        this.drawBalloons(ctx, balloons, padding, xScale, chartHeight);
+
+        // Draw payments already made, up to today
+        if (historyData.length > 0) {
+            ctx.strokeStyle = this.colors.secondary;
+            ctx.lineWidth = 3;
+            ctx.setLineDash([]);
+            this.drawLine(ctx, historyData, padding, xScale, yScale, chartHeight);
+            this.drawTodayMarker(ctx, historyData[historyData.length - 1].paymentNumber, padding, xScale, chartHeight);
+        }
+
         // Draw original line
         ctx.strokeStyle = this.colors.gray;
         ctx.lineWidth = 2;
@@ -122,11 +147,116 @@ const ChartRenderer = {
 
         // Draw legend
         this.drawLegend(ctx, width, padding, [
+            ...(historyData.length > 0 ? [{ color: this.colors.secondary, label: 'Paid So Far', dashed: false }] : []),
             { color: this.colors.gray, label: 'Original', dashed: true },
             { color: this.colors.success, label: 'Accelerated', dashed: false }
         ]);
     },
 
+    /**
+     * Returns a function that re-numbers rows, rate changes or balloons by loan month
+     * (from their date), counting from the given first row of the loan
+     */
+    getLoanMonthMapper(firstRow) {
+        if (!firstRow) return (items) => items;
+
+        const monthIndex = (date) => {
+            const [year, month] = date.split('-').map(Number);
+            return year * 12 + month;
+        };
+        const firstMonth = monthIndex(firstRow.date) - (firstRow.paymentNumber - 1);
+
+        return (items) => items.map(item => ({
+            ...item,
+            paymentNumber: monthIndex(item.date) - firstMonth + 1
+        }));
+    },
+
+    /**
+     * Draw a vertical "Today" marker where the history of an existing loan ends
+     */
+    drawTodayMarker(ctx, paymentNumber, padding, xScale, chartHeight) {
+        const x = padding.left + (paymentNumber * xScale);
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.secondary;
+        ctx.fillStyle = this.colors.secondary;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 2]);
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'left';
+
+        ctx.beginPath();
+        ctx.moveTo(x, padding.top);
+        ctx.lineTo(x, padding.top + chartHeight);
+        ctx.stroke();
+
+        ctx.fillText('Today', x + 3, padding.top + chartHeight - 6);
+        ctx.restore();
+    },
+
+    /**
+     * Draw a vertical marker with the new rate at each rate reset
+     */
+    drawRateResets(ctx, rateChanges, padding, xScale, chartHeight) {
+        if (!rateChanges || rateChanges.length === 0) return;
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.warning;
+        ctx.fillStyle = this.colors.warning;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([2, 4]);
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'left';
+
+        let lastLabelX = -Infinity;
+
+        rateChanges.forEach(change => {
+            const x = padding.left + (change.paymentNumber * xScale);
+
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, padding.top + chartHeight);
+            ctx.stroke();
+
+            // Skip labels that would overlap the previous one
+            if (x - lastLabelX >= 36) {
+                ctx.fillText(MortgageCalculator.formatPercent(change.rate, 2), x + 3, padding.top + 12);
+                lastLabelX = x;
+            }
+        });
+
+        ctx.restore();
+    },
+
+    /**
+     * Draw a vertical marker with the amount at each balloon payment
+     */
+    drawBalloons(ctx, balloons, padding, xScale, chartHeight) {
+        if (!balloons || balloons.length === 0) return;
+
+        ctx.save();
+        ctx.strokeStyle = this.colors.danger;
+        ctx.fillStyle = this.colors.danger;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'right';
+
+        balloons.forEach((balloon, i) => {
+            const x = padding.left + (balloon.paymentNumber * xScale);
+
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, padding.top + chartHeight);
+            ctx.stroke();
+
+            ctx.fillText(`Balloon ${this.formatCompactCurrency(balloon.amount)}`, x - 3, padding.top + 12 + i * 14);
+        });
+
+        ctx.restore();
+    },
+
     /**
      * Draw a line on the chart
      */
@@ -148,9 +278,9 @@ const ChartRenderer = {
     },
 
     /**
-     * Draw comparison bar chart
+     * Draw comparison bar chart. Pass presentValue to show interest in today's dollars.
      */
-    drawComparisonChart(canvasId, originalResult, acceleratedResult) {
+    drawComparisonChart(canvasId, originalResult, acceleratedResult, presentValue = null) {
         const setup = this.initCanvas(canvasId);
         if (!setup) return;
 
@@ -167,9 +297,9 @@ const ChartRenderer = {
         // Data for bars
         const data = [
             {
-                label: 'Total Interest',
-                original: originalResult.totalInterest,
-                accelerated: acceleratedResult.totalInterest
+                label: presentValue ? 'Total Interest (Today\'s $)' : 'Total Interest',
+                original: presentValue ? presentValue.original.realInterest : originalResult.totalInterest,
+                accelerated: presentValue ? presentValue.accelerated.realInterest : acceleratedResult.totalInterest
             },
             {
                 label: 'Total Payments',
@@ -179,7 +309,7 @@ const ChartRenderer = {
         ];
 
         // Draw interest comparison
-        const maxInterest = originalResult.totalInterest;
+        const maxInterest = data[0].original;
         const interestScale = (chartHeight - 30) / maxInterest;
 
         // Original interest bar
@@ -200,7 +330,7 @@ const ChartRenderer = {
         ctx.textAlign = 'center';
         ctx.fillText('Original', x1 + barWidth / 2, height - padding.bottom + 15);
         ctx.fillText('Accelerated', x2 + barWidth / 2, height - padding.bottom + 15);
-        ctx.fillText('Total Interest', (x1 + x2 + barWidth) / 2, height - padding.bottom + 35);
+        ctx.fillText(data[0].label, (x1 + x2 + barWidth) / 2, height - padding.bottom + 35);
 
         // Value labels on bars (position above bar if too short)
         ctx.font = 'bold 12px -apple-system, BlinkMacSystemFont, sans-serif';
@@ -344,6 +474,611 @@ const ChartRenderer = {
         });
     },
 
+    /**
+     * Draw cumulative refinance savings (keep cost minus refinance cost) over time
+     */
+    drawRefinanceChart(canvasId, analysis) {
+        const setup = this.initCanvas(canvasId);
+        if (!setup) return;
+
+        const { ctx, width, height } = setup;
+        this.clearCanvas(ctx, width, height);
+
+        const padding = { top: 30, right: 30, bottom: 50, left: 70 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const series = [analysis.base.timeline];
+        if (analysis.withExtra) {
+            series.push(analysis.withExtra.timeline);
+        }
+
+        const values = series.flat().map(point => point.savings);
+        const maxValue = Math.max(0, ...values);
+        const minValue = Math.min(0, ...values);
+        const range = (maxValue - minValue) || 1;
+        const maxMonths = Math.max(...series.map(timeline => timeline.length - 1)) || 1;
+
+        const xScale = chartWidth / maxMonths;
+        const toY = value => padding.top + (maxValue - value) / range * chartHeight;
+
+        // Grid and Y-axis labels
+        ctx.strokeStyle = this.colors.grayLight;
+        ctx.lineWidth = 1;
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+
+        const yGridLines = 5;
+        for (let i = 0; i <= yGridLines; i++) {
+            const value = maxValue - (i * range / yGridLines);
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'right';
+            ctx.fillText(this.formatCompactCurrency(value), padding.left - 10, y + 4);
+        }
+
+        // X-axis labels
+        const xLabels = 6;
+        for (let i = 0; i <= xLabels; i++) {
+            const x = padding.left + (i * chartWidth / xLabels);
+            const years = Math.round(i * maxMonths / xLabels / 12);
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'center';
+            ctx.fillText(`Year ${years}`, x, height - padding.bottom + 20);
+        }
+
+        // Break-even line (zero savings)
+        ctx.strokeStyle = this.colors.secondary;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, toY(0));
+        ctx.lineTo(width - padding.right, toY(0));
+        ctx.stroke();
+
+        const drawSeries = (timeline) => {
+            ctx.beginPath();
+            timeline.forEach((point, i) => {
+                const x = padding.left + point.month * xScale;
+                const y = toY(point.savings);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        };
+
+        if (analysis.withExtra) {
+            ctx.strokeStyle = this.colors.gray;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([5, 5]);
+            drawSeries(analysis.withExtra.timeline);
+        }
+
+        ctx.strokeStyle = this.colors.primary;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([]);
+        drawSeries(analysis.base.timeline);
+
+        // Break-even marker
+        if (analysis.base.breakEvenMonth) {
+            const x = padding.left + analysis.base.breakEvenMonth * xScale;
+            ctx.fillStyle = this.colors.primary;
+            ctx.beginPath();
+            ctx.arc(x, toY(0), 5, 0, 2 * Math.PI);
+            ctx.fill();
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'left';
+            ctx.fillText(`Break-even: month ${analysis.base.breakEvenMonth}`, x + 8, toY(0) - 8);
+        }
+
+        const legendItems = [{ color: this.colors.primary, label: 'Refinance', dashed: false }];
+        if (analysis.withExtra) {
+            legendItems.push({ color: this.colors.gray, label: 'With extra', dashed: true });
+        }
+        this.drawLegend(ctx, width, padding, legendItems);
+    },
+
+    /**
+     * Draw each offer's savings against the baseline offer over time, with the holding
+     * period marked. The baseline itself is the zero line.
+     */
+    drawPointsChart(canvasId, analysis) {
+        const setup = this.initCanvas(canvasId);
+        if (!setup || !analysis) return;
+
+        const { ctx, width, height } = setup;
+        this.clearCanvas(ctx, width, height);
+
+        const padding = { top: 30, right: 30, bottom: 50, left: 70 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const palette = [this.colors.primary, this.colors.secondary, this.colors.warning,
+            this.colors.danger, this.colors.primaryLight, this.colors.gray];
+        const offers = analysis.offers.filter(offer => !offer.isBaseline);
+
+        const values = offers.flatMap(offer => offer.timeline.map(point => point.savings));
+        const maxValue = Math.max(0, ...values);
+        const minValue = Math.min(0, ...values);
+        const range = (maxValue - minValue) || 1;
+        const maxMonths = analysis.months || 1;
+
+        const xScale = chartWidth / maxMonths;
+        const toY = value => padding.top + (maxValue - value) / range * chartHeight;
+
+        // Grid and Y-axis labels
+        ctx.strokeStyle = this.colors.grayLight;
+        ctx.lineWidth = 1;
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+
+        const yGridLines = 5;
+        for (let i = 0; i <= yGridLines; i++) {
+            const value = maxValue - (i * range / yGridLines);
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'right';
+            ctx.fillText(this.formatCompactCurrency(value), padding.left - 10, y + 4);
+        }
+
+        // X-axis labels
+        const xLabels = 6;
+        for (let i = 0; i <= xLabels; i++) {
+            const x = padding.left + (i * chartWidth / xLabels);
+            const years = Math.round(i * maxMonths / xLabels / 12);
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'center';
+            ctx.fillText(`Year ${years}`, x, height - padding.bottom + 20);
+        }
+
+        // Baseline (zero savings)
+        ctx.strokeStyle = this.colors.secondary;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, toY(0));
+        ctx.lineTo(width - padding.right, toY(0));
+        ctx.stroke();
+
+        // Holding period marker
+        const horizonX = padding.left + analysis.horizonMonths * xScale;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(horizonX, padding.top);
+        ctx.lineTo(horizonX, height - padding.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = this.colors.secondary;
+        ctx.textAlign = horizonX > width - padding.right - 80 ? 'right' : 'left';
+        ctx.fillText('Holding period', horizonX + (ctx.textAlign === 'right' ? -6 : 6), padding.top + 12);
+
+        offers.forEach((offer, i) => {
+            ctx.strokeStyle = palette[i % palette.length];
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            offer.timeline.forEach((point, j) => {
+                const x = padding.left + point.month * xScale;
+                const y = toY(point.savings);
+                if (j === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        });
+
+        this.drawLegend(ctx, width, padding, offers.map((offer, i) => ({
+            color: palette[i % palette.length],
+            label: offer.label,
+            dashed: false
+        })));
+    },
+
+    /**
+     * Draw net worth (investments minus mortgage balance) for the invest and prepay paths,
+     * with a dot wherever the lead changes hands
+     */
+    drawInvestmentChart(canvasId, analysis) {
+        const setup = this.initCanvas(canvasId);
+        if (!setup || !analysis) return;
+
+        const { ctx, width, height } = setup;
+        this.clearCanvas(ctx, width, height);
+
+        const padding = { top: 30, right: 30, bottom: 50, left: 70 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const timeline = analysis.timeline;
+        const values = timeline.flatMap(point => [point.invest, point.prepay]);
+        const maxValue = Math.max(0, ...values);
+        const minValue = Math.min(0, ...values);
+        const range = (maxValue - minValue) || 1;
+        const maxMonths = (timeline.length - 1) || 1;
+
+        const xScale = chartWidth / maxMonths;
+        const toY = value => padding.top + (maxValue - value) / range * chartHeight;
+
+        // Grid and Y-axis labels
+        ctx.strokeStyle = this.colors.grayLight;
+        ctx.lineWidth = 1;
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+
+        const yGridLines = 5;
+        for (let i = 0; i <= yGridLines; i++) {
+            const value = maxValue - (i * range / yGridLines);
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'right';
+            ctx.fillText(this.formatCompactCurrency(value), padding.left - 10, y + 4);
+        }
+
+        // X-axis labels
+        const xLabels = 6;
+        for (let i = 0; i <= xLabels; i++) {
+            const x = padding.left + (i * chartWidth / xLabels);
+            const years = Math.round(i * maxMonths / xLabels / 12);
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'center';
+            ctx.fillText(`Year ${years}`, x, height - padding.bottom + 20);
+        }
+
+        // Zero net worth line
+        ctx.strokeStyle = this.colors.secondary;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, toY(0));
+        ctx.lineTo(width - padding.right, toY(0));
+        ctx.stroke();
+
+        const drawSeries = (key) => {
+            ctx.beginPath();
+            this.sampleData(timeline, 120).forEach((point, i) => {
+                const x = padding.left + point.month * xScale;
+                const y = toY(point[key]);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        };
+
+        ctx.strokeStyle = this.colors.gray;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 5]);
+        drawSeries('invest');
+
+        ctx.strokeStyle = this.colors.primary;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([]);
+        drawSeries('prepay');
+
+        // Crossover markers
+        ctx.fillStyle = this.colors.primary;
+        analysis.crossovers.forEach(crossover => {
+            const point = timeline[crossover.month];
+            ctx.beginPath();
+            ctx.arc(padding.left + crossover.month * xScale, toY(point.prepay), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        this.drawLegend(ctx, width, padding, [
+            { color: this.colors.primary, label: 'Prepay', dashed: false },
+            { color: this.colors.gray, label: 'Invest', dashed: true }
+        ]);
+    },
+
+    /**
+     * Draw the simulated balance as a fan chart: the P10-P90 band shaded, the median as a line,
+     * and the single fixed-rate projection dashed for comparison
+     */
+    drawSimulationChart(canvasId, simulation, projectionSchedule = []) {
+        const setup = this.initCanvas(canvasId);
+        if (!setup || !simulation) return;
+
+        const { ctx, width, height } = setup;
+        this.clearCanvas(ctx, width, height);
+
+        const padding = { top: 30, right: 30, bottom: 50, left: 70 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const bands = simulation.balanceBands;
+        const monthIndex = (date) => {
+            const [year, month] = date.split('-').map(Number);
+            return year * 12 + month;
+        };
+        const firstMonth = monthIndex(bands[0].date);
+
+        // The projection's balance at the end of each month, on the same month axis
+        const projection = new Map();
+        projectionSchedule.forEach(row => {
+            projection.set(monthIndex(row.date) - firstMonth, row.balance);
+        });
+        const projectionPoints = [...projection.entries()].map(([month, balance]) => ({ month, balance }));
+
+        const maxBalance = Math.max(...bands.map(band => band.p90), ...projectionPoints.map(point => point.balance)) || 1;
+        const maxMonths = Math.max(bands.length - 1, ...projectionPoints.map(point => point.month)) || 1;
+
+        const xScale = chartWidth / maxMonths;
+        const toY = value => padding.top + chartHeight - (value / maxBalance) * chartHeight;
+
+        // Grid and Y-axis labels
+        ctx.strokeStyle = this.colors.grayLight;
+        ctx.lineWidth = 1;
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+
+        const yGridLines = 5;
+        for (let i = 0; i <= yGridLines; i++) {
+            const value = maxBalance - (i * maxBalance / yGridLines);
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'right';
+            ctx.fillText(this.formatCompactCurrency(value), padding.left - 10, y + 4);
+        }
+
+        // X-axis labels
+        const xLabels = 6;
+        for (let i = 0; i <= xLabels; i++) {
+            const x = padding.left + (i * chartWidth / xLabels);
+            const years = Math.round(i * maxMonths / xLabels / 12);
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'center';
+            ctx.fillText(`Year ${years}`, x, height - padding.bottom + 20);
+        }
+
+        // P10-P90 band: along the top edge and back along the bottom
+        const sampled = this.sampleData(bands, 120);
+        ctx.fillStyle = 'rgba(249, 115, 22, 0.2)';
+        ctx.beginPath();
+        sampled.forEach((band, i) => {
+            const x = padding.left + band.month * xScale;
+            if (i === 0) {
+                ctx.moveTo(x, toY(band.p90));
+            } else {
+                ctx.lineTo(x, toY(band.p90));
+            }
+        });
+        [...sampled].reverse().forEach(band => {
+            ctx.lineTo(padding.left + band.month * xScale, toY(band.p10));
+        });
+        ctx.closePath();
+        ctx.fill();
+
+        const drawSeries = (points, key) => {
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                const x = padding.left + point.month * xScale;
+                const y = toY(point[key]);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        };
+
+        ctx.strokeStyle = this.colors.gray;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([5, 5]);
+        drawSeries(this.sampleData(projectionPoints, 120), 'balance');
+
+        ctx.strokeStyle = this.colors.primary;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([]);
+        drawSeries(sampled, 'p50');
+
+        this.drawLegend(ctx, width, padding, [
+            { color: this.colors.primary, label: 'Median', dashed: false },
+            { color: this.colors.primaryLight, label: 'P10-P90', dashed: false },
+            { color: this.colors.gray, label: 'Today\'s rate', dashed: true }
+        ]);
+    },
+
+    /**
+     * Draw the sensitivity grid as a heatmap: one row per rate or term, one column per extra
+     * payment, shaded from gray (least saved) to orange (most). Cells not worked out yet stay blank.
+     * Returns the layout for getHeatmapCell.
+     */
+    drawSensitivityHeatmap(canvasId, grid, metric, highlight = null) {
+        const setup = this.initCanvas(canvasId);
+        if (!setup || !grid) return null;
+
+        const { ctx, width, height } = setup;
+        this.clearCanvas(ctx, width, height);
+
+        const padding = { top: 30, right: 20, bottom: 50, left: 70 };
+        const cellWidth = (width - padding.left - padding.right) / grid.columns.length;
+        const cellHeight = (height - padding.top - padding.bottom) / grid.rows.length;
+        const layout = { padding, cellWidth, cellHeight, rows: grid.rows.length, columns: grid.columns.length };
+
+        const values = grid.cells.flat().filter(Boolean).map(cell => cell[metric]);
+        const min = values.length ? Math.min(...values) : 0;
+        const range = (values.length ? Math.max(...values) : 0) - min || 1;
+        const from = [100, 116, 139];
+        const to = [249, 115, 22];
+        const format = metric === 'monthsSaved' ? value => `${value}` : value => this.formatCompactCurrency(value);
+
+        ctx.font = '10px -apple-system, BlinkMacSystemFont, sans-serif';
+        ctx.textAlign = 'center';
+
+        grid.cells.forEach((row, rowIndex) => {
+            row.forEach((cell, columnIndex) => {
+                if (!cell) return;
+
+                const share = (cell[metric] - min) / range;
+                const color = from.map((channel, i) => Math.round(channel + (to[i] - channel) * share));
+                const x = padding.left + columnIndex * cellWidth;
+                const y = padding.top + rowIndex * cellHeight;
+
+                ctx.fillStyle = `rgb(${color.join(', ')})`;
+                ctx.fillRect(x, y, cellWidth - 1, cellHeight - 1);
+
+                // Values inside the cells when there is room for them
+                if (cellWidth >= 40 && cellHeight >= 16) {
+                    ctx.fillStyle = this.colors.white;
+                    ctx.fillText(format(cell[metric]), x + cellWidth / 2, y + cellHeight / 2 + 3);
+                }
+            });
+        });
+
+        if (highlight) {
+            ctx.strokeStyle = this.colors.white;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(
+                padding.left + highlight.column * cellWidth,
+                padding.top + highlight.row * cellHeight,
+                cellWidth - 1,
+                cellHeight - 1
+            );
+        }
+
+        // Axis labels, thinned out so they don't overlap
+        ctx.fillStyle = this.colors.secondary;
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+
+        const columnStep = Math.ceil(50 / cellWidth);
+        grid.columns.forEach((amount, columnIndex) => {
+            if (columnIndex % columnStep !== 0) return;
+            ctx.textAlign = 'center';
+            ctx.fillText(this.formatCompactCurrency(amount), padding.left + (columnIndex + 0.5) * cellWidth, height - padding.bottom + 18);
+        });
+        ctx.fillText('Extra payment per month', padding.left + (width - padding.left - padding.right) / 2, height - padding.bottom + 38);
+
+        const rowStep = Math.ceil(16 / cellHeight);
+        grid.rows.forEach((value, rowIndex) => {
+            if (rowIndex % rowStep !== 0) return;
+            ctx.textAlign = 'right';
+            ctx.fillText(grid.rowAxis === 'term' ? `${value} yr` : MortgageCalculator.formatPercent(value),
+                padding.left - 10, padding.top + (rowIndex + 0.5) * cellHeight + 4);
+        });
+
+        return layout;
+    },
+
+    /**
+     * The heatmap cell under a point on the canvas (in CSS pixels), or null
+     */
+    getHeatmapCell(layout, x, y) {
+        if (!layout) return null;
+
+        const column = Math.floor((x - layout.padding.left) / layout.cellWidth);
+        const row = Math.floor((y - layout.padding.top) / layout.cellHeight);
+        if (column < 0 || row < 0 || column >= layout.columns || row >= layout.rows) return null;
+
+        return { row, column };
+    },
+
+    /**
+     * Draw one lane per debt in payoff order: a gray bar to its minimum-payment payoff, the plan's
+     * bar to its new payoff, and a darker stretch while the extra budget is focused on it
+     */
+    drawDebtTimelineChart(canvasId, analysis) {
+        const setup = this.initCanvas(canvasId);
+        if (!setup || !analysis) return;
+
+        const { ctx, width, height } = setup;
+        this.clearCanvas(ctx, width, height);
+
+        const padding = { top: 30, right: 30, bottom: 50, left: 110 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+
+        const monthIndex = (dateStr) => DebtPlanner.getMonthIndex(dateStr);
+        const startMonth = monthIndex(analysis.options.startDate);
+        const maxMonths = (monthIndex(analysis.minimumDebtFreeDate) - startMonth + 1) || 1;
+        const xScale = chartWidth / maxMonths;
+        const toX = (dateStr, endOfMonth = 0) => padding.left + (monthIndex(dateStr) - startMonth + endOfMonth) * xScale;
+
+        const laneHeight = chartHeight / analysis.order.length;
+        const barHeight = Math.min(18, laneHeight * 0.5);
+
+        ctx.font = '11px -apple-system, BlinkMacSystemFont, sans-serif';
+
+        // X-axis labels
+        const xLabels = 6;
+        for (let i = 0; i <= xLabels; i++) {
+            const x = padding.left + (i * chartWidth / xLabels);
+            const years = Math.round(i * maxMonths / xLabels / 12);
+
+            ctx.strokeStyle = this.colors.grayLight;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, height - padding.bottom);
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'center';
+            ctx.fillText(`Year ${years}`, x, height - padding.bottom + 20);
+        }
+
+        analysis.order.forEach((debt, i) => {
+            const y = padding.top + i * laneHeight + (laneHeight - barHeight) / 2;
+
+            ctx.fillStyle = this.colors.grayLight;
+            ctx.fillRect(padding.left, y, toX(debt.minimum.payoffDate, 1) - padding.left, barHeight);
+
+            ctx.fillStyle = this.colors.primaryLight;
+            ctx.fillRect(padding.left, y, toX(debt.plan.payoffDate, 1) - padding.left, barHeight);
+
+            if (debt.focusDate) {
+                ctx.fillStyle = this.colors.primary;
+                ctx.fillRect(toX(debt.focusDate), y, toX(debt.plan.payoffDate, 1) - toX(debt.focusDate), barHeight);
+            }
+
+            ctx.fillStyle = this.colors.secondary;
+            ctx.textAlign = 'right';
+            ctx.fillText(`${debt.rank}. ${debt.name}`, padding.left - 10, y + barHeight / 2 + 4);
+        });
+
+        // Debt-free marker
+        const debtFreeX = toX(analysis.debtFreeDate, 1);
+        ctx.strokeStyle = this.colors.secondary;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(debtFreeX, padding.top);
+        ctx.lineTo(debtFreeX, height - padding.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.drawLegend(ctx, width, padding, [
+            { color: this.colors.primary, label: 'Focus', dashed: false },
+            { color: this.colors.primaryLight, label: 'Plan', dashed: false },
+            { color: this.colors.gray, label: 'Minimums', dashed: false }
+        ]);
+    },
+
     /**
      * Draw a pie slice
      */
@@ -396,25 +1131,29 @@ const ChartRenderer = {
             sampled.push(schedule[i]);
         }
 
-        // Always include the last point
-        if (sampled[sampled.length - 1] !== schedule[schedule.length - 1]) {
-            sampled.push(schedule[schedule.length - 1]);
+        // Always include the last point, and the one before a balloon so the payoff drops straight down
+        const lastRow = schedule[schedule.length - 1];
+        if (lastRow.balloon && sampled[sampled.length - 1] !== schedule[schedule.length - 2]) {
+            sampled.push(schedule[schedule.length - 2]);
+        }
+        if (sampled[sampled.length - 1] !== lastRow) {
+            sampled.push(lastRow);
         }
 
         return sampled;
     },
 
     /**
-     * Format currency in compact form (e.g., $150K)
+     * Format currency in compact form in the calculator's locale and currency (e.g., $150K, 1,2 Mio. €)
      */
     formatCompactCurrency(value) {
-        if (value >= 1000000) {
-            return '$' + (value / 1000000).toFixed(1) + 'M';
-        }
-        if (value >= 1000) {
-            return '$' + (value / 1000).toFixed(0) + 'K';
-        }
-        return '$' + Math.round(value);
+        const { locale, currency } = MortgageCalculator.format;
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency,
+            notation: 'compact',
+            maximumFractionDigits: Math.abs(value) >= 1000000 ? 1 : 0
+        }).format(value);
     },
 
     /**
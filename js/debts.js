@@ -0,0 +1,287 @@
+/**
+ * Multi-Debt Payoff Planner
+ * Pays down several loans with a shared extra budget, rolling each paid-off loan's payment into the next
+ */
+
+const DebtPlanner = {
+    DEBT_TYPES: {
+        mortgage: 'Mortgage',
+        heloc: 'HELOC',
+        auto: 'Auto Loan',
+        student: 'Student Loan',
+        card: 'Credit Card',
+        personal: 'Personal Loan',
+        other: 'Other'
+    },
+
+    STRATEGIES: {
+        avalanche: 'Avalanche (highest rate first)',
+        snowball: 'Snowball (smallest balance first)',
+        custom: 'Custom order'
+    },
+
+    /**
+     * Plan the payoff of several debts, each amortized by MortgageCalculator.
+     * debts: [{ name, type, balance, rate, payment, priority }], or { name, type, loanData, priority }
+     *        for a loan with full terms (the mortgage from Loan Details)
+     * options: { strategy, extraBudget, startDate }
+     * The extra budget goes to one debt at a time in payoff order. Once a debt is paid off, its
+     * payment joins the budget from the following month, whether it was the focus or ran out on its own.
+     */
+    analyze(debts, options) {
+        const loans = debts.map(debt => {
+            const loanData = this.getLoanData(debt, options.startDate);
+            const minimum = MortgageCalculator.generateOriginalSchedule(loanData);
+            return { debt, loanData, minimum, plan: minimum, focusDate: null };
+        });
+
+        const order = this.getPayoffOrder(loans, options.strategy);
+        const startMonth = this.getMonthIndex(options.startDate);
+
+        // Until a debt's turn comes it runs on its minimum schedule, so later debts see its natural payoff
+        const payoffMonths = loans.map(loan => this.getMonthIndex(loan.minimum.payoffDate));
+        let focusStart = startMonth;
+
+        order.forEach(index => {
+            const loan = loans[index];
+            const extraPayments = this.getRolloverPayments(loans, payoffMonths, index, focusStart, options.extraBudget);
+
+            if (focusStart <= payoffMonths[index]) {
+                loan.focusDate = this.formatMonth(focusStart);
+            }
+            if (extraPayments.length > 0) {
+                loan.plan = MortgageCalculator.generateAcceleratedSchedule(loan.loanData, { paymentFrequency: 'monthly', extraPayments });
+            }
+
+            payoffMonths[index] = this.getMonthIndex(loan.plan.payoffDate);
+            focusStart = Math.max(focusStart, payoffMonths[index] + 1);
+        });
+
+        const results = loans.map((loan, index) => ({
+            name: loan.debt.name,
+            type: loan.debt.type,
+            rank: order.indexOf(index) + 1,
+            balance: loan.minimum.startingBalance,
+            rate: loan.minimum.schedule[0]?.rate ?? loan.loanData.annualRate,
+            payment: this.getRegularPayment(loan.minimum),
+            focusDate: loan.focusDate,
+            minimum: loan.minimum,
+            plan: loan.plan,
+            interestSaved: loan.minimum.totalInterest - loan.plan.totalInterest
+        }));
+
+        const latest = (dates) => dates.reduce((last, date) => (date > last ? date : last));
+        const debtFreeDate = latest(results.map(result => result.plan.payoffDate));
+        const minimumDebtFreeDate = latest(results.map(result => result.minimum.payoffDate));
+        const totalInterest = results.reduce((total, result) => total + result.plan.totalInterest, 0);
+        const minimumInterest = results.reduce((total, result) => total + result.minimum.totalInterest, 0);
+
+        return {
+            options,
+            debts: results,
+            order: order.map(index => results[index]),
+            debtFreeDate,
+            minimumDebtFreeDate,
+            monthsSaved: this.getMonthIndex(minimumDebtFreeDate) - this.getMonthIndex(debtFreeDate),
+            totalInterest,
+            minimumInterest,
+            interestSaved: minimumInterest - totalInterest,
+            monthlyOutlay: results.reduce((total, result) => total + result.payment, 0) + options.extraBudget,
+            schedule: this.getMergedSchedule(results)
+        };
+    },
+
+    /**
+     * Loan terms for a debt, starting from the plan's first payment. Entered debts pick up from
+     * their balance and payment; a full loan that started earlier picks up after the payments made so far.
+     * Only principal and interest are planned, so escrow and tax settings are dropped.
+     */
+    getLoanData(debt, startDate) {
+        if (debt.loanData) {
+            const loanData = { ...debt.loanData, escrow: null, tax: null };
+            if (!loanData.existing && loanData.startDate < startDate) {
+                const start = MortgageCalculator.parseDate(loanData.startDate);
+                const paymentsMade = MortgageCalculator.getLoanMonth(start, MortgageCalculator.parseDate(startDate)) - 1;
+                loanData.existing = { source: 'history', paymentsMade };
+            }
+            return loanData;
+        }
+
+        const termMonths = MortgageCalculator.calculateRemainingMonths(debt.balance, debt.rate / 100 / 12, debt.payment);
+
+        return {
+            principal: debt.balance,
+            annualRate: debt.rate,
+            termMonths,
+            termYears: termMonths / 12,
+            startDate,
+            existing: {
+                source: 'statement',
+                balance: debt.balance,
+                nextPaymentDate: startDate,
+                currentPayment: debt.payment
+            }
+        };
+    },
+
+    /**
+     * Indexes of the loans in the order the extra budget targets them.
+     * Avalanche takes the highest rate first and snowball the smallest balance; ties keep the listed order.
+     */
+    getPayoffOrder(loans, strategy) {
+        const rate = (loan) => loan.minimum.schedule[0]?.rate ?? loan.loanData.annualRate;
+        const balance = (loan) => loan.minimum.startingBalance;
+
+        const compare = {
+            avalanche: (a, b) => rate(b) - rate(a) || balance(a) - balance(b),
+            snowball: (a, b) => balance(a) - balance(b) || rate(b) - rate(a),
+            custom: (a, b) => (a.debt.priority || 0) - (b.debt.priority || 0)
+        }[strategy] || (() => 0);
+
+        return loans.map((loan, index) => index)
+            .sort((a, b) => compare(loans[a], loans[b]) || a - b);
+    },
+
+    /**
+     * Monthly extra payment rules for the focus loan: the budget plus the payment of every other
+     * loan paid off by then, stepping up the month after each one ends
+     */
+    getRolloverPayments(loans, payoffMonths, index, focusStart, extraBudget) {
+        const steps = payoffMonths
+            .filter((month, other) => other !== index && month + 1 > focusStart)
+            .map(month => month + 1);
+        const boundaries = [...new Set([focusStart, ...steps])].sort((a, b) => a - b);
+
+        return boundaries.map((start, i) => {
+            const freedPayments = loans.reduce((total, loan, other) =>
+                other !== index && payoffMonths[other] < start ? total + this.getRegularPayment(loan.plan) : total, 0);
+            const end = boundaries[i + 1];
+
+            return {
+                amount: extraBudget + freedPayments,
+                frequency: 'monthly',
+                startDate: this.formatMonth(start),
+                endDate: end ? this.formatMonth(end - 1) : '',
+                growthRate: 0
+            };
+        }).filter(rule => rule.amount > 0);
+    },
+
+    /**
+     * The scheduled payment a loan frees up once it's paid off (its last full payment)
+     */
+    getRegularPayment(result) {
+        const { schedule } = result;
+        const row = schedule[Math.max(0, schedule.length - 2)];
+        return row ? row.payment : result.monthlyPayment;
+    },
+
+    /**
+     * Every debt's payments in date order, with the combined balance left at the end of each month
+     */
+    getMergedSchedule(results) {
+        const balances = results.map(result => result.balance);
+        const byDate = new Map();
+
+        results.forEach((result, index) => {
+            result.plan.schedule.forEach(row => {
+                if (!byDate.has(row.date)) byDate.set(row.date, []);
+                byDate.get(row.date).push({ index, row });
+            });
+        });
+
+        const merged = [];
+        [...byDate.keys()].sort().forEach(date => {
+            const entries = byDate.get(date).sort((a, b) => results[a.index].rank - results[b.index].rank);
+            entries.forEach(({ index, row }) => {
+                balances[index] = row.balance;
+            });
+            const totalBalance = balances.reduce((total, balance) => total + balance, 0);
+
+            entries.forEach(({ index, row }) => {
+                merged.push({
+                    date,
+                    debt: results[index].name,
+                    payment: row.payment,
+                    extraPayment: row.extraPayment,
+                    principal: row.principal,
+                    interest: row.interest,
+                    balance: row.balance,
+                    totalBalance
+                });
+            });
+        });
+
+        return merged;
+    },
+
+    /**
+     * Months since year 0 for a YYYY-MM date
+     */
+    getMonthIndex(dateStr) {
+        return MortgageCalculator.getMonthIndex(MortgageCalculator.parseDate(dateStr));
+    },
+
+    /**
+     * YYYY-MM date for a month index
+     */
+    formatMonth(monthIndex) {
+        return MortgageCalculator.formatDate(new Date(Math.floor(monthIndex / 12), monthIndex % 12, 1));
+    },
+
+    /**
+     * Validate each entered debt, returning errors by position like the extra payment rules
+     */
+    validateDebts(debts) {
+        const errors = {};
+
+        debts.forEach((debt, index) => {
+            if (!debt.name) {
+                errors[index] = 'Please name this debt';
+            } else if (!debt.balance || debt.balance <= 0) {
+                errors[index] = 'Please enter the balance';
+            } else if (isNaN(debt.rate) || debt.rate < 0 || debt.rate > 40) {
+                errors[index] = 'Rate must be between 0% and 40%';
+            } else if (!debt.payment || debt.payment <= debt.balance * debt.rate / 100 / 12) {
+                errors[index] = `Payment must be more than the monthly interest ` +
+                    `(${MortgageCalculator.formatCurrency(debt.balance * debt.rate / 100 / 12)})`;
+            } else if (MortgageCalculator.calculateRemainingMonths(debt.balance, debt.rate / 100 / 12, debt.payment) > 600) {
+                errors[index] = 'At this payment the debt would take over 50 years to repay';
+            }
+        });
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    },
+
+    /**
+     * Validate the plan settings
+     */
+    validateOptions(options, debtCount) {
+        const errors = {};
+
+        if (debtCount === 0) {
+            errors.debtList = 'Add at least one debt or include your mortgage';
+        }
+
+        if (isNaN(options.extraBudget) || options.extraBudget < 0) {
+            errors.debtBudget = 'Extra budget cannot be negative';
+        }
+
+        if (!(options.strategy in this.STRATEGIES)) {
+            errors.debtStrategy = 'Please choose a payoff strategy';
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DebtPlanner;
+}
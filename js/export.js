@@ -4,9 +4,12 @@
 
 const ExportManager = {
     /**
-     * Export amortization schedule to CSV
+     * Export amortization schedule to CSV; paymentMethod is the schedule's biweeklyMethod (null for
+     * monthly payments)
      */
-    exportToCSV(schedule, filename = 'amortization-schedule.csv') {
+    exportToCSV(schedule, filename = 'amortization-schedule.csv', dayCount = '30/360', insuranceLabel = 'PMI', paymentMethod = null) {
+        const dayCountLabel = MortgageCalculator.DAY_COUNT_CONVENTIONS[dayCount] || dayCount;
+        const paymentMethodLabel = paymentMethod ? `"${MortgageCalculator.PAYMENT_METHODS[paymentMethod]}"` : '';
         const headers = [
             'Payment #',
             'Date',
@@ -14,19 +17,83 @@ const ExportManager = {
             'Principal',
             'Interest',
             'Extra Payment',
+            'Prepayment Penalty',
+            'Draw',
+            'Payment Relief',
+            'Capitalized Interest',
+            'Deferred Interest',
+            'Property Tax',
+            'Insurance',
+            'HOA',
+            insuranceLabel,
+            'Total Payment',
             'Balance',
-            'Cumulative Interest'
+            'Cumulative Interest',
+            'Interest Rate',
+            'Interest Days',
+            'Day Count',
+            'Payment Method',
+            'Tax Benefit'
         ];
 
         const rows = schedule.map(row => [
             row.paymentNumber,
-            row.date,
+            row.paymentDate || row.date,
             row.payment.toFixed(2),
             row.principal.toFixed(2),
             row.interest.toFixed(2),
             row.extraPayment.toFixed(2),
+            (row.prepaymentPenalty || 0).toFixed(2),
+            (row.draw || 0).toFixed(2),
+            row.relief ? MortgageCalculator.PAYMENT_RELIEF_TYPES[row.relief] : (row.deferredPayoff ? 'Deferred interest due' : ''),
+            (row.capitalizedInterest || 0).toFixed(2),
+            (row.deferredPayoff || row.deferredInterest || 0).toFixed(2),
+            row.propertyTax.toFixed(2),
+            row.insurance.toFixed(2),
+            row.hoa.toFixed(2),
+            row.pmi.toFixed(2),
+            row.totalPayment.toFixed(2),
+            row.balance.toFixed(2),
+            row.cumulativeInterest.toFixed(2),
+            row.rate.toFixed(3),
+            row.days,
+            dayCountLabel,
+            paymentMethodLabel,
+            row.taxBenefit != null ? row.taxBenefit.toFixed(2) : ''
+        ]);
+
+        const csvContent = [
+            headers.join(','),
+            ...rows.map(row => row.join(','))
+        ].join('\n');
+
+        this.downloadFile(csvContent, filename, 'text/csv');
+    },
+
+    /**
+     * Export the multi-debt plan's merged schedule to CSV, one row per debt per month
+     */
+    exportDebtPlanToCSV(analysis, filename = 'debt-payoff-plan.csv') {
+        const headers = [
+            'Date',
+            'Debt',
+            'Payment',
+            'Extra Payment',
+            'Principal',
+            'Interest',
+            'Balance',
+            'Total Balance'
+        ];
+
+        const rows = analysis.schedule.map(row => [
+            row.date,
+            `"${row.debt.replace(/"/g, '""')}"`,
+            row.payment.toFixed(2),
+            row.extraPayment.toFixed(2),
+            row.principal.toFixed(2),
+            row.interest.toFixed(2),
             row.balance.toFixed(2),
-            row.cumulativeInterest.toFixed(2)
+            row.totalBalance.toFixed(2)
         ]);
 
         const csvContent = [
@@ -59,26 +126,27 @@ const ExportManager = {
      * Generate printable HTML for PDF export
      */
     generatePrintableHTML(summaryData, loanData, accelerationOptions) {
-        const formatCurrency = (val) => {
-            return new Intl.NumberFormat('en-US', {
-                style: 'currency',
-                currency: 'USD',
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-            }).format(val);
-        };
+        // Amounts and dates follow the calculator's locale and currency
+        const { locale } = MortgageCalculator.format;
+        const formatCurrency = (val) => MortgageCalculator.formatCurrency(val);
+        const formatPercent = (val, fractionDigits) => MortgageCalculator.formatPercent(val, fractionDigits);
 
         const formatDate = (dateStr) => {
             if (!dateStr) return 'N/A';
-            const [year, month] = dateStr.split('-');
-            const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
-                              'July', 'August', 'September', 'October', 'November', 'December'];
-            return `${monthNames[parseInt(month) - 1]} ${year}`;
+            return MortgageCalculator.formatDateDisplay(dateStr, 'long');
         };
 
+        // Summary interest figures follow the nominal / today's dollars toggle
+        const presentValue = summaryData.presentValue;
+        const real = summaryData.valueMode === 'real' && presentValue;
+        const originalInterest = real ? presentValue.original.realInterest : summaryData.originalInterest;
+        const interestSaved = real ? presentValue.realInterestSaved : summaryData.interestSaved;
+        const valueNote = real ? ` (Today's ${MortgageCalculator.getCurrencySymbol().symbol})` : '';
+        const paymentFrequency = MortgageCalculator.getPaymentFrequency(accelerationOptions);
+
         return `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${locale}">
 <head>
     <meta charset="UTF-8">
     <title>Mortgage Payoff Report</title>
@@ -149,6 +217,25 @@ const ExportManager = {
         }
         .detail-label { color: #64748b; }
         .detail-value { font-weight: 600; }
+        .report-table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.875rem;
+        }
+        .report-table th,
+        .report-table td {
+            padding: 8px 10px;
+            text-align: right;
+            border-bottom: 1px solid #e2e8f0;
+        }
+        .report-table th {
+            color: #64748b;
+            font-size: 0.75rem;
+            text-transform: uppercase;
+            letter-spacing: 0.05em;
+        }
+        .report-table th:first-child,
+        .report-table td:first-child { text-align: left; }
         .disclaimer {
             margin-top: 40px;
             padding: 15px;
@@ -166,7 +253,7 @@ const ExportManager = {
 </head>
 <body>
     <h1>Mortgage Payoff Report</h1>
-    <p class="date">Generated on ${new Date().toLocaleDateString('en-US', {
+    <p class="date">Generated on ${new Date().toLocaleDateString(locale, {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
@@ -192,23 +279,23 @@ const ExportManager = {
             <div class="summary-value">${formatCurrency(summaryData.monthlyPayment)}</div>
         </div>
         <div class="summary-card">
-            <div class="summary-label">Original Interest</div>
-            <div class="summary-value">${formatCurrency(summaryData.originalInterest)}</div>
+            <div class="summary-label">${summaryData.existing ? 'Remaining Interest' : 'Original Interest'}${valueNote}</div>
+            <div class="summary-value">${formatCurrency(originalInterest)}</div>
         </div>
         <div class="summary-card success">
-            <div class="summary-label">Interest Saved</div>
-            <div class="summary-value">${formatCurrency(summaryData.interestSaved)}</div>
+            <div class="summary-label">Interest Saved${valueNote}</div>
+            <div class="summary-value">${formatCurrency(interestSaved)}</div>
         </div>
     </div>
 
     <h2>Loan Details</h2>
     <div class="detail-row">
-        <span class="detail-label">Loan Amount</span>
+        <span class="detail-label">${loanData.loanType === 'heloc' ? 'Opening Balance' : 'Loan Amount'}</span>
         <span class="detail-value">${formatCurrency(loanData.principal)}</span>
     </div>
     <div class="detail-row">
         <span class="detail-label">Interest Rate</span>
-        <span class="detail-value">${loanData.annualRate}%</span>
+        <span class="detail-value">${formatPercent(loanData.annualRate)}</span>
     </div>
     <div class="detail-row">
         <span class="detail-label">Loan Term</span>
@@ -218,40 +305,245 @@ const ExportManager = {
         <span class="detail-label">Start Date</span>
         <span class="detail-value">${formatDate(loanData.startDate)}</span>
     </div>
+    ${summaryData.program ? `
+    <div class="detail-row">
+        <span class="detail-label">Loan Program</span>
+        <span class="detail-value">${summaryData.program.label}${summaryData.program.upfrontFee > 0 ?
+            `, ${summaryData.program.upfrontLabel} of ${formatCurrency(summaryData.program.upfrontFee)} ${summaryData.program.financed ? 'financed into the loan' : 'paid at closing'}` : ''}</span>
+    </div>
+    ` : ''}
+    ${summaryData.existing ? `
+    <div class="detail-row">
+        <span class="detail-label">Loan Status</span>
+        <span class="detail-value">Existing loan, ${summaryData.existing.paymentsMade} payments made; projected from ${formatDate(summaryData.existing.projectionStart)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Current Balance</span>
+        <span class="detail-value">${formatCurrency(summaryData.existing.startingBalance)}</span>
+    </div>
+    ` : ''}
+    ${loanData.structure === 'interest-only' ? `
+    <div class="detail-row">
+        <span class="detail-label">Payment Structure</span>
+        <span class="detail-value">${loanData.interestOnlyYears}-year interest-only, then amortizing over ${loanData.termYears - loanData.interestOnlyYears} years</span>
+    </div>
+    ${summaryData.amortizationStart ? `
+    <div class="detail-row">
+        <span class="detail-label">Payment After Interest-Only</span>
+        <span class="detail-value">${formatCurrency(summaryData.amortizationStart.payment)} from ${formatDate(summaryData.amortizationStart.date)}</span>
+    </div>
+    ` : ''}
+    ` : ''}
+    ${loanData.structure === 'balloon' ? `
+    <div class="detail-row">
+        <span class="detail-label">Payment Structure</span>
+        <span class="detail-value">Balloon due after ${loanData.balloonYears} years, ${loanData.termYears}-year amortization</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Balloon Payment</span>
+        <span class="detail-value">${summaryData.originalBalloon ? formatCurrency(summaryData.originalBalloon.amount) : 'N/A'}
+            (accelerated: ${summaryData.acceleratedBalloon ? formatCurrency(summaryData.acceleratedBalloon.amount) : 'paid off first'})</span>
+    </div>
+    ` : ''}
+    <div class="detail-row">
+        <span class="detail-label">Interest Calculation</span>
+        <span class="detail-value">${MortgageCalculator.DAY_COUNT_CONVENTIONS[summaryData.dayCount || '30/360']}</span>
+    </div>
+    ${summaryData.compounding && summaryData.compounding !== 'monthly' ? `
+    <div class="detail-row">
+        <span class="detail-label">Compounding</span>
+        <span class="detail-value">${MortgageCalculator.COMPOUNDING_CONVENTIONS[summaryData.compounding].label}</span>
+    </div>
+    ` : ''}
+    ${loanData.prepaymentLimit > 0 || loanData.prepaymentPenalty ? `
+    <div class="detail-row">
+        <span class="detail-label">Prepayment Privilege</span>
+        <span class="detail-value">${loanData.prepaymentLimit > 0 ? `${formatPercent(loanData.prepaymentLimit)} of the loan amount a year` : 'None'}${
+            loanData.prepaymentYears > 0 ? `, for the first ${loanData.prepaymentYears} years` : ''}</span>
+    </div>
+    ` : ''}
+    ${loanData.prepaymentPenalty ? `
+    <div class="detail-row">
+        <span class="detail-label">Prepayment Penalty</span>
+        <span class="detail-value">${MortgageCalculator.describePrepaymentPenalty(loanData.prepaymentPenalty)}</span>
+    </div>
+    ` : ''}
+    ${summaryData.rounding === 'cents' ? `
+    <div class="detail-row">
+        <span class="detail-label">Rounding</span>
+        <span class="detail-value">Cent-exact, payment and interest rounded each period</span>
+    </div>
+    ` : ''}
+    ${loanData.loanType === 'arm' && loanData.arm ? `
+    <div class="detail-row">
+        <span class="detail-label">Loan Type</span>
+        <span class="detail-value">${loanData.arm.initialPeriodYears}-year ARM, adjusts every ${loanData.arm.resetFrequencyMonths} months</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Index + Margin</span>
+        <span class="detail-value">${formatPercent(loanData.arm.index)} + ${formatPercent(loanData.arm.margin)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Rate Caps</span>
+        <span class="detail-value">${loanData.arm.initialCap}/${loanData.arm.periodicCap}/${loanData.arm.lifetimeCap}</span>
+    </div>
+    ` : ''}
+    ${loanData.loanType === 'heloc' && loanData.heloc ? `
+    <div class="detail-row">
+        <span class="detail-label">Loan Type</span>
+        <span class="detail-value">HELOC, ${loanData.heloc.drawYears}-year draw period (interest-only), ${loanData.heloc.repaymentYears}-year repayment</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Planned Draws</span>
+        <span class="detail-value">${loanData.heloc.draws.length > 0 ?
+            loanData.heloc.draws.map(draw => `${formatCurrency(draw.amount)} in ${formatDate(draw.date)}`).join(', ') : 'None'}
+            (${formatCurrency(summaryData.totalDraws || 0)} drawn)</span>
+    </div>
+    ${loanData.heloc.rateSteps.length > 0 ? `
+    <div class="detail-row">
+        <span class="detail-label">Rate Changes</span>
+        <span class="detail-value">${loanData.heloc.rateSteps.map(step => `${formatPercent(step.rate)} from ${formatDate(step.date)}`).join(', ')}</span>
+    </div>
+    ` : ''}
+    ${summaryData.amortizationStart ? `
+    <div class="detail-row">
+        <span class="detail-label">Repayment Payment</span>
+        <span class="detail-value">${formatCurrency(summaryData.amortizationStart.payment)} from ${formatDate(summaryData.amortizationStart.date)}</span>
+    </div>
+    ` : ''}
+    ` : ''}
 
-    <h2>Acceleration Strategy</h2>
-    ${accelerationOptions.extraMonthly > 0 ? `
+    ${summaryData.piti && summaryData.piti.total > summaryData.piti.principalAndInterest ? `
+    <h2>Monthly Payment Breakdown</h2>
+    <table class="report-table">
+        <thead>
+            <tr>
+                <th>Principal &amp; Interest</th>
+                <th>Property Tax</th>
+                <th>Insurance</th>
+                <th>HOA</th>
+                <th>${summaryData.insuranceLabel}</th>
+                <th>Total</th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr>
+                <td>${formatCurrency(summaryData.piti.principalAndInterest)}</td>
+                <td>${formatCurrency(summaryData.piti.propertyTax)}</td>
+                <td>${formatCurrency(summaryData.piti.insurance)}</td>
+                <td>${formatCurrency(summaryData.piti.hoa)}</td>
+                <td>${formatCurrency(summaryData.piti.pmi)}</td>
+                <td><strong>${formatCurrency(summaryData.piti.total)}</strong></td>
+            </tr>
+        </tbody>
+    </table>
+
+    <h2>Escrow &amp; ${summaryData.insuranceLabel} Over the Loan</h2>
+    <table class="report-table">
+        <thead>
+            <tr>
+                <th>Plan</th>
+                <th>Taxes, Insurance &amp; HOA</th>
+                <th>Total ${summaryData.insuranceLabel}</th>
+                <th>${summaryData.insuranceLabel} Ends</th>
+            </tr>
+        </thead>
+        <tbody>
+            <tr>
+                <td>Original</td>
+                <td>${formatCurrency(summaryData.originalEscrow)}</td>
+                <td>${formatCurrency(summaryData.originalPMI)}</td>
+                <td>${summaryData.originalPMI > 0 ? formatDate(summaryData.originalPmiEndDate) : 'N/A'}</td>
+            </tr>
+            <tr>
+                <td>Accelerated</td>
+                <td>${formatCurrency(summaryData.acceleratedEscrow)}</td>
+                <td>${formatCurrency(summaryData.acceleratedPMI)}</td>
+                <td>${summaryData.acceleratedPMI > 0 ? formatDate(summaryData.acceleratedPmiEndDate) : 'N/A'}</td>
+            </tr>
+        </tbody>
+    </table>
+    ${summaryData.pmiSaved > 0.005 ? `
     <div class="detail-row">
-        <span class="detail-label">Extra Monthly Payment</span>
-        <span class="detail-value">${formatCurrency(accelerationOptions.extraMonthly)}</span>
+        <span class="detail-label">${summaryData.insuranceLabel} Saved</span>
+        <span class="detail-value">${formatCurrency(summaryData.pmiSaved)}${summaryData.pmiMonthsSaved > 0 ? ` (${summaryData.pmiMonthsSaved} months)` : ''}, ${formatCurrency(summaryData.totalSavings)} saved in all</span>
     </div>
     ` : ''}
-    ${accelerationOptions.biweekly ? `
+    ` : ''}
+
+    <h2>Acceleration Strategy</h2>
+    ${paymentFrequency !== 'monthly' ? `
     <div class="detail-row">
         <span class="detail-label">Payment Frequency</span>
-        <span class="detail-value">Bi-Weekly</span>
+        <span class="detail-value">${MortgageCalculator.PAYMENT_FREQUENCIES[paymentFrequency].label}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Payment Method</span>
+        <span class="detail-value">${MortgageCalculator.PAYMENT_METHODS[MortgageCalculator.getPaymentMethod(accelerationOptions)]}</span>
     </div>
     ` : ''}
-    ${accelerationOptions.lumpSum > 0 ? `
+    ${(accelerationOptions.extraPayments || []).map((rule, index) => `
     <div class="detail-row">
-        <span class="detail-label">One-Time Lump Sum</span>
-        <span class="detail-value">${formatCurrency(accelerationOptions.lumpSum)} (${formatDate(accelerationOptions.lumpSumDate)})</span>
+        <span class="detail-label">Extra Payment ${index + 1}</span>
+        <span class="detail-value">${MortgageCalculator.describeExtraPayment(rule)}</span>
+    </div>
+    `).join('')}
+    ${(accelerationOptions.extraPayments || []).some(rule => rule.frequency === 'once') ? `
+    <div class="detail-row">
+        <span class="detail-label">Lump Sum Handling</span>
+        <span class="detail-value">${accelerationOptions.recast ?
+            `Recast to lower the payment${accelerationOptions.recastFee > 0 ? ` (${formatCurrency(accelerationOptions.recastFee)} fee)` : ''}` :
+            'Shorten the term'}</span>
     </div>
     ` : ''}
-    ${accelerationOptions.annualExtra > 0 ? `
+    ${(summaryData.recasts || []).map(recast => `
+    <div class="detail-row">
+        <span class="detail-label">Payment After ${formatDate(recast.date)} Recast</span>
+        <span class="detail-value">${formatCurrency(recast.payment)}</span>
+    </div>
+    `).join('')}
+    ${(accelerationOptions.paymentRelief || []).map((period, index) => `
+    <div class="detail-row">
+        <span class="detail-label">Payment Relief ${index + 1}</span>
+        <span class="detail-value">${MortgageCalculator.describePaymentRelief(period)}</span>
+    </div>
+    `).join('')}
+    ${summaryData.reliefCost ? `
     <div class="detail-row">
-        <span class="detail-label">Annual Extra Payment</span>
-        <span class="detail-value">${formatCurrency(accelerationOptions.annualExtra)}</span>
+        <span class="detail-label">Cost of Payment Relief</span>
+        <span class="detail-value">${formatCurrency(summaryData.reliefCost.extraInterest)} more interest,
+            ${summaryData.reliefCost.monthsDelayed > 0 ? `paid off ${summaryData.reliefCost.delayText} later` : 'same payoff date'}
+            (${formatCurrency(summaryData.reliefCost.capitalizedInterest)} capitalized,
+            ${formatCurrency(summaryData.reliefCost.deferredInterest)} due at payoff)</span>
     </div>
     ` : ''}
-    ${!accelerationOptions.extraMonthly && !accelerationOptions.biweekly &&
-      !accelerationOptions.lumpSum && !accelerationOptions.annualExtra ? `
+    ${summaryData.prepaymentPenalties > 0 ? `
+    <div class="detail-row">
+        <span class="detail-label">Prepayment Penalties</span>
+        <span class="detail-value">${formatCurrency(summaryData.prepaymentPenalties)}, leaving ${formatCurrency(summaryData.netSavings)} net savings</span>
+    </div>
+    ` : ''}
+    ${summaryData.cappedPrepayments > 0 ? `
+    <div class="detail-row">
+        <span class="detail-label">Over Prepayment Privilege</span>
+        <span class="detail-value">${formatCurrency(summaryData.cappedPrepayments)} of extra payments not applied</span>
+    </div>
+    ` : ''}
+    ${paymentFrequency === 'monthly' && !(accelerationOptions.extraPayments || []).length ? `
     <div class="detail-row">
         <span class="detail-label">Strategy</span>
         <span class="detail-value">No acceleration applied</span>
     </div>
     ` : ''}
 
+    ${summaryData.tax ? this.generateTaxSection(summaryData.tax, formatCurrency) : ''}
+
+    ${presentValue ? this.generatePresentValueSection(presentValue, formatCurrency) : ''}
+
+    ${summaryData.investment ? this.generateInvestmentSection(summaryData.investment, formatCurrency, formatDate) : ''}
+
+    ${summaryData.refinance ? this.generateRefinanceSection(summaryData.refinance, formatCurrency, formatDate) : ''}
+
     <div class="disclaimer">
         <strong>Disclaimer</strong>
         This report provides estimates for educational purposes only. Actual loan terms,
@@ -264,6 +556,187 @@ const ExportManager = {
         `;
     },
 
+    /**
+     * Generate the mortgage interest deduction section of the PDF report
+     */
+    generateTaxSection(tax, formatCurrency) {
+        const { formatPercent } = MortgageCalculator;
+        const status = MortgageCalculator.TAX_FILING_STATUSES[tax.filingStatus];
+        const acceleratedByYear = new Map(tax.acceleratedYears.map(year => [year.year, year]));
+
+        return `
+    <h2>Mortgage Interest Deduction</h2>
+    <div class="detail-row">
+        <span class="detail-label">Filing Status / Marginal Rate</span>
+        <span class="detail-value">${status ? status.label : tax.filingStatus} / ${formatPercent(tax.marginalRate)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Standard Deduction / Loan Limit</span>
+        <span class="detail-value">${formatCurrency(tax.standardDeduction)} / ${formatCurrency(tax.loanLimit)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">After-Tax Interest (Original / Accelerated)</span>
+        <span class="detail-value">${formatCurrency(tax.originalAfterTaxInterest)} / ${formatCurrency(tax.acceleratedAfterTaxInterest)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">After-Tax Interest Saved</span>
+        <span class="detail-value">${formatCurrency(tax.afterTaxInterestSaved)} (${formatCurrency(tax.taxBenefitLost)} in deductions given up)</span>
+    </div>
+    <table class="report-table" style="margin-top: 15px;">
+        <thead>
+            <tr>
+                <th>Year</th>
+                <th>Original Benefit</th>
+                <th>Accelerated Benefit</th>
+                <th>Original After-Tax Interest</th>
+                <th>Accelerated After-Tax Interest</th>
+            </tr>
+        </thead>
+        <tbody>
+            ${tax.originalYears.map(year => {
+                const accelerated = acceleratedByYear.get(year.year);
+                return `
+            <tr>
+                <td>${year.year}</td>
+                <td>${formatCurrency(year.benefit)}</td>
+                <td>${formatCurrency(accelerated ? accelerated.benefit : 0)}</td>
+                <td>${formatCurrency(year.afterTaxInterest)}</td>
+                <td>${formatCurrency(accelerated ? accelerated.afterTaxInterest : 0)}</td>
+            </tr>
+            `;
+            }).join('')}
+        </tbody>
+    </table>
+        `;
+    },
+
+    /**
+     * Generate the today's dollars section of the PDF report
+     */
+    generatePresentValueSection(presentValue, formatCurrency) {
+        const { formatPercent } = MortgageCalculator;
+        const formatSigned = (val) => `${val < 0 ? '-' : ''}${formatCurrency(Math.abs(val))}`;
+
+        return `
+    <h2>In Today's Money</h2>
+    <div class="detail-row">
+        <span class="detail-label">Discount Rate / Inflation</span>
+        <span class="detail-value">${formatPercent(presentValue.discountRate)} / ${formatPercent(presentValue.inflationRate)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Present Value of Interest Saved</span>
+        <span class="detail-value">${formatCurrency(presentValue.pvInterestSaved)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Interest Saved (Inflation-Adjusted)</span>
+        <span class="detail-value">${formatCurrency(presentValue.realInterestSaved)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">NPV of Prepaying</span>
+        <span class="detail-value">${formatSigned(presentValue.npv)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Real Cost (Original / Accelerated)</span>
+        <span class="detail-value">${formatCurrency(presentValue.original.realTotalPaid)} / ${formatCurrency(presentValue.accelerated.realTotalPaid)}</span>
+    </div>
+        `;
+    },
+
+    /**
+     * Generate the invest vs. prepay section of the PDF report
+     */
+    generateInvestmentSection(analysis, formatCurrency, formatDate) {
+        const { options } = analysis;
+        const { formatPercent } = MortgageCalculator;
+        const verdict = analysis.verdict === 'tie' ? 'About even' :
+            `${analysis.verdict === 'prepay' ? 'Prepaying' : 'Investing'} ahead by ${formatCurrency(Math.abs(analysis.advantage))}`;
+
+        return `
+    <h2>Invest vs. Prepay</h2>
+    <div class="detail-row">
+        <span class="detail-label">Expected Return</span>
+        <span class="detail-value">${formatPercent(options.annualReturn)}${options.taxDrag > 0 ? ` (${formatPercent(options.taxDrag)} tax drag)` : ''}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Net Worth by ${formatDate(analysis.horizonDate)}</span>
+        <span class="detail-value">Prepay ${formatCurrency(analysis.finalPrepay)} · Invest ${formatCurrency(analysis.finalInvest)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Verdict</span>
+        <span class="detail-value">${verdict}</span>
+    </div>
+    ${analysis.breakEvenReturn !== null ? `
+    <div class="detail-row">
+        <span class="detail-label">Break-Even Return</span>
+        <span class="detail-value">${formatPercent(analysis.breakEvenReturn, 2)}</span>
+    </div>
+    ` : ''}
+        `;
+    },
+
+    /**
+     * Generate the refinance analysis section of the PDF report
+     */
+    generateRefinanceSection(analysis, formatCurrency, formatDate) {
+        const { refinance, current, costs, base, withExtra } = analysis;
+        const { formatPercent } = MortgageCalculator;
+        const formatSigned = (val) => `${val < 0 ? '-' : ''}${formatCurrency(Math.abs(val))}`;
+        const formatBreakEven = (result) => result.breakEvenMonth !== null ?
+            `Month ${result.breakEvenMonth} (${formatDate(result.breakEvenDate)})` : 'Never';
+
+        const rows = [
+            ['Monthly Payment Change', result => formatSigned(-result.paymentDifference)],
+            ['Break-Even', formatBreakEven],
+            ['Interest Difference', result => formatSigned(result.interestDifference)],
+            ['Net Lifetime Savings', result => formatSigned(result.netSavings)],
+            ['New Loan Payoff', result => formatDate(result.refi.payoffDate)]
+        ];
+
+        return `
+    <h2>Refinance Analysis</h2>
+    <div class="detail-row">
+        <span class="detail-label">Refinance Date</span>
+        <span class="detail-value">${formatDate(refinance.refinanceDate)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Balance at Refinance</span>
+        <span class="detail-value">${formatCurrency(current.balance)}</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">New Loan</span>
+        <span class="detail-value">${formatCurrency(costs.newLoanAmount)} at ${formatPercent(refinance.newRate)} for ${refinance.newTermYears} years</span>
+    </div>
+    <div class="detail-row">
+        <span class="detail-label">Closing Costs &amp; Points</span>
+        <span class="detail-value">${formatCurrency(costs.totalCosts)}${refinance.financeCosts ? ' (financed)' : ''}</span>
+    </div>
+    ${costs.cashOut > 0 ? `
+    <div class="detail-row">
+        <span class="detail-label">Cash-Out</span>
+        <span class="detail-value">${formatCurrency(costs.cashOut)}</span>
+    </div>
+    ` : ''}
+    <table class="report-table" style="margin-top: 15px;">
+        <thead>
+            <tr>
+                <th></th>
+                <th>Scheduled Payments</th>
+                ${withExtra ? `<th>With ${formatCurrency(refinance.extraMonthly)} Extra</th>` : ''}
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.map(([label, format]) => `
+            <tr>
+                <td>${label}</td>
+                <td>${format(base)}</td>
+                ${withExtra ? `<td>${format(withExtra)}</td>` : ''}
+            </tr>
+            `).join('')}
+        </tbody>
+    </table>
+        `;
+    },
+
     /**
      * Download a file
      */
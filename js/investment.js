@@ -0,0 +1,166 @@
+/**
+ * Invest vs. Prepay Analysis
+ * Compares putting extra cash toward the mortgage against investing it instead
+ */
+
+const InvestmentCalculator = {
+    /**
+     * Compare net worth (investments minus mortgage balance) when the accelerated plan's
+     * extra cash is invested instead of prepaid. Both paths spend the same cash each month;
+     * once the prepaid loan is paid off, the freed-up payment is invested.
+     * options: { annualReturn, taxDrag }
+     */
+    analyze(originalResult, acceleratedResult, options) {
+        const original = this.getMonthlyCashFlows(originalResult.schedule);
+        const accelerated = this.getMonthlyCashFlows(acceleratedResult.schedule);
+        const startingBalance = originalResult.startingBalance ?? originalResult.schedule[0]?.balance ?? 0;
+
+        const timeline = this.simulate(original, accelerated, startingBalance, options);
+        const final = timeline[timeline.length - 1];
+        const advantage = final.prepay - final.invest;
+
+        return {
+            options,
+            timeline,
+            contributions: timeline.reduce((total, point) => total + point.extraCash, 0),
+            crossovers: this.findCrossovers(timeline),
+            prepayPayoffDate: acceleratedResult.payoffDate,
+            horizonDate: final.date,
+            finalInvest: final.invest,
+            finalPrepay: final.prepay,
+            advantage,
+            verdict: Math.abs(advantage) < 1 ? 'tie' : (advantage > 0 ? 'prepay' : 'invest'),
+            breakEvenReturn: this.findBreakEvenReturn(original, accelerated, startingBalance, options)
+        };
+    },
+
+    /**
+     * Total the cash paid and the closing balance for each calendar month, so bi-weekly
+     * schedules line up with monthly ones. PMI counts because prepaying can end it sooner.
+     */
+    getMonthlyCashFlows(schedule) {
+        const months = new Map();
+
+        schedule.forEach(row => {
+            const month = months.get(row.date) || { date: row.date, cash: 0, balance: 0 };
+            month.cash += row.payment + row.extraPayment + (row.pmi || 0) + (row.recastFee || 0);
+            month.balance = row.balance;
+            months.set(row.date, month);
+        });
+
+        return [...months.values()];
+    },
+
+    /**
+     * Monthly growth rate after tax drag (the share of returns lost to taxes each year)
+     */
+    getMonthlyReturn(options) {
+        const annualReturn = options.annualReturn / 100 * (1 - (options.taxDrag || 0) / 100);
+        return Math.pow(1 + annualReturn, 1 / 12) - 1;
+    },
+
+    /**
+     * Month-by-month net worth of both paths until the original loan is paid off.
+     * Each month both spend the larger of the two loans' cash needs and invest the rest.
+     */
+    simulate(original, accelerated, startingBalance, options) {
+        const monthlyReturn = this.getMonthlyReturn(options);
+        const byDate = new Map(accelerated.map(month => [month.date, month]));
+        const paidOff = { cash: 0, balance: 0 };
+
+        let investPortfolio = 0;
+        let prepayPortfolio = 0;
+        const timeline = [{ month: 0, date: null, invest: -startingBalance, prepay: -startingBalance, extraCash: 0 }];
+
+        original.forEach((originalMonth, i) => {
+            const acceleratedMonth = byDate.get(originalMonth.date) || paidOff;
+            const budget = Math.max(originalMonth.cash, acceleratedMonth.cash);
+
+            investPortfolio = investPortfolio * (1 + monthlyReturn) + (budget - originalMonth.cash);
+            prepayPortfolio = prepayPortfolio * (1 + monthlyReturn) + (budget - acceleratedMonth.cash);
+
+            timeline.push({
+                month: i + 1,
+                date: originalMonth.date,
+                invest: investPortfolio - originalMonth.balance,
+                prepay: prepayPortfolio - acceleratedMonth.balance,
+                extraCash: Math.max(0, acceleratedMonth.cash - originalMonth.cash)
+            });
+        });
+
+        return timeline;
+    },
+
+    /**
+     * Months where the path that's ahead changes (ignoring differences under a dollar)
+     */
+    findCrossovers(timeline) {
+        const crossovers = [];
+        let leader = null;
+
+        timeline.forEach(point => {
+            const difference = point.prepay - point.invest;
+            if (Math.abs(difference) < 1) return;
+
+            const ahead = difference > 0 ? 'prepay' : 'invest';
+            if (leader && ahead !== leader) {
+                crossovers.push({ month: point.month, date: point.date, leader: ahead });
+            }
+            leader = ahead;
+        });
+
+        return crossovers;
+    },
+
+    /**
+     * The expected return (before tax drag) at which both paths finish level, or null
+     * if one path wins across the whole 0-30% range
+     */
+    findBreakEvenReturn(original, accelerated, startingBalance, options) {
+        const advantageAt = (annualReturn) => {
+            const timeline = this.simulate(original, accelerated, startingBalance, { ...options, annualReturn });
+            const final = timeline[timeline.length - 1];
+            return final.prepay - final.invest;
+        };
+
+        let low = 0;
+        let high = 30;
+        if (advantageAt(low) < 0 || advantageAt(high) > 0) return null;
+
+        for (let i = 0; i < 40; i++) {
+            const mid = (low + high) / 2;
+            if (advantageAt(mid) > 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return (low + high) / 2;
+    },
+
+    /**
+     * Validate the investment assumptions
+     */
+    validateOptions(options) {
+        const errors = {};
+
+        if (isNaN(options.annualReturn) || options.annualReturn < 0 || options.annualReturn > 30) {
+            errors.investReturn = 'Expected return must be between 0% and 30%';
+        }
+
+        if (isNaN(options.taxDrag) || options.taxDrag < 0 || options.taxDrag >= 100) {
+            errors.investTaxDrag = 'Tax drag must be between 0% and 100%';
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InvestmentCalculator;
+}
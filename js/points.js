@@ -0,0 +1,327 @@
+/**
+ * Discount Points & Buydowns
+ * Compares rate offers with different points, lender credits and temporary buydowns
+ */
+
+const PointsAnalyzer = {
+    /**
+     * Temporary buydowns: how far below the note rate the payment is figured in each early year
+     */
+    BUYDOWNS: {
+        none: { label: 'None', steps: [] },
+        '1-0': { label: '1-0 buydown', steps: [1] },
+        '2-1': { label: '2-1 buydown', steps: [2, 1] },
+        '3-2-1': { label: '3-2-1 buydown', steps: [3, 2, 1] }
+    },
+
+    MAX_OPTIONS: 6,
+
+    /**
+     * Compare rate offers on the same loan amount and term.
+     * offers: [{ rate, points, credit, buydown, buydownPaidBy: 'seller'|'buyer' }]
+     * settings: { holdingYears, extraMonthly }
+     * The net cost of each offer at month m is the cash paid so far plus the balance still owed,
+     * less buydown funds not yet used (which go toward the balance when the loan is repaid).
+     * Offers are ranked by net cost at the horizon: the holding period, or sooner when
+     * prepaying pays every offer off first.
+     */
+    analyze(loanData, offers, settings) {
+        const holdingMonths = Math.round(settings.holdingYears * 12);
+        const results = offers.map((offer, index) => this.analyzeOffer(loanData, offer, index, settings.extraMonthly));
+
+        const months = Math.max(...results.map(result => result.payoffMonth));
+        results.forEach(result => {
+            result.netCosts = this.getNetCosts(result, months);
+        });
+
+        const baselineIndex = this.getBaselineIndex(results);
+        const baseline = results[baselineIndex];
+        results.forEach(result => this.compare(result, baseline, loanData.startDate));
+
+        const horizonMonths = Math.min(holdingMonths, months);
+        const ranked = [...results].sort((a, b) => a.netCosts[horizonMonths] - b.netCosts[horizonMonths]);
+        ranked.forEach((result, index) => {
+            result.rank = index + 1;
+            result.horizonCost = result.netCosts[horizonMonths];
+            result.costVsBest = result.horizonCost - ranked[0].horizonCost;
+        });
+
+        return {
+            loanAmount: loanData.principal,
+            termYears: loanData.termYears,
+            settings,
+            holdingMonths,
+            horizonMonths,
+            horizonDate: this.addMonths(loanData.startDate, horizonMonths - 1),
+            months,
+            baselineIndex,
+            offers: results,
+            ranked,
+            bestByHolding: this.getBestByHolding(results, months)
+        };
+    },
+
+    /**
+     * Upfront cost, payments and schedule for one offer. Points are a percent of the loan amount;
+     * a buydown's subsidy is the payment shortfall over its years, which the buyer pays
+     * upfront unless the seller does.
+     */
+    analyzeOffer(loanData, offer, index, extraMonthly) {
+        const compounding = MortgageCalculator.getCompounding(loanData);
+        const notePayment = MortgageCalculator.calculateMonthlyPayment(
+            loanData.principal, offer.rate, loanData.termYears, compounding
+        );
+
+        const buydownPayments = this.getBuydownSteps(offer).map(step => {
+            const rate = Math.max(0, offer.rate - step);
+            const payment = MortgageCalculator.calculateMonthlyPayment(loanData.principal, rate, loanData.termYears, compounding);
+            return {
+                rate,
+                payment,
+                subsidy: MortgageCalculator.roundToCents(notePayment - payment)
+            };
+        });
+
+        const pointsCost = loanData.principal * (offer.points || 0) / 100;
+        const credit = offer.credit || 0;
+        const buydownCost = buydownPayments.reduce((sum, year) => sum + year.subsidy * 12, 0);
+        const buyerBuydownCost = offer.buydownPaidBy === 'buyer' ? buydownCost : 0;
+
+        const result = MortgageCalculator.generateAcceleratedSchedule({
+            principal: loanData.principal,
+            annualRate: offer.rate,
+            termYears: loanData.termYears,
+            termMonths: loanData.termYears * 12,
+            startDate: loanData.startDate,
+            dayCount: loanData.dayCount,
+            compounding: loanData.compounding,
+            rounding: loanData.rounding
+        }, {
+            paymentFrequency: 'monthly',
+            extraPayments: extraMonthly > 0 ? [{
+                amount: extraMonthly,
+                frequency: 'monthly',
+                startDate: loanData.startDate,
+                endDate: '',
+                growthRate: 0
+            }] : []
+        });
+
+        return {
+            index,
+            label: `Option ${String.fromCharCode(65 + index)}`,
+            offer,
+            loanAmount: loanData.principal,
+            notePayment,
+            buydownPayments,
+            pointsCost,
+            credit,
+            buydownCost,
+            upfrontCost: pointsCost + buyerBuydownCost - credit,
+            result,
+            payoffMonth: result.schedule.length,
+            totalInterest: result.totalInterest
+        };
+    },
+
+    /**
+     * Rate reductions for each year of the offer's buydown (none without one)
+     */
+    getBuydownSteps(offer) {
+        const buydown = this.BUYDOWNS[offer.buydown] || this.BUYDOWNS.none;
+        return buydown.steps;
+    },
+
+    /**
+     * Net cost at the end of each month: upfront cost + what the buyer has paid + balance owed
+     * - buydown funds left over. Once the loan is repaid the cost stays where it ended.
+     */
+    getNetCosts(offerResult, months) {
+        const { schedule } = offerResult.result;
+        const subsidies = offerResult.buydownPayments.map(year => year.subsidy);
+        let unusedSubsidy = subsidies.reduce((sum, subsidy) => sum + subsidy * 12, 0);
+        let previousBalance = offerResult.loanAmount;
+        let paid = offerResult.upfrontCost;
+
+        const netCosts = [paid + previousBalance - unusedSubsidy];
+
+        for (let i = 0; i < months; i++) {
+            const row = schedule[i];
+            if (row) {
+                const subsidy = Math.min(unusedSubsidy, subsidies[Math.floor(i / 12)] || 0);
+                unusedSubsidy -= subsidy;
+                paid += row.interest + (previousBalance - row.balance) - subsidy;
+                previousBalance = row.balance;
+
+                // Funds left when the loan is repaid go toward the final payment
+                if (row.balance <= 0) {
+                    paid -= unusedSubsidy;
+                    unusedSubsidy = 0;
+                }
+            }
+            netCosts.push(paid + previousBalance - unusedSubsidy);
+        }
+
+        return netCosts;
+    },
+
+    /**
+     * The offer the others are measured against: the one closest to no upfront cost (par),
+     * preferring the higher rate on a tie
+     */
+    getBaselineIndex(results) {
+        return results.reduce((best, result) => {
+            const current = results[best];
+            const distance = Math.abs(result.upfrontCost);
+            const bestDistance = Math.abs(current.upfrontCost);
+            if (distance < bestDistance - 0.005 ||
+                (Math.abs(distance - bestDistance) <= 0.005 && result.offer.rate > current.offer.rate)) {
+                return result.index;
+            }
+            return best;
+        }, 0);
+    },
+
+    /**
+     * Savings against the baseline offer each month, and when they change sign. An offer that
+     * costs more upfront breaks even once its savings reach zero; one that costs less (a lender
+     * credit) stays ahead until its savings drop below zero.
+     */
+    compare(offerResult, baseline, startDate) {
+        const timeline = baseline.netCosts.map((baselineCost, month) => ({
+            month,
+            savings: baselineCost - offerResult.netCosts[month]
+        }));
+
+        offerResult.isBaseline = offerResult === baseline;
+        offerResult.timeline = timeline;
+        offerResult.extraCost = offerResult.upfrontCost - baseline.upfrontCost;
+        offerResult.paymentDifference = baseline.notePayment - offerResult.notePayment;
+
+        // An offer that costs the same upfront as the baseline has nothing to pay back
+        const startsAhead = timeline[0].savings > 0.005;
+        const startsBehind = timeline[0].savings < -0.005;
+        const crossover = startsAhead || startsBehind ? timeline.find(point => point.month > 0 &&
+            (startsAhead ? point.savings < 0 : point.savings >= 0)) : null;
+        const crossoverMonth = crossover ? crossover.month : null;
+
+        offerResult.startsAhead = startsAhead;
+        offerResult.breakEvenMonth = crossoverMonth;
+        offerResult.breakEvenDate = crossoverMonth ? this.addMonths(startDate, crossoverMonth - 1) : null;
+        offerResult.simpleBreakEvenMonth = offerResult.extraCost > 0 && offerResult.paymentDifference > 0 ?
+            Math.ceil(offerResult.extraCost / offerResult.paymentDifference) : null;
+    },
+
+    /**
+     * The cheapest offer for each holding period in whole years, merged into runs of years
+     * where the same offer stays cheapest
+     */
+    getBestByHolding(results, months) {
+        const ranges = [];
+        const years = Math.ceil(months / 12);
+
+        for (let year = 1; year <= years; year++) {
+            const month = Math.min(year * 12, months);
+            const best = results.reduce((cheapest, result) =>
+                result.netCosts[month] < cheapest.netCosts[month] - 0.005 ? result : cheapest);
+            const last = ranges[ranges.length - 1];
+
+            if (last && last.index === best.index) {
+                last.toYear = year;
+            } else {
+                ranges.push({ index: best.index, label: best.label, fromYear: year, toYear: year });
+            }
+        }
+
+        return ranges;
+    },
+
+    /**
+     * Short description of an offer, e.g. "6.5% · 1 pt · 2-1 buydown"
+     */
+    describeOffer(offer) {
+        const parts = [MortgageCalculator.formatPercent(offer.rate)];
+
+        if (offer.points > 0) {
+            parts.push(`${offer.points} ${offer.points === 1 ? 'pt' : 'pts'}`);
+        }
+        if (offer.credit > 0) {
+            parts.push(`${MortgageCalculator.formatCurrency(offer.credit)} credit`);
+        }
+        if (this.getBuydownSteps(offer).length) {
+            parts.push(`${this.BUYDOWNS[offer.buydown].label}${offer.buydownPaidBy === 'seller' ? ' (seller-paid)' : ''}`);
+        }
+
+        return parts.join(' · ');
+    },
+
+    /**
+     * Add months to a YYYY-MM date string
+     */
+    addMonths(dateStr, months) {
+        const date = MortgageCalculator.parseDate(dateStr);
+        date.setMonth(date.getMonth() + months);
+        return MortgageCalculator.formatDate(date);
+    },
+
+    /**
+     * Validate each offer; errors are keyed by the offer's position in the list
+     */
+    validateOffers(offers, loanData) {
+        const errors = {};
+
+        offers.forEach((offer, index) => {
+            const steps = this.getBuydownSteps(offer);
+
+            if (isNaN(offer.rate) || offer.rate < 0.1 || offer.rate > 25) {
+                errors[index] = 'Rate must be between 0.1% and 25%';
+            } else if (isNaN(offer.points) || offer.points < 0 || offer.points >= 10) {
+                errors[index] = 'Points must be between 0 and 10';
+            } else if (isNaN(offer.credit) || offer.credit < 0) {
+                errors[index] = 'Credit cannot be negative';
+            } else if (offer.credit >= loanData.principal * 0.1) {
+                errors[index] = `Credit must be less than ${MortgageCalculator.formatCurrency(loanData.principal * 0.1)} (10% of the loan)`;
+            } else if (steps.length && offer.rate - steps[0] < 0.1) {
+                errors[index] = `A ${offer.buydown} buydown needs a rate above ${MortgageCalculator.formatPercent(steps[0])}`;
+            } else if (steps.length > loanData.termYears) {
+                errors[index] = 'The buydown is longer than the loan';
+            }
+        });
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    },
+
+    /**
+     * Validate the comparison settings
+     */
+    validateSettings(settings, offerCount, loanData) {
+        const errors = {};
+
+        if (offerCount < 2) {
+            errors.pointsList = 'Add at least two offers to compare';
+        } else if (offerCount > this.MAX_OPTIONS) {
+            errors.pointsList = `Compare at most ${this.MAX_OPTIONS} offers at a time`;
+        }
+
+        if (isNaN(settings.holdingYears) || settings.holdingYears < 1 || settings.holdingYears > loanData.termYears) {
+            errors.pointsHolding = `Holding period must be between 1 and ${loanData.termYears} years`;
+        }
+
+        if (isNaN(settings.extraMonthly) || settings.extraMonthly < 0) {
+            errors.pointsExtra = 'Extra payment cannot be negative';
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PointsAnalyzer;
+}
@@ -0,0 +1,230 @@
+/**
+ * Refinance Analysis
+ * Compares keeping the current loan against refinancing it into a new one
+ */
+
+const RefinanceCalculator = {
+    /**
+     * Run a refinance comparison for the current loan.
+     * refinance: { refinanceDate, newRate, newTermYears, closingCosts, points,
+     *              cashOut, financeCosts, extraMonthly }
+     */
+    analyze(loanData, refinance) {
+        const current = this.getCurrentPosition(loanData, refinance.refinanceDate);
+        const costs = this.calculateCosts(current.balance, refinance);
+
+        return {
+            refinance,
+            current,
+            costs,
+            base: this.compare(current, costs, refinance, 0),
+            withExtra: refinance.extraMonthly > 0 ?
+                this.compare(current, costs, refinance, refinance.extraMonthly) : null
+        };
+    },
+
+    /**
+     * Find the balance, rate, payment and remaining term of the current loan
+     * as of the refinance date, based on its original amortization schedule
+     * (including the payments an existing loan has already made)
+     */
+    getCurrentPosition(loanData, refinanceDate) {
+        const original = MortgageCalculator.generateOriginalSchedule(loanData);
+        const start = MortgageCalculator.parseDate(loanData.startDate);
+        const refinanceMonth = MortgageCalculator.getLoanMonth(start, MortgageCalculator.parseDate(refinanceDate));
+
+        const rows = [...original.history, ...original.schedule];
+
+        const paymentsMade = Math.min(Math.max(refinanceMonth - 1, 0), rows.length);
+        const lastPayment = rows[paymentsMade - 1];
+        const nextPayment = rows[paymentsMade] || lastPayment;
+        const balance = lastPayment ? lastPayment.balance : MortgageCalculator.applyLoanProgram(loanData).principal;
+
+        return {
+            original,
+            paymentsMade,
+            balance,
+            // Keeping the loan follows its own terms from here: ARM resets and caps, HELOC draws and rate steps
+            keepLoanData: this.getKeepLoanData(loanData, paymentsMade, balance, original.termMonths - paymentsMade, refinanceDate),
+            rate: nextPayment.rate,
+            monthlyPayment: nextPayment.payment,
+            remainingMonths: original.termMonths - paymentsMade,
+            dayCount: loanData.dayCount,
+            compounding: loanData.compounding,
+            rounding: loanData.rounding
+        };
+    },
+
+    /**
+     * The current loan as an existing loan with its next payment on the refinance date, so keeping
+     * it runs the rest of its own schedule. Loans entered from a statement restart from the balance
+     * on that date; others pick up after the payments made on the original terms.
+     */
+    getKeepLoanData(loanData, paymentsMade, balance, remainingMonths, refinanceDate) {
+        if (loanData.existing?.source === 'statement') {
+            return {
+                ...loanData,
+                existing: { source: 'statement', balance, nextPaymentDate: refinanceDate, remainingMonths }
+            };
+        }
+        return { ...loanData, existing: { source: 'history', paymentsMade } };
+    },
+
+    /**
+     * Work out the new loan amount and the cash due at closing.
+     * Points are charged on the new loan amount, so financing them grosses the loan up.
+     */
+    calculateCosts(balance, refinance) {
+        const pointsRate = (refinance.points || 0) / 100;
+        const closingCosts = refinance.closingCosts || 0;
+        const cashOut = refinance.cashOut || 0;
+
+        let newLoanAmount;
+        if (refinance.financeCosts) {
+            newLoanAmount = (balance + cashOut + closingCosts) / (1 - pointsRate);
+        } else {
+            newLoanAmount = balance + cashOut;
+        }
+
+        const pointsCost = newLoanAmount * pointsRate;
+
+        return {
+            newLoanAmount,
+            pointsCost,
+            closingCosts,
+            cashOut,
+            totalCosts: pointsCost + closingCosts,
+            cashAtClosing: refinance.financeCosts ? 0 : pointsCost + closingCosts
+        };
+    },
+
+    /**
+     * Compare keeping vs refinancing with the same extra monthly payment on both loans.
+     * The net cost of each path at month m is the cash paid so far plus the balance
+     * still owed; refinancing breaks even once its net cost drops to that of keeping.
+     */
+    compare(current, costs, refinance, extraMonthly) {
+        const options = {
+            paymentFrequency: 'monthly',
+            extraPayments: extraMonthly > 0 ? [{
+                amount: extraMonthly,
+                frequency: 'monthly',
+                startDate: refinance.refinanceDate,
+                endDate: '',
+                growthRate: 0
+            }] : []
+        };
+
+        const keep = MortgageCalculator.generateAcceleratedSchedule(current.keepLoanData, options);
+
+        const refi = MortgageCalculator.generateAcceleratedSchedule({
+            principal: costs.newLoanAmount,
+            annualRate: refinance.newRate,
+            termYears: refinance.newTermYears,
+            startDate: refinance.refinanceDate,
+            dayCount: current.dayCount,
+            compounding: current.compounding,
+            rounding: current.rounding
+        }, options);
+
+        const months = Math.max(keep.schedule.length, refi.schedule.length);
+        const keepCosts = this.getNetCosts(keep.schedule, current.balance, 0, months);
+        const refiCosts = this.getNetCosts(refi.schedule, costs.newLoanAmount, costs.cashAtClosing - costs.cashOut, months);
+
+        const timeline = keepCosts.map((keepCost, month) => ({
+            month,
+            savings: keepCost - refiCosts[month]
+        }));
+
+        const breakEven = timeline.find(point => point.month > 0 && point.savings >= 0);
+        const breakEvenDate = breakEven ? this.addMonths(refinance.refinanceDate, breakEven.month - 1) : null;
+
+        const paymentDifference = current.monthlyPayment - refi.monthlyPayment;
+
+        return {
+            keep,
+            refi,
+            timeline,
+            breakEvenMonth: breakEven ? breakEven.month : null,
+            breakEvenDate,
+            simpleBreakEvenMonth: paymentDifference > 0 && costs.totalCosts > 0 ?
+                Math.ceil(costs.totalCosts / paymentDifference) : null,
+            paymentDifference,
+            interestDifference: keep.totalInterest - refi.totalInterest,
+            netSavings: timeline[timeline.length - 1].savings
+        };
+    },
+
+    /**
+     * Net cost of a loan at the end of each month: upfront cash + payments so far + balance owed
+     */
+    getNetCosts(schedule, principal, upfront, months) {
+        const netCosts = [upfront + principal];
+        let paid = upfront;
+        let previousBalance = principal;
+
+        for (let i = 0; i < months; i++) {
+            const row = schedule[i];
+            if (row) {
+                paid += row.interest + (previousBalance - row.balance);
+                previousBalance = row.balance;
+            }
+            netCosts.push(paid + previousBalance);
+        }
+
+        return netCosts;
+    },
+
+    /**
+     * Add months to a YYYY-MM date string
+     */
+    addMonths(dateStr, months) {
+        const date = MortgageCalculator.parseDate(dateStr);
+        date.setMonth(date.getMonth() + months);
+        return MortgageCalculator.formatDate(date);
+    },
+
+    /**
+     * Validate refinance inputs against the current loan
+     */
+    validateRefinance(loanData, refinance) {
+        const errors = {};
+
+        if (!refinance.newRate || refinance.newRate < 0.1 || refinance.newRate > 25) {
+            errors.refiRate = 'New rate must be between 0.1% and 25%';
+        }
+
+        if (!refinance.newTermYears) {
+            errors.refiTerm = 'Please select a new term';
+        }
+
+        if (refinance.points < 0 || refinance.points >= 10) {
+            errors.refiPoints = 'Points must be between 0 and 10';
+        }
+
+        if (refinance.closingCosts < 0 || refinance.cashOut < 0) {
+            errors.refiCosts = 'Costs and cash-out cannot be negative';
+        }
+
+        if (!refinance.refinanceDate) {
+            errors.refiDate = 'Please enter a refinance date';
+        } else if (loanData.startDate && refinance.refinanceDate < loanData.startDate) {
+            errors.refiDate = 'Refinance date must be after the loan start date';
+        } else if (loanData.startDate) {
+            const current = this.getCurrentPosition(loanData, refinance.refinanceDate);
+            if (current.balance < 0.01 || current.remainingMonths <= 0) {
+                errors.refiDate = 'The current loan is already paid off by this date';
+            }
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RefinanceCalculator;
+}
@@ -0,0 +1,160 @@
+/**
+ * Sensitivity Analysis
+ * Runs the plan over a grid of interest rates (or loan terms) and extra monthly payments
+ */
+
+const SensitivityAnalyzer = {
+    ROW_AXES: {
+        rate: 'Interest rate',
+        term: 'Loan term'
+    },
+
+    METRICS: {
+        interestSaved: 'Interest saved',
+        monthsSaved: 'Months saved'
+    },
+
+    MAX_AXIS_VALUES: 40,
+
+    /**
+     * Values from min to max in steps (inclusive of max when it lands on a step)
+     */
+    getAxisValues({ min, max, step }) {
+        const values = [];
+        const count = Math.floor((max - min) / step + 1e-9);
+
+        for (let i = 0; i <= count; i++) {
+            values.push(Math.round((min + i * step) * 1000) / 1000);
+        }
+
+        return values;
+    },
+
+    /**
+     * An empty grid for the chosen axes; cells are filled a row at a time by calculateRow
+     * so the page can stay responsive while a large grid is worked out.
+     * axes: { rowAxis: 'rate'|'term', rows: { min, max, step }, extra: { min, max, step } }
+     */
+    createGrid(axes) {
+        const rows = this.getAxisValues(axes.rows);
+        const columns = this.getAxisValues(axes.extra);
+
+        return {
+            rowAxis: axes.rowAxis,
+            rows,
+            columns,
+            cells: rows.map(() => columns.map(() => null)),
+            completedRows: 0
+        };
+    },
+
+    /**
+     * Work out every cell in one row: the loan at that row's rate or term, with the plan plus
+     * each column's extra monthly payment from the first projected payment, against the same
+     * loan without acceleration
+     */
+    calculateRow(grid, loanData, accelerationOptions, rowIndex) {
+        const rowLoan = this.getRowLoanData(loanData, grid.rowAxis, grid.rows[rowIndex]);
+        const original = MortgageCalculator.generateOriginalSchedule(rowLoan);
+        const startDate = this.getProjectionStart(rowLoan);
+
+        grid.cells[rowIndex] = grid.columns.map(amount => {
+            const extraPayments = [...(accelerationOptions.extraPayments || [])];
+            if (amount > 0) {
+                extraPayments.push({ amount, frequency: 'monthly', startDate, endDate: '', growthRate: 0 });
+            }
+
+            const result = MortgageCalculator.generateAcceleratedSchedule(rowLoan, { ...accelerationOptions, extraPayments });
+            const savings = MortgageCalculator.calculateSavings(original, result);
+
+            return {
+                interestSaved: savings.interestSaved,
+                monthsSaved: savings.monthsSaved,
+                payoffDate: result.payoffDate,
+                totalInterest: result.totalInterest
+            };
+        });
+        grid.completedRows++;
+
+        return grid.cells[rowIndex];
+    },
+
+    /**
+     * Work out the whole grid at once
+     */
+    analyze(loanData, accelerationOptions, axes) {
+        const grid = this.createGrid(axes);
+        grid.rows.forEach((value, rowIndex) => this.calculateRow(grid, loanData, accelerationOptions, rowIndex));
+        return grid;
+    },
+
+    /**
+     * The loan with one row's interest rate or term in place of its own
+     */
+    getRowLoanData(loanData, rowAxis, value) {
+        if (rowAxis === 'term') {
+            return { ...loanData, termYears: value, termMonths: Math.round(value * 12) };
+        }
+        return { ...loanData, annualRate: value };
+    },
+
+    /**
+     * First projected payment: the loan's first payment, or the next one for an existing loan
+     */
+    getProjectionStart(loanData) {
+        const { paymentsMade } = MortgageCalculator.getStartingPosition(loanData);
+        const date = MortgageCalculator.parseDate(loanData.startDate);
+        date.setMonth(date.getMonth() + paymentsMade);
+        return MortgageCalculator.formatDate(date);
+    },
+
+    /**
+     * Lowest and highest value of a metric across the cells worked out so far
+     */
+    getRange(grid, metric) {
+        const values = grid.cells.flat().filter(Boolean).map(cell => cell[metric]);
+        if (values.length === 0) return { min: 0, max: 0 };
+        return { min: Math.min(...values), max: Math.max(...values) };
+    },
+
+    /**
+     * Validate the grid axes. Term rows only apply to loans whose term is entered directly.
+     */
+    validateAxes(axes, loanData) {
+        const errors = {};
+        const limits = axes.rowAxis === 'term' ?
+            { min: 1, max: 40, label: 'Terms must be between 1 and 40 years' } :
+            { min: 0.1, max: 25, label: 'Rates must be between 0.1% and 25%' };
+
+        const checkAxis = (axis, key, min, max, label) => {
+            if ([axis.min, axis.max, axis.step].some(isNaN) || axis.min < min || axis.max > max) {
+                errors[key] = label;
+            } else if (axis.max < axis.min) {
+                errors[key] = 'The end must be at or after the start';
+            } else if (!(axis.step > 0)) {
+                errors[key] = 'Step must be more than zero';
+            } else if (this.getAxisValues(axis).length > this.MAX_AXIS_VALUES) {
+                errors[key] = `Use a larger step: at most ${this.MAX_AXIS_VALUES} values per axis`;
+            }
+        };
+
+        if (axes.rowAxis === 'term' && (loanData.loanType === 'heloc' || loanData.existing?.source === 'statement')) {
+            errors.sensitivityRows = 'Term rows need a loan with an entered term';
+        } else {
+            checkAxis(axes.rows, 'sensitivityRows', limits.min, limits.max, limits.label);
+        }
+
+        checkAxis(axes.extra, 'sensitivityExtra', 0, 50000,
+            `Extra payments must be between ${MortgageCalculator.formatCurrency(0)} and ${MortgageCalculator.formatCurrency(50000)}`);
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SensitivityAnalyzer;
+}
@@ -0,0 +1,293 @@
+/**
+ * Variable-Rate Simulation
+ * Runs the plan over many random rate paths to show the range of outcomes for ARMs and HELOCs
+ */
+
+const RateSimulator = {
+    DEFAULTS: {
+        reversionSpeed: 0.25,
+        volatility: 1,
+        paths: 500,
+        seed: 1
+    },
+
+    PERCENTILES: [10, 50, 90],
+
+    /**
+     * Whether the loan's rate follows an index: ARMs after their fixed period, and HELOCs
+     */
+    isVariable(loanData) {
+        return (loanData.loanType === 'arm' && !!loanData.arm) ||
+            (loanData.loanType === 'heloc' && !!loanData.heloc);
+    },
+
+    /**
+     * The rate the simulation starts from: the ARM's index today, or the HELOC's current rate
+     */
+    getStartRate(loanData) {
+        return loanData.loanType === 'arm' ? loanData.arm.index : loanData.annualRate;
+    },
+
+    /**
+     * A run of the plan on model.paths random rate paths, worked through a batch at a time by
+     * runPaths so the page can stay responsive; getResults reports the P10/P50/P90 bands.
+     * model: { longRunRate, reversionSpeed, volatility, paths, seed }
+     * The same seed always gives the same paths, so results can be reproduced.
+     */
+    createRun(loanData, accelerationOptions, model) {
+        return {
+            loanData,
+            accelerationOptions,
+            model,
+            normal: this.createNormal(this.createRandom(model.seed)),
+            termMonths: MortgageCalculator.getTermMonths(loanData),
+            // Payments already made on an existing loan keep today's rate
+            heldMonths: MortgageCalculator.getStartingPosition(loanData).paymentsMade,
+            startRate: this.getStartRate(loanData),
+            runs: []
+        };
+    },
+
+    /**
+     * Run the next count paths (fewer if the run is nearly done); returns the number of paths finished
+     */
+    runPaths(run, count) {
+        const end = Math.min(run.model.paths, run.runs.length + count);
+
+        while (run.runs.length < end) {
+            const path = this.generatePath(run.startRate, run.termMonths, run.heldMonths, run.model, run.normal);
+            const result = MortgageCalculator.generateAcceleratedSchedule(this.applyPath(run.loanData, path), run.accelerationOptions);
+            run.runs.push(this.summarizeRun(result));
+        }
+
+        return run.runs.length;
+    },
+
+    /**
+     * P10/P50/P90 bands over the paths a run has finished
+     */
+    getResults(run) {
+        const { runs } = run;
+        const payoffMonths = this.getPercentiles(runs.map(path => path.payoffMonth));
+
+        return {
+            model: run.model,
+            paths: runs.length,
+            payoffDate: this.mapBand(payoffMonths, month => this.formatMonth(month)),
+            totalInterest: this.getPercentiles(runs.map(path => path.totalInterest)),
+            highestPayment: this.getPercentiles(runs.map(path => path.highestPayment)),
+            highestRate: this.getPercentiles(runs.map(path => path.highestRate)),
+            balanceBands: this.getBalanceBands(runs)
+        };
+    },
+
+    /**
+     * Run every path at once
+     */
+    simulate(loanData, accelerationOptions, model) {
+        const run = this.createRun(loanData, accelerationOptions, model);
+        this.runPaths(run, model.paths);
+        return this.getResults(run);
+    },
+
+    /**
+     * Seeded random number generator (mulberry32) returning numbers in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Standard normal draws from a uniform generator (Box-Muller, using both values of each pair)
+     */
+    createNormal(random) {
+        let spare = null;
+
+        return () => {
+            if (spare !== null) {
+                const value = spare;
+                spare = null;
+                return value;
+            }
+
+            const radius = Math.sqrt(-2 * Math.log(1 - random()));
+            const angle = 2 * Math.PI * random();
+            spare = radius * Math.sin(angle);
+            return radius * Math.cos(angle);
+        };
+    },
+
+    /**
+     * One monthly rate path under a mean-reverting (Vasicek) model: each month the rate closes
+     * reversionSpeed / 12 of the gap to longRunRate and takes a normal shock of volatility / √12
+     * percentage points. Rates can't go below zero. The first heldMonths + 1 months stay at startRate.
+     */
+    generatePath(startRate, months, heldMonths, model, normal) {
+        const dt = 1 / 12;
+        const path = [];
+        let rate = startRate;
+
+        for (let month = 1; month <= months; month++) {
+            if (month > heldMonths + 1) {
+                rate += model.reversionSpeed * (model.longRunRate - rate) * dt +
+                    model.volatility * Math.sqrt(dt) * normal();
+                rate = Math.max(0, rate);
+            }
+            path.push(rate);
+        }
+
+        return path;
+    },
+
+    /**
+     * Loan terms that follow a rate path. An ARM resets to the path's index plus its margin,
+     * within its caps; a HELOC's rate moves with the path each month, replacing the expected changes.
+     */
+    applyPath(loanData, path) {
+        if (loanData.loanType === 'arm') {
+            return { ...loanData, arm: { ...loanData.arm, indexPath: path } };
+        }
+
+        const start = MortgageCalculator.parseDate(loanData.startDate);
+        const rateSteps = [];
+        let lastRate = loanData.annualRate;
+
+        path.forEach((rate, index) => {
+            const rounded = Math.round(rate * 1000) / 1000;
+            if (index > 0 && rounded !== lastRate) {
+                const date = new Date(start);
+                date.setMonth(date.getMonth() + index);
+                rateSteps.push({ date: MortgageCalculator.formatDate(date), rate: rounded });
+                lastRate = rounded;
+            }
+        });
+
+        return { ...loanData, heloc: { ...loanData.heloc, rateSteps } };
+    },
+
+    /**
+     * What one path's schedule comes to: payoff month, total interest, the highest regular
+     * payment (not counting a balloon or interest due at payoff), the highest rate and the
+     * balance at the end of each month
+     */
+    summarizeRun(result) {
+        const balances = new Map();
+        let highestPayment = 0;
+        let highestRate = 0;
+
+        result.schedule.forEach(row => {
+            balances.set(row.date, row.balance);
+            highestRate = Math.max(highestRate, row.rate);
+            if (!row.balloon) {
+                highestPayment = Math.max(highestPayment, row.payment - (row.deferredPayoff || 0));
+            }
+        });
+
+        return {
+            payoffMonth: this.getMonthIndex(result.payoffDate),
+            totalInterest: result.totalInterest,
+            highestPayment,
+            highestRate,
+            firstMonth: result.schedule.length ? this.getMonthIndex(result.schedule[0].date) : 0,
+            balances: [...balances.values()]
+        };
+    },
+
+    /**
+     * P10/P50/P90 of the balance for each month from the first payment; paths that are
+     * paid off count as a zero balance
+     */
+    getBalanceBands(runs) {
+        const firstMonth = Math.min(...runs.map(run => run.firstMonth));
+        const months = Math.max(...runs.map(run => run.firstMonth - firstMonth + run.balances.length));
+        const bands = [];
+
+        for (let month = 0; month < months; month++) {
+            const balances = runs.map(run => {
+                const offset = month - (run.firstMonth - firstMonth);
+                return offset >= 0 && offset < run.balances.length ? run.balances[offset] : 0;
+            });
+            bands.push({ month, date: this.formatMonth(firstMonth + month), ...this.getPercentiles(balances) });
+        }
+
+        return bands;
+    },
+
+    /**
+     * Nearest-rank percentiles of a list of values, keyed p10, p50 and p90
+     */
+    getPercentiles(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+
+        return this.PERCENTILES.reduce((band, percentile) => {
+            const rank = Math.ceil(percentile / 100 * sorted.length) - 1;
+            band[`p${percentile}`] = sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+            return band;
+        }, {});
+    },
+
+    /**
+     * Apply a function to each value of a percentile band
+     */
+    mapBand(band, fn) {
+        return Object.fromEntries(Object.entries(band).map(([key, value]) => [key, fn(value)]));
+    },
+
+    /**
+     * Months since year 0 for a YYYY-MM date
+     */
+    getMonthIndex(dateStr) {
+        return MortgageCalculator.getMonthIndex(MortgageCalculator.parseDate(dateStr));
+    },
+
+    /**
+     * YYYY-MM date for a month index
+     */
+    formatMonth(monthIndex) {
+        return MortgageCalculator.formatDate(new Date(Math.floor(monthIndex / 12), monthIndex % 12, 1));
+    },
+
+    /**
+     * Validate the rate model
+     */
+    validateModel(model) {
+        const errors = {};
+
+        if (isNaN(model.longRunRate) || model.longRunRate < 0 || model.longRunRate > 25) {
+            errors.simulationLongRunRate = 'Long-run rate must be between 0% and 25%';
+        }
+
+        if (isNaN(model.reversionSpeed) || model.reversionSpeed < 0 || model.reversionSpeed > 5) {
+            errors.simulationReversionSpeed = 'Reversion speed must be between 0 and 5';
+        }
+
+        if (isNaN(model.volatility) || model.volatility < 0 || model.volatility > 10) {
+            errors.simulationVolatility = 'Volatility must be between 0 and 10 points';
+        }
+
+        if (!Number.isInteger(model.paths) || model.paths < 50 || model.paths > 2000) {
+            errors.simulationPaths = 'Run between 50 and 2,000 paths';
+        }
+
+        if (!Number.isInteger(model.seed) || model.seed < 0) {
+            errors.simulationSeed = 'Seed must be a whole number';
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RateSimulator;
+}
@@ -0,0 +1,381 @@
+/**
+ * Statement Reconciliation
+ * Imports a servicer's payment history and checks each month against the planned schedule
+ */
+
+const StatementReconciler = {
+    /**
+     * Fields a CSV column can be mapped to
+     */
+    COLUMNS: {
+        date: 'Date',
+        payment: 'Payment',
+        principal: 'Principal',
+        extra: 'Extra principal',
+        interest: 'Interest',
+        balance: 'Balance'
+    },
+
+    /**
+     * Header patterns for guessing the CSV mapping, tried in order so that
+     * "Principal Balance" maps to the balance and "Extra Principal" to the extra
+     */
+    COLUMN_PATTERNS: [
+        ['date', /date|posted/i],
+        ['balance', /balance/i],
+        ['extra', /extra|additional|curtail/i],
+        ['principal', /principal/i],
+        ['interest', /interest(?!\s*rate)/i],
+        ['payment', /payment|amount|total/i]
+    ],
+
+    /**
+     * Split CSV text into rows of trimmed cells, handling quoted fields and skipping blank lines
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        text = text.replace(/^\uFEFF/, '');
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows
+            .map(cells => cells.map(cell => cell.trim()))
+            .filter(cells => cells.some(cell => cell !== ''));
+    },
+
+    /**
+     * Read a CSV statement as { headers, rows }, taking the first row as headers
+     */
+    readCSV(text) {
+        const [headers = [], ...rows] = this.parseCSV(text);
+        return { headers, rows };
+    },
+
+    /**
+     * Guess which column holds each field, as { field: columnIndex }
+     */
+    guessMapping(headers) {
+        const mapping = {};
+
+        headers.forEach((header, index) => {
+            const match = this.COLUMN_PATTERNS.find(([field, pattern]) => !(field in mapping) && pattern.test(header));
+            if (match) {
+                mapping[match[0]] = index;
+            }
+        });
+
+        return mapping;
+    },
+
+    /**
+     * Turn CSV rows into transactions using a { field: columnIndex } mapping.
+     * Extra principal is added to the principal applied; rows without a readable date are skipped.
+     */
+    mapCSV(table, mapping) {
+        const read = (cells, field) => (mapping[field] === undefined ? null : this.parseAmount(cells[mapping[field]]));
+
+        return table.rows.map(cells => {
+            const principal = read(cells, 'principal');
+            const extra = read(cells, 'extra');
+
+            return {
+                date: this.parseDate(cells[mapping.date]),
+                payment: read(cells, 'payment'),
+                principal: principal === null && extra === null ? null : (principal || 0) + (extra || 0),
+                interest: read(cells, 'interest'),
+                balance: read(cells, 'balance')
+            };
+        }).filter(transaction => transaction.date);
+    },
+
+    /**
+     * Read transactions from an OFX/QFX file (SGML or XML). Loan statements split each payment
+     * into PRINAMT and INTAMT; the closing balance (LEDGERBAL or the loan's balance aggregate)
+     * is added as a balance-only entry on its DTASOF date.
+     */
+    parseOFX(text) {
+        const tag = (block, name) => {
+            const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+            return match ? match[1].trim() : null;
+        };
+        const blocks = (name) => [...text.matchAll(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'gi'))].map(match => match[1]);
+
+        const loanBlocks = blocks('LOANSTMTTRN');
+        const transactions = (loanBlocks.length > 0 ? loanBlocks : blocks('STMTTRN')).map(block => ({
+            date: this.parseDate(tag(block, 'DTPOSTED')),
+            payment: this.parseAmount(tag(block, 'TRNAMT'), false),
+            principal: this.parseAmount(tag(block, 'PRINAMT'), false),
+            interest: this.parseAmount(tag(block, 'INTAMT'), false),
+            balance: null
+        }));
+
+        [...text.matchAll(/<((?!AVAIL)\w+BAL)>([\s\S]*?)<\/\1>/gi)].forEach(match => {
+            const balance = this.parseAmount(tag(match[2], 'BALAMT'), false);
+            const date = this.parseDate(tag(match[2], 'DTASOF'));
+            if (balance !== null && date) {
+                transactions.push({ date, payment: null, principal: null, interest: null, balance });
+            }
+        });
+
+        return transactions.filter(transaction => transaction.date);
+    },
+
+    /**
+     * Parse a statement amount, or null if blank. Servicers show payments with either sign,
+     * so amounts are taken as positive. CSV amounts are read in the calculator's locale;
+     * OFX always writes them with a decimal point.
+     */
+    parseAmount(value, localized = true) {
+        const text = String(value ?? '').trim();
+        if (text === '') return null;
+
+        const amount = localized ? MortgageCalculator.parseNumber(text) : parseFloat(text.replace(/[^0-9.-]/g, ''));
+        return isNaN(amount) ? null : Math.abs(amount);
+    },
+
+    /**
+     * Parse a statement date as YYYY-MM-DD, or null. Reads ISO and OFX dates (2025-03-01,
+     * 20250301120000), US dates (3/1/2025, 3/1/25) and anything else the browser understands.
+     */
+    parseDate(value) {
+        const text = String(value ?? '').trim();
+        if (text === '') return null;
+
+        let year;
+        let month;
+        let day;
+        const iso = text.match(/^(\d{4})-?(\d{2})(?:-?(\d{2}))?/);
+        const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/);
+
+        if (iso) {
+            [year, month, day] = [parseInt(iso[1]), parseInt(iso[2]), parseInt(iso[3] || '1')];
+        } else if (us) {
+            year = parseInt(us[3]);
+            if (us[3].length === 2) year += year < 70 ? 2000 : 1900;
+            [month, day] = [parseInt(us[1]), parseInt(us[2])];
+        } else {
+            const date = new Date(text);
+            if (isNaN(date.getTime())) return null;
+            [year, month, day] = [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+        }
+
+        if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    },
+
+    /**
+     * Total the statement by calendar month. Amounts missing from the file stay null;
+     * the balance is the last one reported in the month.
+     */
+    getActualMonths(transactions) {
+        const months = new Map();
+
+        [...transactions].sort((a, b) => a.date.localeCompare(b.date)).forEach(transaction => {
+            const date = transaction.date.slice(0, 7);
+            const month = months.get(date) || { date, payment: null, principal: null, interest: null, balance: null };
+
+            ['payment', 'principal', 'interest'].forEach(field => {
+                if (transaction[field] !== null) {
+                    month[field] = (month[field] || 0) + transaction[field];
+                }
+            });
+            if (transaction.balance !== null) {
+                month.balance = transaction.balance;
+            }
+            months.set(date, month);
+        });
+
+        return [...months.values()];
+    },
+
+    /**
+     * Total the planned schedule by calendar month, so weekly, semi-monthly and bi-weekly plans line up with monthly statements.
+     * Principal includes the extra payment, since statements report the principal applied.
+     */
+    getPlannedMonths(schedule) {
+        const months = new Map();
+
+        schedule.forEach(row => {
+            const month = months.get(row.date) || { date: row.date, payment: 0, principal: 0, interest: 0, draw: 0, balance: 0 };
+            month.payment += row.payment;
+            month.principal += row.principal + row.extraPayment;
+            month.interest += row.interest;
+            month.draw += row.draw || 0;
+            month.balance = row.balance;
+            months.set(row.date, month);
+        });
+
+        return [...months.values()];
+    },
+
+    /**
+     * Compare the statement with the plan month by month, flagging interest, principal or balance
+     * that differs by more than the tolerance, then re-project the rest of the loan from the last
+     * known balance. Statements cover the loan from its first payment, so the plan runs from the start.
+     * Where the file has no balance, it's carried forward from the plan by the principal actually applied.
+     */
+    reconcile(loanData, accelerationOptions, transactions, tolerance) {
+        const planLoan = { ...loanData, existing: null };
+        const plan = MortgageCalculator.generateAcceleratedSchedule(planLoan, accelerationOptions);
+        const plannedMonths = this.getPlannedMonths(plan.schedule);
+        const planned = new Map(plannedMonths.map(month => [month.date, month]));
+
+        let balance = null;
+        const months = this.getActualMonths(transactions).map(actual => {
+            const expected = planned.get(actual.date) || null;
+            const startingBalance = balance ?? (expected ? expected.balance + expected.principal - expected.draw : null);
+
+            if (actual.balance !== null) {
+                balance = actual.balance;
+            } else if (actual.principal !== null && startingBalance !== null) {
+                balance = Math.max(0, startingBalance + (expected ? expected.draw : 0) - actual.principal);
+            }
+
+            const differences = { interest: null, principal: null, balance: null };
+            if (expected) {
+                ['interest', 'principal', 'balance'].forEach(field => {
+                    if (actual[field] !== null) {
+                        differences[field] = actual[field] - expected[field];
+                    }
+                });
+            }
+            const flags = Object.keys(differences)
+                .filter(field => differences[field] !== null && Math.abs(differences[field]) > tolerance);
+
+            return {
+                date: actual.date,
+                actual,
+                expected,
+                differences,
+                flags,
+                balance,
+                status: !expected ? 'unmatched' : (flags.length > 0 ? 'flagged' : 'ok')
+            };
+        });
+
+        const last = [...months].reverse().find(month => month.balance !== null) || null;
+        const plannedBalance = last ? this.getPlannedBalance(plannedMonths, last.date, planLoan.principal) : null;
+        const reprojection = last && last.balance > 0.005 ?
+            this.reproject(planLoan, accelerationOptions, plan, last) : null;
+
+        return {
+            tolerance,
+            months,
+            matched: months.filter(month => month.expected).length,
+            flagged: months.filter(month => month.status === 'flagged').length,
+            unmatched: months.filter(month => month.status === 'unmatched').length,
+            lastDate: last ? last.date : null,
+            lastBalance: last ? last.balance : null,
+            plannedBalance,
+            balanceDifference: last ? last.balance - plannedBalance : null,
+            paidOff: Boolean(last) && last.balance <= 0.005,
+            planPayoffDate: plan.payoffDate,
+            planRemainingInterest: last ? plan.schedule
+                .filter(row => row.date > last.date)
+                .reduce((total, row) => total + row.interest, 0) : null,
+            reprojection
+        };
+    },
+
+    /**
+     * The plan's balance at the end of a month (the opening principal before the plan starts,
+     * zero once it's paid off)
+     */
+    getPlannedBalance(plannedMonths, date, principal) {
+        const month = [...plannedMonths].reverse().find(planned => planned.date <= date);
+        return month ? month.balance : principal;
+    },
+
+    /**
+     * Project the rest of the loan from the statement's balance, keeping the plan's extra payments.
+     * Amortizing loans keep their scheduled payment (so the term moves); during an interest-only
+     * period the loan keeps its maturity. One-time payments already due are in the balance.
+     */
+    reproject(planLoan, accelerationOptions, plan, last) {
+        const next = MortgageCalculator.parseDate(last.date);
+        next.setMonth(next.getMonth() + 1);
+        const nextPaymentDate = MortgageCalculator.formatDate(next);
+        const existing = { source: 'statement', balance: last.balance, nextPaymentDate };
+
+        const monthlyPlan = MortgageCalculator.getPaymentFrequency(accelerationOptions) !== 'monthly' ?
+            MortgageCalculator.generateAcceleratedSchedule(planLoan, { ...accelerationOptions, paymentFrequency: 'monthly' }) : plan;
+        const nextRow = monthlyPlan.schedule.find(row => row.date >= nextPaymentDate);
+        if (nextRow && !nextRow.interestOnly) {
+            existing.currentPayment = nextRow.payment;
+        } else {
+            const paymentsMade = MortgageCalculator.getLoanMonth(MortgageCalculator.parseDate(planLoan.startDate), next) - 1;
+            existing.remainingMonths = Math.max(1, MortgageCalculator.getTermMonths(planLoan) - paymentsMade);
+        }
+
+        const extraPayments = (accelerationOptions.extraPayments || [])
+            .filter(rule => rule.frequency !== 'once' || rule.startDate >= nextPaymentDate);
+
+        return MortgageCalculator.generateAcceleratedSchedule(
+            { ...planLoan, existing },
+            { ...accelerationOptions, extraPayments }
+        );
+    },
+
+    /**
+     * Validate the imported transactions, the CSV column mapping (null for OFX files) and the tolerance
+     */
+    validateImport(transactions, mapping, tolerance) {
+        const errors = {};
+
+        if (mapping && mapping.date === undefined) {
+            errors.statementMapping = 'Please choose the date column';
+        } else if (mapping && ['principal', 'extra', 'interest', 'balance'].every(field => mapping[field] === undefined)) {
+            errors.statementMapping = 'Please choose a principal, interest or balance column to compare';
+        } else if (transactions.length === 0) {
+            errors.statementFile = 'No payments with a readable date were found in this file';
+        } else if (!transactions.some(transaction =>
+            transaction.principal !== null || transaction.interest !== null || transaction.balance !== null)) {
+            errors.statementFile = 'This file has no principal, interest or balance amounts to compare';
+        }
+
+        if (isNaN(tolerance) || tolerance < 0) {
+            errors.statementTolerance = 'Tolerance cannot be negative';
+        }
+
+        return {
+            isValid: Object.keys(errors).length === 0,
+            errors
+        };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementReconciler;
+}
@@ -5,6 +5,40 @@
 
 const StorageManager = {
     STORAGE_KEY: 'mortgage_calculator_data',
+    PREFERENCES_KEY: 'mortgage_calculator_preferences',
+
+    // Short share-link codes for extra payment frequencies
+    FREQUENCY_CODES: {
+        once: 'o',
+        monthly: 'm',
+        quarterly: 'q',
+        annually: 'a'
+    },
+
+    PAYMENT_FREQUENCY_CODES: {
+        'semi-monthly': 's',
+        biweekly: 'b',
+        'accelerated-biweekly': 'ab',
+        weekly: 'w',
+        'accelerated-weekly': 'aw'
+    },
+
+    COMPOUNDING_CODES: {
+        'semi-annual': 's',
+        daily: 'd'
+    },
+
+    PREPAYMENT_PENALTY_CODES: {
+        percent: 'p',
+        interest: 'i',
+        ird: 'd'
+    },
+
+    RELIEF_CODES: {
+        skip: 's',
+        reduced: 'r',
+        forbearance: 'f'
+    },
 
     /**
      * Save calculator data to localStorage
@@ -39,6 +73,12 @@ const StorageManager = {
             if (!data) return null;
 
             const parsed = JSON.parse(data);
+            if (parsed.accelerationOptions && parsed.loanData) {
+                parsed.accelerationOptions = this.upgradeAccelerationOptions(
+                    parsed.accelerationOptions,
+                    parsed.loanData.startDate
+                );
+            }
             return parsed;
         } catch (error) {
             console.error('Error loading data:', error);
@@ -66,11 +106,37 @@ const StorageManager = {
         return localStorage.getItem(this.STORAGE_KEY) !== null;
     },
 
+    /**
+     * Save display preferences (locale and currency), kept apart from the loan so clearing
+     * saved data leaves them
+     */
+    savePreferences(preferences) {
+        try {
+            localStorage.setItem(this.PREFERENCES_KEY, JSON.stringify(preferences));
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving preferences:', error);
+            return { success: false, error: 'Failed to save preferences.' };
+        }
+    },
+
+    /**
+     * Load display preferences; an empty object when none are saved
+     */
+    loadPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem(this.PREFERENCES_KEY)) || {};
+        } catch (error) {
+            console.error('Error loading preferences:', error);
+            return {};
+        }
+    },
+
     /**
      * Generate a shareable URL with loan parameters
      * Note: Does not include sensitive data, just basic loan parameters
      */
-    generateShareUrl(loanData, accelerationOptions) {
+    generateShareUrl(loanData, accelerationOptions, format = MortgageCalculator.format) {
         const params = new URLSearchParams();
 
         // Loan data (rounded to avoid exposing exact values)
@@ -79,22 +145,168 @@ const StorageManager = {
         params.set('t', loanData.termYears); // Term
         params.set('s', loanData.startDate); // Start date
 
-        // Acceleration options (only if set)
-        if (accelerationOptions.extraMonthly > 0) {
-            params.set('em', Math.round(accelerationOptions.extraMonthly));
+        // Adjustable rate terms
+        if (loanData.loanType === 'arm' && loanData.arm) {
+            params.set('lt', 'arm');
+            params.set('ai', loanData.arm.initialPeriodYears); // Initial fixed period (years)
+            params.set('af', loanData.arm.resetFrequencyMonths); // Reset frequency (months)
+            params.set('ax', loanData.arm.index); // Index rate
+            params.set('am', loanData.arm.margin); // Margin
+            params.set('ac', [loanData.arm.initialCap, loanData.arm.periodicCap, loanData.arm.lifetimeCap].join('-')); // Caps
         }
-        if (accelerationOptions.biweekly) {
-            params.set('bw', '1');
+
+        // HELOC terms, with draws (date_amount) and rate changes (date_rate) in order
+        if (loanData.loanType === 'heloc' && loanData.heloc) {
+            params.set('lt', 'heloc');
+            params.set('hd', loanData.heloc.drawYears); // Draw period (years)
+            params.set('hr', loanData.heloc.repaymentYears); // Repayment period (years)
+            loanData.heloc.draws.forEach(draw => {
+                params.append('hw', `${draw.date}_${Math.round(draw.amount)}`);
+            });
+            loanData.heloc.rateSteps.forEach(step => {
+                params.append('hs', `${step.date}_${step.rate}`);
+            });
+        }
+
+        // Interest-only and balloon structures
+        if (loanData.structure === 'interest-only') {
+            params.set('st', 'io');
+            params.set('io', loanData.interestOnlyYears); // Interest-only period (years)
+        } else if (loanData.structure === 'balloon') {
+            params.set('st', 'b');
+            params.set('bl', loanData.balloonYears); // Balloon due (years)
         }
-        if (accelerationOptions.lumpSum > 0) {
-            params.set('ls', Math.round(accelerationOptions.lumpSum / 1000)); // In thousands
-            if (accelerationOptions.lumpSumDate) {
-                params.set('lsd', accelerationOptions.lumpSumDate);
+
+        // Existing loans: payments made so far, or the position from a statement
+        const existing = loanData.existing;
+        if (existing && existing.source === 'statement') {
+            params.set('ex', 's');
+            params.set('cb', Math.round(existing.balance)); // Current balance
+            params.set('np', existing.nextPaymentDate); // Next payment date
+            if (existing.currentPayment !== undefined) {
+                params.set('cp', existing.currentPayment.toFixed(2)); // Current payment
+            } else {
+                params.set('rm', existing.remainingMonths); // Remaining term (months)
             }
+        } else if (existing) {
+            params.set('ex', 'h');
+            params.set('pm', existing.paymentsMade); // Payments made
+        }
+
+        // Interest day-count convention (30/360 is the default)
+        if (loanData.dayCount && loanData.dayCount !== '30/360') {
+            params.set('dc', loanData.dayCount);
         }
-        if (accelerationOptions.annualExtra > 0) {
-            params.set('ae', Math.round(accelerationOptions.annualExtra / 1000)); // In thousands
-            params.set('aem', accelerationOptions.annualExtraMonth);
+        if (loanData.rounding === 'cents') {
+            params.set('rd', 'c');
+        }
+
+        // Region, compounding and prepayment privilege (US, monthly and no limit are the defaults)
+        if (loanData.region && loanData.region !== 'us') {
+            params.set('rg', loanData.region);
+        }
+        if (loanData.compounding && loanData.compounding !== 'monthly') {
+            params.set('cv', this.COMPOUNDING_CODES[loanData.compounding]);
+        }
+        if (loanData.prepaymentLimit > 0) {
+            params.set('pl', loanData.prepaymentLimit);
+        }
+        if (loanData.prepaymentYears > 0) {
+            params.set('py', loanData.prepaymentYears);
+        }
+        // Prepayment penalty: type_value
+        if (loanData.prepaymentPenalty) {
+            params.set('pp', `${this.PREPAYMENT_PENALTY_CODES[loanData.prepaymentPenalty.type]}_${loanData.prepaymentPenalty.value}`);
+        }
+
+        // Government loan program: type, then cash upfront fee and VA benefit use when not the default
+        if (loanData.program && loanData.program.type !== 'conventional') {
+            params.set('lp', loanData.program.type);
+            if (loanData.program.financeUpfrontFee === false) {
+                params.set('uf', 'c');
+            }
+            if (loanData.program.type === 'va' && loanData.program.vaUse !== 'first') {
+                params.set('vu', loanData.program.vaUse === 'exempt' ? 'e' : 's');
+            }
+        }
+
+        // Taxes, insurance, HOA and PMI (only if set)
+        const escrow = loanData.escrow || {};
+        if (escrow.homeValue > 0) {
+            params.set('hv', Math.round(escrow.homeValue / 1000)); // Home value in thousands
+        }
+        if (escrow.propertyTaxAnnual > 0) {
+            params.set('tx', Math.round(escrow.propertyTaxAnnual));
+        }
+        if (escrow.insuranceAnnual > 0) {
+            params.set('hi', Math.round(escrow.insuranceAnnual));
+        }
+        if (escrow.hoaMonthly > 0) {
+            params.set('hoa', Math.round(escrow.hoaMonthly));
+        }
+        if (escrow.pmiRate > 0) {
+            params.set('pmi', escrow.pmiRate);
+            params.set('pc', escrow.pmiCancellation === 'request' ? 'r' : 'a');
+        }
+
+        // Mortgage interest deduction (only if a marginal rate is set)
+        if (loanData.tax) {
+            const tax = loanData.tax;
+            params.set('fs', tax.filingStatus);
+            params.set('mr', tax.marginalRate);
+            if (tax.standardDeduction !== undefined) {
+                params.set('sd', Math.round(tax.standardDeduction));
+            }
+            if (tax.otherDeductions > 0) {
+                params.set('od', Math.round(tax.otherDeductions));
+            }
+            if (tax.loanLimit > 0) {
+                params.set('ll', Math.round(tax.loanLimit));
+            }
+        }
+
+        // Acceleration options (only if set)
+        const paymentFrequency = MortgageCalculator.getPaymentFrequency(accelerationOptions);
+        if (paymentFrequency !== 'monthly') {
+            params.set('pf', this.PAYMENT_FREQUENCY_CODES[paymentFrequency]);
+            if (MortgageCalculator.getPaymentMethod(accelerationOptions) === 'held') {
+                params.set('bm', 'h');
+            }
+        }
+
+        // Extra payment rules, in order: amount_frequency_start_end_growth
+        (accelerationOptions.extraPayments || []).forEach(rule => {
+            params.append('x', [
+                Math.round(rule.amount),
+                this.FREQUENCY_CODES[rule.frequency],
+                rule.startDate,
+                rule.endDate || '',
+                rule.growthRate || 0
+            ].join('_'));
+        });
+        // Payment relief periods, in order: type_start_months_amount_interest (c capitalize, d defer)
+        (accelerationOptions.paymentRelief || []).forEach(period => {
+            params.append('pr', [
+                this.RELIEF_CODES[period.type],
+                period.startDate,
+                period.months,
+                Math.round(period.amount || 0),
+                period.interest === 'defer' ? 'd' : 'c'
+            ].join('_'));
+        });
+        if (accelerationOptions.recast) {
+            params.set('rc', '1');
+            if (accelerationOptions.recastFee > 0) {
+                params.set('rf', Math.round(accelerationOptions.recastFee));
+            }
+        }
+
+        // Locale and currency (US English and dollars are the defaults)
+        if (format.locale !== 'en-US') {
+            params.set('lc', format.locale);
+        }
+        if (format.currency !== 'USD') {
+            params.set('cu', format.currency);
         }
 
         const baseUrl = window.location.origin + window.location.pathname;
@@ -110,29 +322,190 @@ const StorageManager = {
         if (!params.has('p')) return null;
 
         try {
+            const [penaltyCode, penaltyValue] = (params.get('pp') || '').split('_');
+            const penaltyType = Object.keys(this.PREPAYMENT_PENALTY_CODES)
+                .find(type => this.PREPAYMENT_PENALTY_CODES[type] === penaltyCode);
+            const prepaymentPenalty = penaltyType ? { type: penaltyType, value: parseFloat(penaltyValue) || 0 } : null;
+
             const loanData = {
                 principal: parseInt(params.get('p')) * 1000,
                 annualRate: parseFloat(params.get('r')),
                 termYears: parseInt(params.get('t')),
-                startDate: params.get('s')
+                startDate: params.get('s'),
+                loanType: ['arm', 'heloc'].includes(params.get('lt')) ? params.get('lt') : 'fixed',
+                region: MortgageCalculator.REGIONAL_PRESETS[params.get('rg')] ? params.get('rg') : 'us',
+                dayCount: MortgageCalculator.DAY_COUNT_CONVENTIONS[params.get('dc')] ? params.get('dc') : '30/360',
+                compounding: Object.keys(this.COMPOUNDING_CODES)
+                    .find(key => this.COMPOUNDING_CODES[key] === params.get('cv')) || 'monthly',
+                rounding: params.get('rd') === 'c' ? 'cents' : 'none',
+                prepaymentLimit: parseFloat(params.get('pl')) || 0,
+                prepaymentYears: parseFloat(params.get('py')) || 0,
+                prepaymentPenalty,
+                escrow: {
+                    homeValue: (parseInt(params.get('hv')) || 0) * 1000,
+                    propertyTaxAnnual: parseInt(params.get('tx')) || 0,
+                    insuranceAnnual: parseInt(params.get('hi')) || 0,
+                    hoaMonthly: parseInt(params.get('hoa')) || 0,
+                    pmiRate: parseFloat(params.get('pmi')) || 0,
+                    pmiCancellation: params.get('pc') === 'r' ? 'request' : 'automatic'
+                }
             };
 
-            const accelerationOptions = {
+            if (MortgageCalculator.LOAN_PROGRAMS[params.get('lp')] && params.get('lp') !== 'conventional') {
+                loanData.program = {
+                    type: params.get('lp'),
+                    financeUpfrontFee: params.get('uf') !== 'c',
+                    vaUse: { s: 'subsequent', e: 'exempt' }[params.get('vu')] || 'first'
+                };
+            }
+
+            const structure = params.get('st');
+            if (structure === 'io') {
+                loanData.structure = 'interest-only';
+                loanData.interestOnlyYears = parseInt(params.get('io')) || 10;
+            } else if (structure === 'b') {
+                loanData.structure = 'balloon';
+                loanData.balloonYears = parseInt(params.get('bl')) || 7;
+            } else {
+                loanData.structure = 'amortizing';
+            }
+
+            const existing = params.get('ex');
+            if (existing === 's') {
+                loanData.existing = {
+                    source: 'statement',
+                    balance: parseInt(params.get('cb')) || 0,
+                    nextPaymentDate: params.get('np') || loanData.startDate,
+                    remainingMonths: params.has('cp') ? undefined : parseInt(params.get('rm')) || 0,
+                    currentPayment: params.has('cp') ? parseFloat(params.get('cp')) || 0 : undefined
+                };
+            } else if (existing === 'h') {
+                loanData.existing = {
+                    source: 'history',
+                    paymentsMade: parseInt(params.get('pm')) || 0
+                };
+            }
+
+            if (params.has('mr')) {
+                loanData.tax = {
+                    filingStatus: MortgageCalculator.TAX_FILING_STATUSES[params.get('fs')] ? params.get('fs') : 'single',
+                    marginalRate: parseFloat(params.get('mr')) || 0,
+                    standardDeduction: params.has('sd') ? parseInt(params.get('sd')) || 0 : undefined,
+                    otherDeductions: parseInt(params.get('od')) || 0,
+                    loanLimit: parseInt(params.get('ll')) || 0
+                };
+            }
+
+            if (loanData.loanType === 'arm') {
+                const [initialCap, periodicCap, lifetimeCap] = (params.get('ac') || '2-1-5').split('-').map(parseFloat);
+                loanData.arm = {
+                    initialPeriodYears: parseInt(params.get('ai')) || 5,
+                    resetFrequencyMonths: parseInt(params.get('af')) || 12,
+                    index: parseFloat(params.get('ax')) || 0,
+                    margin: parseFloat(params.get('am')) || 0,
+                    initialCap,
+                    periodicCap,
+                    lifetimeCap
+                };
+            }
+
+            if (loanData.loanType === 'heloc') {
+                const parseItems = (key) => params.getAll(key).map(value => value.split('_'));
+                loanData.heloc = {
+                    drawYears: parseInt(params.get('hd')) || 10,
+                    repaymentYears: parseInt(params.get('hr')) || 20,
+                    draws: parseItems('hw').map(([date, amount]) => ({ date, amount: parseInt(amount) || 0 })),
+                    rateSteps: parseItems('hs').map(([date, rate]) => ({ date, rate: parseFloat(rate) || 0 }))
+                };
+            }
+
+            const frequencies = Object.keys(this.FREQUENCY_CODES);
+            const extraPayments = params.getAll('x').map(value => {
+                const [amount, code, startDate, endDate, growthRate] = value.split('_');
+                return {
+                    amount: parseInt(amount) || 0,
+                    frequency: frequencies.find(frequency => this.FREQUENCY_CODES[frequency] === code) || 'monthly',
+                    startDate: startDate || loanData.startDate,
+                    endDate: endDate || '',
+                    growthRate: parseFloat(growthRate) || 0
+                };
+            }).filter(rule => rule.amount > 0);
+
+            const reliefTypes = Object.keys(this.RELIEF_CODES);
+            const paymentRelief = params.getAll('pr').map(value => {
+                const [code, startDate, months, amount, interest] = value.split('_');
+                return {
+                    type: reliefTypes.find(type => this.RELIEF_CODES[type] === code) || 'skip',
+                    startDate: startDate || loanData.startDate,
+                    months: parseInt(months) || 0,
+                    amount: parseInt(amount) || 0,
+                    interest: interest === 'd' ? 'defer' : 'capitalize'
+                };
+            }).filter(period => period.months > 0);
+
+            // Links made before payment frequencies used bw=1 for accelerated bi-weekly
+            const paymentFrequencies = Object.keys(this.PAYMENT_FREQUENCY_CODES);
+            const paymentFrequency = paymentFrequencies.find(key => this.PAYMENT_FREQUENCY_CODES[key] === params.get('pf')) ||
+                (params.get('bw') === '1' ? 'accelerated-biweekly' : 'monthly');
+
+            // Links made before extra payment rules used em/ls/lsd/ae/aem
+            const accelerationOptions = this.upgradeAccelerationOptions({
+                paymentFrequency,
+                biweeklyMethod: params.get('bm') === 'h' ? 'held' : 'accrual',
+                extraPayments,
+                recast: params.get('rc') === '1',
+                recastFee: parseInt(params.get('rf')) || 0,
+                paymentRelief,
                 extraMonthly: parseInt(params.get('em')) || 0,
-                biweekly: params.get('bw') === '1',
                 lumpSum: (parseInt(params.get('ls')) || 0) * 1000,
                 lumpSumDate: params.get('lsd') || '',
                 annualExtra: (parseInt(params.get('ae')) || 0) * 1000,
                 annualExtraMonth: parseInt(params.get('aem')) || 11
-            };
+            }, loanData.startDate);
+
+            const format = params.has('lc') || params.has('cu') ? {
+                locale: params.get('lc') || 'en-US',
+                currency: params.get('cu') || 'USD'
+            } : null;
 
-            return { loanData, accelerationOptions };
+            return { loanData, accelerationOptions, format };
         } catch (error) {
             console.error('Error parsing share URL:', error);
             return null;
         }
     },
 
+    /**
+     * Convert the old single extraMonthly / lumpSum / annualExtra fields into extra payment rules
+     */
+    upgradeAccelerationOptions(options, startDate) {
+        const { extraMonthly, lumpSum, lumpSumDate, annualExtra, annualExtraMonth, ...upgraded } = options;
+        const extraPayments = [...(options.extraPayments || [])];
+
+        if (extraMonthly > 0) {
+            extraPayments.push({ amount: extraMonthly, frequency: 'monthly', startDate, endDate: '', growthRate: 0 });
+        }
+
+        if (lumpSum > 0) {
+            extraPayments.push({ amount: lumpSum, frequency: 'once', startDate: lumpSumDate || startDate, endDate: '', growthRate: 0 });
+        }
+
+        if (annualExtra > 0 && startDate) {
+            // First time the chosen month comes around on or after the loan start
+            const [year, month] = startDate.split('-').map(Number);
+            const firstYear = month - 1 <= annualExtraMonth ? year : year + 1;
+            extraPayments.push({
+                amount: annualExtra,
+                frequency: 'annually',
+                startDate: `${firstYear}-${String(annualExtraMonth + 1).padStart(2, '0')}`,
+                endDate: '',
+                growthRate: 0
+            });
+        }
+
+        return { ...upgraded, extraPayments };
+    },
+
     /**
      * Copy text to clipboard
      */
@@ -0,0 +1,240 @@
+/**
+ * Schedule checks for the calculator. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MortgageCalculator = require('../js/calculator.js');
+
+const sum = (rows, key) => Math.round(rows.reduce((total, row) => total + (row[key] || 0), 0) * 100) / 100;
+
+/**
+ * Every row splits its payment into principal and interest, never charges more interest than it
+ * collects, and chains its balance from the last; the rows add up to the totals and end at zero.
+ */
+const assertScheduleInvariants = (result, principal, label) => {
+    let balance = principal;
+
+    result.schedule.forEach(row => {
+        assert.ok(Math.abs(row.principal + row.interest - row.payment) < 0.005, `${label} row ${row.paymentNumber} split`);
+        assert.ok(row.principal >= 0, `${label} row ${row.paymentNumber} principal ${row.principal}`);
+        assert.ok(Math.abs(balance - row.principal - row.extraPayment - row.balance) < 0.005, `${label} row ${row.paymentNumber} balance`);
+        balance = row.balance;
+    });
+
+    assert.strictEqual(balance, 0, `${label} final balance`);
+    assert.ok(Math.abs(sum(result.schedule, 'interest') - result.totalInterest) < 0.01, `${label} total interest`);
+};
+
+test('capitalized relief interest is in the rows and the totals', () => {
+    const loanData = { principal: 300000, annualRate: 6.5, termYears: 30, startDate: '2026-01', rounding: 'cents' };
+
+    ['monthly', 'biweekly'].forEach(paymentFrequency => {
+        const result = MortgageCalculator.generateAcceleratedSchedule(loanData, {
+            paymentFrequency,
+            extraPayments: [],
+            paymentRelief: [{ type: 'skip', startDate: '2027-01', months: 3, interest: 'capitalize' }]
+        });
+        const { schedule } = result;
+        const capitalized = sum(schedule, 'capitalizedInterest');
+
+        assert.ok(capitalized > 0);
+        assert.strictEqual(capitalized, result.paymentRelief.capitalizedInterest);
+        assert.strictEqual(sum(schedule, 'interest'), result.totalInterest);
+
+        let balance = loanData.principal;
+        schedule.forEach(row => {
+            assert.ok(Math.abs(row.principal + row.interest - row.payment) < 0.005);
+            assert.ok(Math.abs(balance - row.principal - row.extraPayment - row.balance) < 0.005);
+            assert.strictEqual(typeof row.recast, 'boolean');
+            balance = row.balance;
+        });
+    });
+});
+
+test('deferred relief interest is held without interest and paid at payoff', () => {
+    const loanData = { principal: 300000, annualRate: 6.5, termYears: 30, startDate: '2026-01', rounding: 'cents' };
+    const clean = MortgageCalculator.generateAcceleratedSchedule(loanData, { paymentFrequency: 'monthly', extraPayments: [] });
+    const result = MortgageCalculator.generateAcceleratedSchedule(loanData, {
+        paymentFrequency: 'monthly',
+        extraPayments: [],
+        paymentRelief: [{ type: 'forbearance', startDate: '2027-01', months: 3, interest: 'defer' }]
+    });
+    const reliefRows = result.schedule.filter(row => row.relief);
+    const lastRow = result.schedule[result.schedule.length - 1];
+
+    assert.deepStrictEqual(reliefRows.map(row => [row.date, row.payment]), [['2027-01', 0], ['2027-02', 0], ['2027-03', 0]]);
+    assert.strictEqual(sum(reliefRows, 'deferredInterest'), result.paymentRelief.deferredInterest);
+    assert.strictEqual(lastRow.deferredPayoff, result.paymentRelief.deferredInterest);
+    assert.strictEqual(sum(result.schedule, 'interest'), result.totalInterest);
+    assert.strictEqual(result.payoffDate, '2056-03');
+    assert.ok(result.totalInterest > clean.totalInterest);
+});
+
+test('actual-day conventions size the payment to retire the loan on schedule', () => {
+    ['actual/360', 'actual/365', 'daily'].forEach(dayCount => {
+        const loanData = { principal: 300000, annualRate: 6.5, termYears: 30, startDate: '2026-01', dayCount, rounding: 'cents' };
+        const result = MortgageCalculator.generateOriginalSchedule(loanData);
+        const lastRow = result.schedule[result.schedule.length - 1];
+
+        assert.strictEqual(result.schedule.length, 360);
+        assert.ok(Math.abs(lastRow.payment - result.monthlyPayment) < 10, `${dayCount} final payment ${lastRow.payment}`);
+    });
+});
+
+test('weekly periods under 30/360 never charge more interest than the payment', () => {
+    const loanData = { principal: 300000, annualRate: 6.5, termYears: 30, startDate: '2026-01', rounding: 'cents' };
+
+    [['weekly', 'accrual'], ['accelerated-weekly', 'accrual'], ['accelerated-weekly', 'held']].forEach(([paymentFrequency, biweeklyMethod]) => {
+        const { schedule } = MortgageCalculator.generateAcceleratedSchedule(loanData, {
+            paymentFrequency, biweeklyMethod, extraPayments: []
+        });
+        const negative = schedule.filter(row => row.principal < 0);
+
+        assert.deepStrictEqual(negative.map(row => row.date), [], `${paymentFrequency} (${biweeklyMethod})`);
+    });
+});
+
+test('each day-count convention accrues its own days of interest', () => {
+    const loanData = { principal: 300000, annualRate: 6.5, termYears: 30, startDate: '2026-01', rounding: 'cents' };
+    const expected = {
+        '30/360': { days: 30, interest: 1625 },
+        'actual/365': { days: 31, interest: 1656.16 },
+        'actual/360': { days: 31, interest: 1679.17 },
+        'daily': { days: 31, interest: 1656.16 }
+    };
+
+    Object.entries(expected).forEach(([dayCount, { days, interest }]) => {
+        const [first] = MortgageCalculator.generateOriginalSchedule({ ...loanData, dayCount }).schedule;
+
+        assert.strictEqual(first.days, days, dayCount);
+        assert.strictEqual(first.interest, interest, dayCount);
+    });
+});
+
+test('schedules hold together under every day count and payment method', () => {
+    const loanData = { principal: 300000, annualRate: 6.5, termYears: 30, startDate: '2026-01', rounding: 'cents' };
+    const plans = [
+        { paymentFrequency: 'monthly' },
+        { paymentFrequency: 'accelerated-biweekly', biweeklyMethod: 'accrual' },
+        { paymentFrequency: 'accelerated-biweekly', biweeklyMethod: 'held' }
+    ];
+
+    Object.keys(MortgageCalculator.DAY_COUNT_CONVENTIONS).forEach(dayCount => {
+        const loan = { ...loanData, dayCount };
+        assertScheduleInvariants(MortgageCalculator.generateOriginalSchedule(loan), loanData.principal, `${dayCount} original`);
+
+        plans.forEach(plan => {
+            const result = MortgageCalculator.generateAcceleratedSchedule(loan, { ...plan, extraPayments: [] });
+            assertScheduleInvariants(result, loanData.principal, `${dayCount} ${plan.paymentFrequency} ${plan.biweeklyMethod || ''}`);
+            assert.strictEqual(result.dayCount, dayCount);
+        });
+    });
+});
+
+test('held payments post monthly and accrual payments post as paid', () => {
+    const loanData = { principal: 300000, annualRate: 6.5, termYears: 30, startDate: '2026-01', rounding: 'cents' };
+    const original = MortgageCalculator.generateOriginalSchedule(loanData);
+    const [held, accrual] = ['held', 'accrual'].map(biweeklyMethod => MortgageCalculator.generateAcceleratedSchedule(loanData, {
+        paymentFrequency: 'accelerated-biweekly', biweeklyMethod, extraPayments: []
+    }));
+
+    assert.strictEqual(held.biweeklyMethod, 'held');
+    assert.strictEqual(accrual.biweeklyMethod, 'accrual');
+
+    // Held rows fall on the monthly due dates; the two extra debits a year (one monthly payment)
+    // go to principal, so ten years hold 20, give or take the one in flight
+    const halfPayment = Math.round(original.monthlyPayment * 50) / 100;
+    const heldDecade = held.schedule.slice(0, 120);
+    assert.strictEqual(new Set(heldDecade.map(row => row.date)).size, 120);
+    assert.strictEqual(heldDecade[119].date, '2035-12');
+    heldDecade.filter(row => row.extraPayment > 0).forEach(row => assert.strictEqual(row.extraPayment, halfPayment));
+    assert.ok(Math.abs(sum(heldDecade, 'extraPayment') / halfPayment - 20) <= 1);
+
+    // Accrual rows fall every two weeks and pay a half payment each time
+    const accrualYear = accrual.schedule.slice(0, 27);
+    assert.deepStrictEqual([accrualYear[0].paymentDate, accrualYear[26].paymentDate], ['2026-01-01', '2026-12-31']);
+    accrualYear.forEach(row => assert.strictEqual(row.payment, halfPayment));
+
+    [held, accrual].forEach(result => {
+        assert.ok(MortgageCalculator.calculateSavings(original, result).monthsSaved > 48);
+    });
+});
+
+test('every payment frequency pays its share of the monthly payment on its own dates', () => {
+    const loanData = { principal: 300000, annualRate: 6.5, termYears: 30, startDate: '2026-01', rounding: 'cents' };
+    const original = MortgageCalculator.generateOriginalSchedule(loanData);
+    const firstDates = {
+        'weekly': ['2026-01-01', '2026-01-08', '2026-01-15'],
+        'accelerated-weekly': ['2026-01-01', '2026-01-08', '2026-01-15'],
+        'semi-monthly': ['2026-01-01', '2026-01-15', '2026-02-01'],
+        'biweekly': ['2026-01-01', '2026-01-15', '2026-01-29'],
+        'accelerated-biweekly': ['2026-01-01', '2026-01-15', '2026-01-29']
+    };
+
+    Object.entries(firstDates).forEach(([paymentFrequency, dates]) => {
+        const { share, periodsPerYear } = MortgageCalculator.PAYMENT_FREQUENCIES[paymentFrequency];
+        const result = MortgageCalculator.generateAcceleratedSchedule(loanData, { paymentFrequency, extraPayments: [] });
+        const savings = MortgageCalculator.calculateSavings(original, result);
+
+        assertScheduleInvariants(result, loanData.principal, paymentFrequency);
+        assert.deepStrictEqual(result.schedule.slice(0, 3).map(row => row.paymentDate), dates, paymentFrequency);
+        assert.strictEqual(result.schedule.filter(row => row.paymentDate < '2026-12-25').length, periodsPerYear, paymentFrequency);
+        result.schedule.slice(0, -1).forEach(row => {
+            assert.strictEqual(row.payment, Math.round(original.monthlyPayment * share * 100) / 100, paymentFrequency);
+        });
+
+        // Accelerated plans pay 13 monthly payments a year and finish years early; the others
+        // spread 12 over the year and finish with the loan's term
+        if (paymentFrequency.startsWith('accelerated')) {
+            assert.ok(savings.monthsSaved > 48, `${paymentFrequency} saved ${savings.monthsSaved} months`);
+        } else {
+            assert.ok(savings.monthsSaved >= 0 && savings.monthsSaved <= 3, `${paymentFrequency} saved ${savings.monthsSaved} months`);
+        }
+    });
+});
+
+test('ARM resets keep an accelerated plan\'s earlier payoff', () => {
+    const loanData = {
+        principal: 300000, annualRate: 5.5, termYears: 30, startDate: '2025-01', loanType: 'arm',
+        arm: { initialPeriodYears: 5, resetFrequencyMonths: 12, index: 4.5, margin: 2.75, initialCap: 2, periodicCap: 1, lifetimeCap: 5 }
+    };
+    const original = MortgageCalculator.generateOriginalSchedule(loanData);
+    const unchanged = MortgageCalculator.generateAcceleratedSchedule(loanData, { paymentFrequency: 'monthly', extraPayments: [] });
+    const biweekly = MortgageCalculator.generateAcceleratedSchedule(loanData, {
+        paymentFrequency: 'accelerated-biweekly', extraPayments: []
+    });
+
+    assert.strictEqual(unchanged.payoffDate, original.payoffDate);
+    assert.strictEqual(unchanged.totalInterest, original.totalInterest);
+    assert.ok(MortgageCalculator.calculateSavings(original, biweekly).monthsSaved > 48);
+});
+
+test('ARM resets follow the index within the initial, periodic and lifetime caps', () => {
+    const loanData = {
+        principal: 300000, annualRate: 5.5, termYears: 30, startDate: '2025-01', loanType: 'arm', rounding: 'cents',
+        arm: { initialPeriodYears: 5, resetFrequencyMonths: 12, index: 9, margin: 2.75, initialCap: 2, periodicCap: 1, lifetimeCap: 5 }
+    };
+    const result = MortgageCalculator.generateOriginalSchedule(loanData);
+
+    assert.deepStrictEqual(
+        result.rateChanges.slice(0, 4).map(change => [change.paymentNumber, change.rate]),
+        [[61, 7.5], [73, 8.5], [85, 9.5], [97, 10.5]]
+    );
+    assert.ok(result.schedule.every(row => row.rate <= 10.5));
+    assertScheduleInvariants(result, loanData.principal, 'ARM');
+});
+
+test('percent values follow the configured locale', () => {
+    try {
+        MortgageCalculator.setFormat({ locale: 'de-DE', currency: 'EUR' });
+        assert.strictEqual(MortgageCalculator.formatPercent(6.5), '6,5\u00a0%');
+        assert.strictEqual(MortgageCalculator.formatPercent(6.125, 2), '6,13\u00a0%');
+        assert.strictEqual(MortgageCalculator.describePrepaymentPenalty({ type: 'percent', value: 2.5 }),
+            '2,5\u00a0% of the amount over the privilege');
+    } finally {
+        MortgageCalculator.setFormat({ locale: 'en-US', currency: 'USD' });
+    }
+    assert.strictEqual(MortgageCalculator.formatPercent(6.5), '6.5%');
+    assert.strictEqual(MortgageCalculator.formatPercent(7), '7%');
+});
@@ -0,0 +1,61 @@
+/**
+ * Refinance comparison checks. Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+global.MortgageCalculator = require('../js/calculator.js');
+const RefinanceCalculator = require('../js/refinance.js');
+
+test('keeping an ARM follows its resets above the new rate', () => {
+    const loanData = {
+        principal: 300000, annualRate: 5, termYears: 30, startDate: '2022-01', loanType: 'arm',
+        arm: { initialPeriodYears: 5, resetFrequencyMonths: 12, index: 5, margin: 2.75, initialCap: 2, periodicCap: 1, lifetimeCap: 5 }
+    };
+    const analysis = RefinanceCalculator.analyze(loanData, {
+        refinanceDate: '2026-06', newRate: 6.25, newTermYears: 30, closingCosts: 4000,
+        points: 0, cashOut: 0, financeCosts: true, extraMonthly: 0
+    });
+    const { keep, breakEvenMonth, interestDifference } = analysis.base;
+
+    // The first reset (January 2027) is capped at 5% + 2%, the next at a further 1%
+    assert.strictEqual(keep.schedule[0].date, '2026-06');
+    assert.strictEqual(keep.schedule[6].rate, 5);
+    assert.strictEqual(keep.schedule[7].rate, 7);
+    assert.strictEqual(keep.schedule[19].rate, 7.75);
+    assert.strictEqual(keep.payoffDate, '2051-12');
+
+    // Refinancing below the reset rate pays for itself
+    assert.ok(breakEvenMonth > 0 && breakEvenMonth < 60);
+    assert.ok(interestDifference > 0);
+});
+
+test('a fixed-rate refinance breaks even once the payment savings cover the costs', () => {
+    const loanData = { principal: 400000, annualRate: 7.5, termYears: 30, startDate: '2023-01', rounding: 'cents' };
+    const original = MortgageCalculator.generateOriginalSchedule(loanData);
+    const refinance = {
+        refinanceDate: '2026-01', newRate: 6, newTermYears: 30, closingCosts: 6000,
+        points: 1, cashOut: 0, financeCosts: false, extraMonthly: 500
+    };
+    const analysis = RefinanceCalculator.analyze(loanData, refinance);
+    const { base, withExtra, costs, current } = analysis;
+
+    // Keeping picks up the existing loan where it stands; the new loan is the balance owed then
+    assert.strictEqual(current.balance, original.schedule[35].balance);
+    assert.strictEqual(costs.newLoanAmount, current.balance);
+    assert.strictEqual(base.keep.schedule[0].date, '2026-01');
+    assert.strictEqual(base.keep.payoffDate, original.payoffDate);
+    assert.strictEqual(base.refi.monthlyPayment,
+        Math.round(MortgageCalculator.calculateMonthlyPayment(costs.newLoanAmount, 6, 30) * 100) / 100);
+
+    // Costs paid in cash come back through the lower payment
+    assert.ok(Math.abs(base.paymentDifference - (original.monthlyPayment - base.refi.monthlyPayment)) < 0.005);
+    assert.strictEqual(base.simpleBreakEvenMonth, Math.ceil(costs.totalCosts / base.paymentDifference));
+    assert.ok(base.timeline[base.breakEvenMonth - 1].savings < 0 && base.timeline[base.breakEvenMonth].savings >= 0);
+    assert.ok(Math.abs(base.breakEvenMonth - base.simpleBreakEvenMonth) <= 2);
+
+    // The same extra payment on both loans cuts the interest on each
+    assert.ok(withExtra.keep.totalInterest < base.keep.totalInterest);
+    assert.ok(withExtra.refi.totalInterest < base.refi.totalInterest);
+    assert.ok(withExtra.interestDifference > 0);
+});